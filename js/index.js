@@ -2,458 +2,7807 @@
 import { 
   Server, 
   StdioServerTransport,
+  StreamableHTTPServerTransport,
+  SSEServerTransport,
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
-  ReadResourceRequestSchema
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
 } from '@modelcontextprotocol/sdk';
 import axios from 'axios';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { promises as fs } from 'fs';
+import { createServer as createHttpServer, IncomingMessage, ServerResponse } from 'http';
+import { homedir } from 'os';
+import { dirname, join, relative, resolve } from 'path';
 
 // GitHub token from environment variables
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 
+// Directory of locally cloned tidymodels repositories for offline use
+const TIDYMODELS_LOCAL_DIR = process.env.TIDYMODELS_LOCAL_DIR;
+
+// Directory of the persistent GitHub response cache
+const TIDYMODELS_CACHE_DIR = process.env.TIDYMODELS_CACHE_DIR || join(homedir(), '.cache', 'tidymodels-mcp');
+
+// Size cap of the on-disk caches; 0 disables them
+const TIDYMODELS_CACHE_MAX_BYTES = Number(process.env.TIDYMODELS_CACHE_MAX_MB ?? 200) * 1024 * 1024;
+
+// "off" keeps searches on GitHub search even once the local search index is built
+const TIDYMODELS_SEARCH_INDEX = (process.env.TIDYMODELS_SEARCH_INDEX || 'auto').toLowerCase();
+
+// Age after which the search index is refreshed (in the background) and,
+// until then, searches go to GitHub
+const TIDYMODELS_SEARCH_INDEX_MAX_AGE_MS = Number(process.env.TIDYMODELS_SEARCH_INDEX_MAX_AGE_HOURS ?? 6) * 3600 * 1000;
+
+// Maximum number of pages (of 100 results) fetched from list and search endpoints
+const TIDYMODELS_MAX_PAGES = Number(process.env.TIDYMODELS_MAX_PAGES || 10);
+
+// How often subscribed files are checked for changes. GitHub responses are
+// cached for TIDYMODELS_CACHE_TTL_SECONDS, so changes show up after the longer of the two.
+const TIDYMODELS_WATCH_INTERVAL_SECONDS = Number(process.env.TIDYMODELS_WATCH_INTERVAL_SECONDS || 300);
+
+// How clients connect: "stdio" (default) runs one server per client process,
+// "http" one shared server at http://TIDYMODELS_HTTP_HOST:TIDYMODELS_HTTP_PORT.
+// The --transport, --host and --port command line flags take precedence.
+const TIDYMODELS_TRANSPORT = process.env.TIDYMODELS_TRANSPORT || 'stdio';
+const TIDYMODELS_HTTP_HOST = process.env.TIDYMODELS_HTTP_HOST || '127.0.0.1';
+const TIDYMODELS_HTTP_PORT = Number(process.env.TIDYMODELS_HTTP_PORT || 3000);
+
+// Bearer token HTTP clients must send; unset leaves the HTTP endpoints open
+const TIDYMODELS_HTTP_TOKEN = process.env.TIDYMODELS_HTTP_TOKEN;
+
+// Streamable HTTP sessions without requests for this long are closed; 0 keeps them open
+const TIDYMODELS_HTTP_SESSION_IDLE_MS = Number(process.env.TIDYMODELS_HTTP_SESSION_IDLE_MINUTES ?? 30) * 60 * 1000;
+
 // Base tidymodels documentation URL
 const TIDYMODELS_DOCS_URL = 'https://www.tidymodels.org';
 
-class TidymodelsServer {
-  private server: Server;
-  private axiosInstance: any;
-  private cachedRepos: any[] = [];
-  private cacheExpiryMs: number = 3600000; // 1 hour
-  private lastCacheUpdate: number = 0;
-  private repoContentCache: Map<string, any> = new Map();
-  private documentationCache: Map<string, any> = new Map();
+// A single entry of a Depends/Imports/Suggests/LinkingTo/Enhances field
+interface RDependency {
+  package: string;
+  operator?: string;
+  version?: string;
+}
 
-  constructor() {
-    this.server = new Server(
-      {
-        name: 'tidymodels-server',
-        version: '0.1.0',
-      },
-      {
-        capabilities: {
-          resources: {},
-          tools: {},
-        },
+// A person from Authors@R (or the legacy Author/Maintainer fields)
+interface RAuthor {
+  given?: string;
+  family?: string;
+  email?: string;
+  roles: string[];
+  comment?: Record<string, string>;
+}
+
+interface PackageDescription {
+  package: string;
+  title: string;
+  version: string;
+  description: string;
+  license: string;
+  authors: RAuthor[];
+  maintainer?: RAuthor;
+  urls: string[];
+  bug_reports: string;
+  depends: RDependency[];
+  imports: RDependency[];
+  suggests: RDependency[];
+  linking_to: RDependency[];
+  enhances: RDependency[];
+  remotes: string[];
+  config: Record<string, string>;
+  fields: Record<string, string>;
+}
+
+// Parse a Debian Control File (the format of R's DESCRIPTION) into raw fields.
+// Continuation lines start with whitespace and are kept, without their indent,
+// on separate lines of the field value.
+function parseDcf(content: string): Record<string, string> {
+  const fields: Record<string, string> = {};
+  let current: string | null = null;
+
+  for (const line of content.replace(/\r\n?/g, '\n').split('\n')) {
+    if (line.trim() === '') {
+      // A blank line ends the record; DESCRIPTION only ever has one
+      if (Object.keys(fields).length > 0) break;
+      continue;
+    }
+    if (/^\s/.test(line)) {
+      if (current) {
+        const text = line.trim();
+        fields[current] += fields[current] ? `\n${text === '.' ? '' : text}` : text;
       }
-    );
+      continue;
+    }
+    const match = line.match(/^([^:\s]+):\s*(.*)$/);
+    if (match) {
+      current = match[1];
+      fields[current] = match[2].trim();
+    }
+  }
 
-    this.axiosInstance = axios.create({
-      baseURL: 'https://api.github.com',
-      headers: GITHUB_TOKEN ? {
-        Authorization: `token ${GITHUB_TOKEN}`
-      } : {}
-    });
+  return fields;
+}
 
-    this.setupResourceHandlers();
-    this.setupToolHandlers();
-    
-    // Error handling
-    this.server.onerror = (error) => console.error('[MCP Error]', error);
-    process.on('SIGINT', async () => {
-      await this.server.close();
-      process.exit(0);
+// Collapse a multi-line DCF value into a single line
+function foldDcfValue(value: string | undefined): string {
+  return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+function parseDependencies(value: string | undefined): RDependency[] {
+  return foldDcfValue(value)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const match = entry.match(/^([A-Za-z][A-Za-z0-9.]*)\s*(?:\(\s*(>=|<=|==|!=|>|<)\s*([^)\s]+)\s*\))?/);
+      if (!match) {
+        return { package: entry };
+      }
+      const dependency: RDependency = { package: match[1] };
+      if (match[2]) {
+        dependency.operator = match[2];
+        dependency.version = match[3];
+      }
+      return dependency;
     });
-  }
+}
 
-  // Helper methods for GitHub API
-  private async getRepos(forceRefresh: boolean = false): Promise<any[]> {
-    const now = Date.now();
-    if (forceRefresh || this.cachedRepos.length === 0 || (now - this.lastCacheUpdate) > this.cacheExpiryMs) {
-      try {
-        console.error('Fetching tidymodels repositories from GitHub...');
-        const response = await this.axiosInstance.get('/orgs/tidymodels/repos', {
-          params: {
-            per_page: 100,
-            sort: 'updated'
-          }
-        });
-        
-        this.cachedRepos = response.data;
-        this.lastCacheUpdate = now;
-        console.error(`Cached ${this.cachedRepos.length} repositories`);
-      } catch (error) {
-        console.error('Error fetching repositories:', error);
-        // If there's an error, use the cached data if available
-        if (this.cachedRepos.length === 0) {
-          throw new McpError(
-            ErrorCode.InternalError,
-            `Failed to fetch repositories: ${error instanceof Error ? error.message : String(error)}`
-          );
+// Minimal evaluator for the subset of R used in Authors@R:
+// c(), person()/utils::person(), strings, NULL and named arguments.
+type RValue = string | null | RValue[] | { [name: string]: RValue };
+
+interface RCallArg {
+  name?: string;
+  value: RValue | undefined;
+}
+
+function tokenizeAuthorsR(source: string): string[] {
+  const tokens: string[] = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          const next = source[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += source[i++];
         }
       }
+      i++;
+      tokens.push(`"${value}`);
+    } else if (source.startsWith('::', i)) {
+      tokens.push('::');
+      i += 2;
+    } else if ('(),='.includes(ch)) {
+      tokens.push(ch);
+      i++;
+    } else {
+      const match = source.slice(i).match(/^[A-Za-z0-9._]+/);
+      const word = match ? match[0] : ch;
+      tokens.push(word);
+      i += word.length;
     }
-    return this.cachedRepos;
   }
+  return tokens;
+}
 
-  private async getRepoContent(repo: string, path: string = ''): Promise<any> {
-    const cacheKey = `${repo}:${path}`;
-    if (this.repoContentCache.has(cacheKey)) {
-      return this.repoContentCache.get(cacheKey);
+function parseAuthorsR(source: string): RAuthor[] {
+  const tokens = tokenizeAuthorsR(source);
+  let pos = 0;
+
+  const parseArgs = (): RCallArg[] => {
+    const args: RCallArg[] = [];
+    pos++; // (
+    while (pos < tokens.length && tokens[pos] !== ')') {
+      if (tokens[pos] === ',') {
+        // Empty positional argument, e.g. person("Max", "Kuhn", , "max@posit.co")
+        args.push({ value: undefined });
+        pos++;
+        continue;
+      }
+      let name: string | undefined;
+      if (tokens[pos + 1] === '=' && !tokens[pos].startsWith('"')) {
+        name = tokens[pos];
+        pos += 2;
+      }
+      args.push({ name, value: parseExpr() });
+      if (tokens[pos] === ',') {
+        pos++;
+        if (tokens[pos] === ')') args.push({ value: undefined });
+      }
     }
+    pos++; // )
+    return args;
+  };
 
-    try {
-      const response = await this.axiosInstance.get(`/repos/tidymodels/${repo}/contents/${path}`);
-      this.repoContentCache.set(cacheKey, response.data);
-      return response.data;
-    } catch (error) {
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to fetch content for ${repo}/${path}: ${error instanceof Error ? error.message : String(error)}`
-      );
+  const parseExpr = (): RValue => {
+    const token = tokens[pos];
+    if (token === undefined) return null;
+    if (token.startsWith('"')) {
+      pos++;
+      return token.slice(1);
     }
-  }
+    let fn = token;
+    pos++;
+    if (tokens[pos] === '::') {
+      fn = tokens[pos + 1];
+      pos += 2;
+    }
+    if (tokens[pos] !== '(') {
+      return fn === 'NULL' || fn === 'NA' ? null : fn;
+    }
+    const args = parseArgs();
+    if (fn === 'c' || fn === 'list') {
+      const values = args.filter(arg => arg.value !== undefined);
+      if (values.some(arg => arg.name)) {
+        const record: { [name: string]: RValue } = {};
+        values.forEach((arg, idx) => { record[arg.name || String(idx + 1)] = arg.value as RValue; });
+        return record;
+      }
+      return values.map(arg => arg.value as RValue);
+    }
+    if (fn === 'person' || fn === 'as.person') {
+      return { __person__: evalPerson(args) };
+    }
+    return null;
+  };
 
-  private async getFileContent(repo: string, path: string): Promise<string> {
-    try {
-      const response = await this.axiosInstance.get(`/repos/tidymodels/${repo}/contents/${path}`);
+  const evalPerson = (args: RCallArg[]): RValue => {
+    const formals = ['given', 'family', 'middle', 'email', 'role', 'comment', 'first', 'last'];
+    const bound: { [name: string]: RValue } = {};
+    let positional = 0;
+    for (const arg of args) {
+      if (arg.name) {
+        if (arg.value !== undefined) bound[arg.name] = arg.value;
+        continue;
+      }
+      while (positional < formals.length && formals[positional] in bound) positional++;
+      const formal = formals[positional++];
+      if (formal && arg.value !== undefined) bound[formal] = arg.value;
+    }
+    return bound;
+  };
 
-      if ('content' in response.data && 'encoding' in response.data) {
-        const fileData = response.data as { content: string; encoding: string };
-        if (fileData.encoding === 'base64') {
-          return Buffer.from(fileData.content, 'base64').toString('utf-8');
+  const toStrings = (value: RValue | undefined): string[] => {
+    if (value === null || value === undefined) return [];
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(toStrings);
+    return Object.values(value).flatMap(toStrings);
+  };
+
+  const authors: RAuthor[] = [];
+  const collect = (value: RValue) => {
+    if (value === null || typeof value === 'string') return;
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+      return;
+    }
+    if ('__person__' in value) {
+      const person = value.__person__ as { [name: string]: RValue };
+      const author: RAuthor = {
+        roles: toStrings(person.role),
+      };
+      const given = toStrings(person.given ?? person.first).join(' ');
+      const family = toStrings(person.family ?? person.last).join(' ');
+      const email = toStrings(person.email)[0];
+      if (given) author.given = given;
+      if (family) author.family = family;
+      if (email) author.email = email;
+      if (person.comment !== undefined && person.comment !== null) {
+        const comment = person.comment;
+        if (typeof comment === 'string') {
+          author.comment = { note: comment };
+        } else if (!Array.isArray(comment)) {
+          author.comment = Object.fromEntries(
+            Object.entries(comment).map(([key, val]) => [key, toStrings(val).join(', ')])
+          );
+        } else {
+          author.comment = { note: toStrings(comment).join(', ') };
         }
       }
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Invalid file data format for ${repo}/${path}`
-      );
-    } catch (error) {
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to fetch file content for ${repo}/${path}: ${error instanceof Error ? error.message : String(error)}`
-      );
+      authors.push(author);
+      return;
     }
+    Object.values(value).forEach(collect);
+  };
+
+  while (pos < tokens.length) {
+    const before = pos;
+    collect(parseExpr());
+    if (pos === before) pos++;
+  }
+  return authors;
+}
+
+// Parse "Jane Doe <jane@example.com> [aut, cre]" as used in Author/Maintainer
+function parsePersonString(text: string): RAuthor {
+  const roles = text.match(/\[([^\]]*)\]/)?.[1]?.split(',').map(role => role.trim()).filter(Boolean) || [];
+  const email = text.match(/<([^>]+)>/)?.[1];
+  const name = text.replace(/\[[^\]]*\]/g, '').replace(/<[^>]+>/g, '').replace(/\([^)]*\)/g, '').trim();
+  const parts = name.split(/\s+/).filter(Boolean);
+  const author: RAuthor = { roles };
+  if (parts.length > 1) {
+    author.given = parts.slice(0, -1).join(' ');
+    author.family = parts[parts.length - 1];
+  } else if (parts.length === 1) {
+    author.given = parts[0];
   }
+  if (email) author.email = email;
+  return author;
+}
+
+function parseDescription(content: string): PackageDescription {
+  const fields = parseDcf(content);
 
-  private async searchCodeInOrg(query: string): Promise<any[]> {
+  let authors: RAuthor[] = [];
+  if (fields['Authors@R']) {
     try {
-      const response = await this.axiosInstance.get('/search/code', {
-        params: {
-          q: `org:tidymodels ${query}`,
-          per_page: 100
-        }
-      });
-      return response.data.items;
+      authors = parseAuthorsR(fields['Authors@R']);
     } catch (error) {
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to search code: ${error instanceof Error ? error.message : String(error)}`
-      );
+      console.error('Error parsing Authors@R:', error);
     }
   }
+  if (authors.length === 0 && fields.Author) {
+    authors = foldDcfValue(fields.Author)
+      .split(/,(?![^\[]*\])|\band\b/)
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(parsePersonString);
+  }
 
-  private async getTidymodelsRReference(packageName?: string): Promise<any> {
-    try {
-      // First get the list of repos to find the R packages
-      const repos = await this.getRepos();
-      
-      const rPackages = repos.filter(repo => {
-        // Filter by specific package if provided
-        if (packageName && !repo.name.includes(packageName)) return false;
-        
-        // Check if this is likely an R package by looking for common files
-        return true; // For now assume all are R packages, could be refined
-      });
-      
-      const packagesInfo = await Promise.all(rPackages.map(async (repo) => {
-        try {
-          // Try to get DESCRIPTION file which is standard in R packages
-          const descriptionContent = await this.getFileContent(repo.name, 'DESCRIPTION').catch(() => '');
-          
-          // Parse basic info from DESCRIPTION
-          const title = descriptionContent.match(/Title: (.*)/i)?.[1] || '';
-          const version = descriptionContent.match(/Version: (.*)/i)?.[1] || '';
-          const description = descriptionContent.match(/Description: (.*)/i)?.[1] || repo.description || '';
-          const depends = descriptionContent.match(/Depends: (.*)/i)?.[1] || '';
-          const imports = descriptionContent.match(/Imports: ([\s\S]*?)(?=\n\w|$)/i)?.[1]?.replace(/\n/g, ' ') || '';
-          const suggests = descriptionContent.match(/Suggests: ([\s\S]*?)(?=\n\w|$)/i)?.[1]?.replace(/\n/g, ' ') || '';
-                    
-          // Get README for more info
-          const readmeContent = await this.getFileContent(repo.name, 'README.md').catch(() => '');
-          
-          return {
-            name: repo.name,
-            title,
-            version,
-            description,
-            depends,
-            imports,
-            suggests,
-            stars: repo.stargazers_count,
-            open_issues: repo.open_issues_count,
-            url: repo.html_url,
-            language: repo.language,
-            updated_at: repo.updated_at,
-            readme_excerpt: readmeContent.substring(0, 1000) + (readmeContent.length > 1000 ? '...' : '')
-          };
-        } catch (error) {
-          // If we can't get package details, return basic repo info
-          return {
-            name: repo.name,
-            description: repo.description,
-            stars: repo.stargazers_count,
-            open_issues: repo.open_issues_count,
-            url: repo.html_url,
-            language: repo.language,
-            updated_at: repo.updated_at
-          };
-        }
-      }));
+  const maintainer = fields.Maintainer
+    ? { ...parsePersonString(foldDcfValue(fields.Maintainer)), roles: ['cre'] }
+    : authors.find(author => author.roles.includes('cre'));
 
-      return packagesInfo;
-    } catch (error) {
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to get R package reference: ${error instanceof Error ? error.message : String(error)}`
-      );
+  const config: Record<string, string> = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (key.startsWith('Config/')) {
+      config[key.slice('Config/'.length)] = foldDcfValue(value);
     }
   }
 
-  private async searchFunctionDocumentation(query: string, packageName?: string): Promise<any> {
-    try {
-      // Use code search to find function definitions and documentation
-      const searchQuery = packageName 
-        ? `org:tidymodels repo:tidymodels/${packageName} ${query} path:.R`
-        : `org:tidymodels ${query} path:.R`;
-        
-      const response = await this.axiosInstance.get('/search/code', {
-        params: {
-          q: searchQuery,
-          per_page: 50
-        }
-      });
-      
-      const results = await Promise.all(response.data.items.map(async (item: any) => {
-        try {
-          // Get the file content to extract function documentation
-          const content = await this.getFileContent(item.repository.name, item.path);
-          
-          // Extract roxygen documentation blocks (simplified)
-          const roxygenBlocks = content.match(/#'[\s\S]*?function\s*\([^)]*\)/g) || [];
-          
-          // Find blocks that match our query
-          const matchingBlocks = roxygenBlocks.filter(block => 
-            block.toLowerCase().includes(query.toLowerCase())
-          );
-          
-          return {
-            repository: item.repository.name,
-            path: item.path,
-            url: item.html_url,
-            documentation: matchingBlocks.length > 0 
-              ? matchingBlocks.join('\n\n') 
-              : 'No documentation found'
-          };
-        } catch (error) {
-          return {
-            repository: item.repository.name,
-            path: item.path,
-            url: item.html_url,
-            error: `Failed to fetch content: ${error instanceof Error ? error.message : String(error)}`
-          };
+  return {
+    package: fields.Package || '',
+    title: foldDcfValue(fields.Title),
+    version: foldDcfValue(fields.Version),
+    description: foldDcfValue(fields.Description),
+    license: foldDcfValue(fields.License),
+    authors,
+    maintainer,
+    urls: foldDcfValue(fields.URL).split(/[,\s]+/).filter(Boolean),
+    bug_reports: foldDcfValue(fields.BugReports),
+    depends: parseDependencies(fields.Depends),
+    imports: parseDependencies(fields.Imports),
+    suggests: parseDependencies(fields.Suggests),
+    linking_to: parseDependencies(fields.LinkingTo),
+    enhances: parseDependencies(fields.Enhances),
+    remotes: foldDcfValue(fields.Remotes).split(',').map(remote => remote.trim()).filter(Boolean),
+    config,
+    fields,
+  };
+}
+
+// Dependency fields of a DESCRIPTION that can be followed in the dependency graph
+type DependencyType = 'depends' | 'imports' | 'suggests' | 'linking_to';
+
+const DEPENDENCY_TYPES: DependencyType[] = ['depends', 'imports', 'suggests', 'linking_to'];
+
+interface DependencyEdge {
+  from: string;
+  to: string;
+  type: DependencyType;
+  operator?: string;
+  version?: string;
+}
+
+interface DependencyGraph {
+  nodes: { name: string; version: string; internal: boolean }[];
+  edges: DependencyEdge[];
+}
+
+// Build a graph whose edges point from a package to the packages it depends on.
+// Base R ("R") is never a node; packages outside the organization are only kept
+// when includeExternal is set.
+function buildDependencyGraph(
+  descriptions: PackageDescription[],
+  types: DependencyType[],
+  includeExternal: boolean
+): DependencyGraph {
+  const internal = new Map(descriptions.map(desc => [desc.package, desc]));
+  const nodes = new Map<string, { name: string; version: string; internal: boolean }>();
+  const edges: DependencyEdge[] = [];
+
+  for (const desc of descriptions) {
+    nodes.set(desc.package, { name: desc.package, version: desc.version, internal: true });
+  }
+
+  for (const desc of descriptions) {
+    for (const type of types) {
+      for (const dep of desc[type]) {
+        if (dep.package === 'R') continue;
+        if (!internal.has(dep.package)) {
+          if (!includeExternal) continue;
+          if (!nodes.has(dep.package)) {
+            nodes.set(dep.package, { name: dep.package, version: '', internal: false });
+          }
         }
-      }));
-      
-      return results;
-    } catch (error) {
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to search function documentation: ${error instanceof Error ? error.message : String(error)}`
-      );
+        edges.push({ from: desc.package, to: dep.package, type, operator: dep.operator, version: dep.version });
+      }
     }
   }
 
-  private async generateRCode(request: string, templateType?: string): Promise<string> {
-    // This function would generate R code based on the template type and request
-    // In a real implementation, this might call an API or use embedded templates
-    
-    // For now, we'll return template examples based on the request type
-    let codeTemplate = '';
-    
-    switch (templateType?.toLowerCase()) {
-      case 'recipe':
-        codeTemplate = `# Recipe for preprocessing data
-library(tidymodels)
+  return {
+    nodes: [...nodes.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    edges,
+  };
+}
 
-# Create a recipe for data preprocessing
-recipe <- recipe(target ~ ., data = data) |>
-  step_normalize(all_numeric_predictors()) |>
-  step_dummy(all_nominal_predictors()) |>
-  step_zv(all_predictors()) |>
-  step_corr(all_numeric_predictors())
+// All packages reachable from start, following edges forwards ("dependencies")
+// or backwards ("reverse"). The start package itself is not included.
+function dependencyClosure(
+  graph: DependencyGraph,
+  start: string,
+  direction: 'dependencies' | 'reverse'
+): string[] {
+  const adjacency = new Map<string, string[]>();
+  for (const edge of graph.edges) {
+    const [key, value] = direction === 'dependencies' ? [edge.from, edge.to] : [edge.to, edge.from];
+    if (!adjacency.has(key)) adjacency.set(key, []);
+    adjacency.get(key)!.push(value);
+  }
 
-# Prepare the recipe on training data
-recipe_prepped <- prep(recipe, training = training_data)
+  const seen = new Set<string>([start]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const current = queue.shift()!;
+    for (const next of adjacency.get(current) || []) {
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  seen.delete(start);
+  return [...seen].sort();
+}
 
-# Apply to data
-processed_data <- bake(recipe_prepped, new_data = data)`;
-        break;
-        
-      case 'model':
-        codeTemplate = `# Build a tidymodels workflow for ${request}
-library(tidymodels)
+// Topological install order (dependencies first) using Kahn's algorithm.
+// Packages caught in a dependency cycle are returned separately.
+function installOrder(graph: DependencyGraph, packages?: string[]): { order: string[]; cycles: string[] } {
+  const included = new Set(packages || graph.nodes.map(node => node.name));
+  const remaining = new Map<string, number>();
+  const dependents = new Map<string, string[]>();
 
-# Define model specification
-model_spec <- 
-  # Choose appropriate model for your task
-  boost_tree() |>
-  set_engine("xgboost") |>
-  set_mode("classification") # or regression
+  for (const name of included) remaining.set(name, 0);
+  for (const edge of graph.edges) {
+    if (!included.has(edge.from) || !included.has(edge.to) || edge.from === edge.to) continue;
+    remaining.set(edge.from, (remaining.get(edge.from) || 0) + 1);
+    if (!dependents.has(edge.to)) dependents.set(edge.to, []);
+    dependents.get(edge.to)!.push(edge.from);
+  }
 
-# Create a workflow
-workflow <- 
-  workflow() |>
-  add_recipe(recipe) |>
-  add_model(model_spec)
+  const ready = [...remaining.entries()].filter(([, count]) => count === 0).map(([name]) => name).sort();
+  const order: string[] = [];
+  while (ready.length > 0) {
+    const name = ready.shift()!;
+    order.push(name);
+    for (const dependent of dependents.get(name) || []) {
+      const count = remaining.get(dependent)! - 1;
+      remaining.set(dependent, count);
+      if (count === 0) {
+        ready.push(dependent);
+        ready.sort();
+      }
+    }
+  }
 
-# Fit model
-fitted_model <- fit(workflow, data = training_data)
+  const cycles = [...remaining.entries()].filter(([, count]) => count > 0).map(([name]) => name).sort();
+  return { order, cycles };
+}
 
-# Make predictions
-predictions <- predict(fitted_model, new_data = test_data)`;
-        break;
-        
-      case 'tune':
-        codeTemplate = `# Hyperparameter tuning with tidymodels
-library(tidymodels)
+function graphNodeId(name: string): string {
+  return name.replace(/[^A-Za-z0-9_]/g, '_');
+}
 
-# Define model with tuning parameters
-model_spec <- 
-  boost_tree(
-    trees = tune(),
-    min_n = tune(),
-    tree_depth = tune()
-  ) |>
-  set_engine("xgboost") |>
-  set_mode("classification")
+function renderDependencyGraphMermaid(graph: DependencyGraph): string {
+  const lines = ['graph LR'];
+  for (const node of graph.nodes) {
+    lines.push(node.internal
+      ? `  ${graphNodeId(node.name)}["${node.name}"]`
+      : `  ${graphNodeId(node.name)}(["${node.name}"])`);
+  }
+  for (const edge of graph.edges) {
+    const arrow = edge.type === 'suggests' ? '-.->' : '-->';
+    lines.push(`  ${graphNodeId(edge.from)} ${arrow}|${edge.type}| ${graphNodeId(edge.to)}`);
+  }
+  return lines.join('\n');
+}
 
-# Create workflow
-workflow <- 
-  workflow() |>
-  add_recipe(recipe) |>
-  add_model(model_spec)
-
-# Create resamples for tuning
-resamples <- vfold_cv(training_data, v = 5)
-
-# Define tuning grid
-tuning_grid <- grid_latin_hypercube(
-  trees(range = c(10, 2000)),
-  min_n(range = c(2, 40)),
-  tree_depth(range = c(1, 15)),
-  size = 20
-)
-
-# Tune model
-tuning_results <- 
-  workflow |>
-  tune_grid(
-    resamples = resamples,
-    grid = tuning_grid,
-    metrics = metric_set(roc_auc, accuracy)
-  )
-
-# Select best parameters
-best_params <- select_best(tuning_results, metric = "roc_auc")
-
-# Finalize workflow
-final_workflow <- 
-  workflow |>
-  finalize_workflow(best_params)
-
-# Fit final model
-final_model <- fit(final_workflow, data = training_data)`;
-        break;
-        
-      case 'evaluation':
-        codeTemplate = `# Model evaluation with tidymodels
-library(tidymodels)
+function renderDependencyGraphDot(graph: DependencyGraph): string {
+  const lines = ['digraph tidymodels {', '  rankdir=LR;'];
+  for (const node of graph.nodes) {
+    lines.push(`  "${node.name}"${node.internal ? '' : ' [style=dashed]'};`);
+  }
+  for (const edge of graph.edges) {
+    const constraint = edge.operator ? ` ${edge.operator} ${edge.version}` : '';
+    const style = edge.type === 'suggests' ? ', style=dashed' : '';
+    lines.push(`  "${edge.from}" -> "${edge.to}" [label="${edge.type}${constraint}"${style}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
 
-# Create test/train split
-set.seed(123)
-data_split <- initial_split(data, prop = 0.75, strata = outcome)
-train_data <- training(data_split)
-test_data <- testing(data_split)
+// A documented R object extracted from roxygen2 comments
+interface RoxygenEntry {
+  name: string;
+  package: string;
+  file: string;
+  line_start: number;
+  line_end: number;
+  usage: string;
+  title: string;
+  description: string;
+  details: string;
+  params: { name: string; description: string }[];
+  returns: string;
+  examples: string;
+  exported: boolean;
+  family: string[];
+  seealso: string[];
+  rdname?: string;
+  inherit_params: string[];
+  aliases: string[];
+  keywords: string[];
+  s3?: { generic: string; class: string };
+}
 
-# Fit finalized model on training data
-final_fit <- fit(workflow, data = train_data)
+// Generics whose methods are commonly defined (and exported) across tidymodels
+const COMMON_S3_GENERICS = [
+  'print', 'format', 'summary', 'predict', 'fit', 'fit_xy', 'update', 'autoplot', 'plot',
+  'tidy', 'augment', 'glance', 'prep', 'bake', 'juice', 'tunable', 'tune_args', 'required_pkgs',
+  'translate', 'multi_predict', 'min_grid', 'varying_args', 'as_tibble', 'collect_metrics',
+  'collect_predictions', 'extract_fit_engine', 'extract_parameter_set_dials', 'extract_spec_parsnip',
+];
 
-# Predict on test data
-predictions <- predict(final_fit, test_data)
-predictions_with_prob <- predict(final_fit, test_data, type = "prob")
+// Index of the bracket that closes the one at openIndex, skipping strings and
+// comments. Returns -1 if it is never closed.
+function findClosingBracket(source: string, openIndex: number): number {
+  const pairs: Record<string, string> = { '(': ')', '{': '}', '[': ']' };
+  const stack: string[] = [];
+  let i = openIndex;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === '`') {
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      continue;
+    }
+    if (pairs[ch]) {
+      stack.push(pairs[ch]);
+    } else if (ch === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+    i++;
+  }
+  return -1;
+}
 
-# Combine predictions with actual values
-results <- bind_cols(
-  test_data,
-  predictions,
-  predictions_with_prob
-)
+// R source with its comments blanked out, keeping every other character (and
+// so every offset) in place; a # inside a string does not start a comment
+function blankRComments(source: string): string {
+  let result = '';
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '#') {
+      const end = source.indexOf('\n', i);
+      const stop = end < 0 ? source.length : end;
+      result += ' '.repeat(stop - i);
+      i = stop;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === '`') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      result += source.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+    result += ch;
+    i++;
+  }
+  return result;
+}
 
-# Evaluate performance
-metrics <- metric_set(accuracy, roc_auc, sensitivity, specificity)
-performance <- metrics(
-  results,
-  truth = outcome,
-  estimate = .pred_class,
-  .pred_yes
-)
-
-# Create confusion matrix
-conf_mat(results, truth = outcome, estimate = .pred_class)
-
-# Plot ROC curve
-results |>
-  roc_curve(truth = outcome, .pred_yes) |>
-  autoplot()`;
-        break;
-        
-      default:
-        // General template if no specific type given
-        codeTemplate = `# Tidymodels workflow for ${request}
-library(tidymodels)
+function lineAt(source: string, index: number): number {
+  let line = 1;
+  for (let i = 0; i < index && i < source.length; i++) {
+    if (source[i] === '\n') line++;
+  }
+  return line;
+}
 
-# Data preparation
-data_split <- initial_split(data, prop = 0.75)
-train_data <- training(data_split)
-test_data <- testing(data_split)
+// Split the text of a roxygen block into its leading (untagged) text and tags
+function splitRoxygenTags(lines: string[]): { intro: string; tags: { tag: string; value: string }[] } {
+  const intro: string[] = [];
+  const tags: { tag: string; value: string }[] = [];
+  for (const line of lines) {
+    const tagMatch = line.match(/^@(\w+)\s?(.*)$/);
+    if (tagMatch) {
+      tags.push({ tag: tagMatch[1], value: tagMatch[2] });
+    } else if (tags.length > 0) {
+      tags[tags.length - 1].value += `\n${line}`;
+    } else {
+      intro.push(line);
+    }
+  }
+  return { intro: intro.join('\n'), tags };
+}
 
-# Create a recipe for data preprocessing
-recipe <- recipe(outcome ~ ., data = train_data) |>
-  step_normalize(all_numeric_predictors()) |>
-  step_dummy(all_nominal_predictors())
+function roxygenParagraphs(text: string): string[] {
+  return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
 
-# Define model
-model_spec <- 
-  # Choose appropriate model for your task
-  rand_forest() |>
-  set_engine("ranger") |>
-  set_mode("classification") # or regression
+// Parse every roxygen2 block of an R source file together with the object it documents
+function parseRoxygenFile(content: string, packageName: string, file: string): RoxygenEntry[] {
+  const source = content.replace(/\r\n?/g, '\n');
+  const lines = source.split('\n');
+  const lineOffsets: number[] = [];
+  let offset = 0;
+  for (const line of lines) {
+    lineOffsets.push(offset);
+    offset += line.length + 1;
+  }
 
-# Create workflow
-workflow <- 
-  workflow() |>
-  add_recipe(recipe) |>
-  add_model(model_spec)
+  const entries: RoxygenEntry[] = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (!/^\s*#'/.test(lines[i])) {
+      i++;
+      continue;
+    }
 
-# Fit model
-fitted_model <- fit(workflow, data = train_data)
+    const blockStart = i;
+    const blockLines: string[] = [];
+    while (i < lines.length && /^\s*#'/.test(lines[i])) {
+      blockLines.push(lines[i].replace(/^\s*#' ?/, ''));
+      i++;
+    }
+    while (i < lines.length && lines[i].trim() === '') i++;
 
-# Evaluate model
-predictions <- predict(fitted_model, test_data)
-performance <- metrics(bind_cols(test_data, predictions),
-                       truth = outcome,
-                       estimate = .pred_class)`;
+    // The documented object: a function, another assignment, or NULL
+    const objectLine = lines[i] || '';
+    let name = '';
+    let usage = '';
+    let lineEnd = i + 1;
+    const assignMatch = objectLine.match(/^\s*(`[^`]+`|[A-Za-z.][\w.]*)\s*(<-|=)\s*(.*)$/);
+    if (assignMatch) {
+      name = assignMatch[1].replace(/`/g, '');
+      let rhs = lineOffsets[i] + objectLine.indexOf(assignMatch[2]) + assignMatch[2].length;
+      while (rhs < source.length && /\s/.test(source[rhs])) rhs++;
+      // Both `function(x)` and the R >= 4.1 lambda `\(x)` define a function
+      const parenStart = source.startsWith('function', rhs)
+        ? source.indexOf('(', rhs)
+        : source.startsWith('\\(', rhs) ? rhs + 1 : -1;
+      if (parenStart >= 0) {
+        const parenEnd = findClosingBracket(source, parenStart);
+        if (parenEnd > 0) {
+          usage = `${name}${source.slice(parenStart, parenEnd + 1).replace(/\s+/g, ' ')}`;
+          let bodyStart = parenEnd + 1;
+          while (bodyStart < source.length && /\s/.test(source[bodyStart])) bodyStart++;
+          const bodyEnd = source[bodyStart] === '{'
+            ? findClosingBracket(source, bodyStart)
+            : source.indexOf('\n', bodyStart);
+          lineEnd = lineAt(source, bodyEnd > 0 ? bodyEnd : source.length);
+        }
+      }
+    } else if (!/^\s*NULL\s*$/.test(objectLine)) {
+      // "_PACKAGE" documentation and anything else we can't attach to a name
+      continue;
     }
-    
-    return codeTemplate;
-  }
 
-  private setupResourceHandlers() {
-    // List all repositories as resources
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const { intro, tags } = splitRoxygenTags(blockLines);
+    const tagValues = (tag: string) => tags.filter(t => t.tag === tag).map(t => t.value.trim());
+    const paragraphs = roxygenParagraphs(intro);
+    const title = tagValues('title')[0] || paragraphs[0] || '';
+    const description = tagValues('description').join('\n\n') || paragraphs[1] || '';
+    const details = tagValues('details').join('\n\n') || paragraphs.slice(2).join('\n\n');
+
+    name = tagValues('name')[0] || name;
+    if (!name && tagValues('rdname').length === 0) continue;
+
+    const params: { name: string; description: string }[] = [];
+    for (const value of tagValues('param')) {
+      const match = value.match(/^(\S+)\s*([\s\S]*)$/);
+      if (match) {
+        params.push({ name: match[1], description: match[2].replace(/\s+/g, ' ').trim() });
+      }
+    }
+
+    let s3: { generic: string; class: string } | undefined;
+    const methodTag = tagValues('method')[0] || tagValues('exportS3Method')[0];
+    if (methodTag && methodTag.split(/\s+/).length >= 2) {
+      const [generic, cls] = methodTag.split(/\s+/);
+      s3 = { generic: generic.replace(/^\w+::/, ''), class: cls };
+    } else {
+      const generic = COMMON_S3_GENERICS.find(g => name.startsWith(`${g}.`));
+      if (generic) {
+        s3 = { generic, class: name.slice(generic.length + 1) };
+      }
+    }
+
+    const splitWords = (values: string[]) =>
+      values.flatMap(value => value.split(/[\s,]+/)).filter(Boolean);
+
+    entries.push({
+      name: name || tagValues('rdname')[0],
+      package: packageName,
+      file,
+      line_start: blockStart + 1,
+      line_end: lineEnd,
+      usage,
+      title: title.replace(/\s+/g, ' '),
+      description,
+      details,
+      params,
+      returns: [...tagValues('return'), ...tagValues('returns')].join('\n'),
+      examples: [...tagValues('examples'), ...tagValues('examplesIf')].join('\n').trim(),
+      exported: tags.some(t => t.tag === 'export' || t.tag === 'exportS3Method'),
+      family: tagValues('family'),
+      seealso: tagValues('seealso'),
+      rdname: tagValues('rdname')[0],
+      inherit_params: splitWords(tagValues('inheritParams')),
+      aliases: splitWords(tagValues('aliases')),
+      keywords: splitWords(tagValues('keywords')),
+      s3,
+    });
+  }
+
+  return entries;
+}
+
+// Fill in @inheritParams and shared @rdname documentation within a package index
+function resolveRoxygenInheritance(entries: RoxygenEntry[]): RoxygenEntry[] {
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const byRdname = new Map<string, RoxygenEntry[]>();
+  for (const entry of entries) {
+    const topic = entry.rdname || entry.name;
+    if (!byRdname.has(topic)) byRdname.set(topic, []);
+    byRdname.get(topic)!.push(entry);
+  }
+
+  for (const entry of entries) {
+    const group = byRdname.get(entry.rdname || entry.name) || [];
+    const sources = [
+      ...group.filter(other => other !== entry),
+      ...entry.inherit_params
+        .map(source => byName.get(source.replace(/^\w+::/, '')))
+        .filter((source): source is RoxygenEntry => source !== undefined),
+    ];
+    for (const source of sources) {
+      for (const param of source.params) {
+        if (!entry.params.some(p => p.name === param.name)) {
+          entry.params.push({ ...param });
+        }
+      }
+    }
+    if (entry.rdname) {
+      const primary = group.find(other => other.title);
+      if (!entry.title && primary) entry.title = primary.title;
+      if (!entry.description && primary) entry.description = primary.description;
+    }
+  }
+
+  return entries;
+}
+
+// Rank index entries against a free-text query (function names weigh most)
+function rankRoxygenEntries(entries: RoxygenEntry[], query: string): { entry: RoxygenEntry; score: number }[] {
+  const needle = query.toLowerCase().trim();
+  const terms = needle.split(/[\s,]+/).filter(Boolean);
+
+  return entries
+    .map(entry => {
+      const name = entry.name.toLowerCase();
+      let score = 0;
+      if (name === needle) score += 100;
+      else if (name.startsWith(needle)) score += 50;
+      else if (name.includes(needle)) score += 30;
+
+      for (const term of terms) {
+        if (name.includes(term)) score += 10;
+        if (entry.aliases.some(alias => alias.toLowerCase().includes(term))) score += 8;
+        if (entry.title.toLowerCase().includes(term)) score += 6;
+        if (entry.family.some(family => family.toLowerCase().includes(term))) score += 4;
+        if (entry.params.some(param => param.name.toLowerCase() === term)) score += 3;
+        if (entry.description.toLowerCase().includes(term)) score += 2;
+        if (entry.examples.toLowerCase().includes(term)) score += 1;
+      }
+      // Prefer exported functions over internals and over the methods documented with them
+      if (score > 0 && entry.exported && !entry.s3) score += 5;
+      return { entry, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name));
+}
+
+// Directives of an R package NAMESPACE file
+interface PackageNamespace {
+  exports: string[];
+  export_patterns: string[];
+  s3_methods: { generic: string; class: string; method: string }[];
+  imports: string[];
+  import_from: { package: string; names: string[] }[];
+  dyn_libs: { library: string; symbols: string[] }[];
+}
+
+function unquoteR(value: string): string {
+  const match = value.trim().match(/^(["'`])([\s\S]*)\1$/);
+  return match ? match[2].replace(/\\(.)/g, '$1') : value.trim();
+}
+
+// Split the arguments of an R call at top-level commas
+function splitRArguments(args: string): string[] {
+  const parts: string[] = [];
+  let start = 0;
+  let i = 0;
+  while (i < args.length) {
+    const ch = args[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      i++;
+      while (i < args.length && args[i] !== ch) i += args[i] === '\\' ? 2 : 1;
+    } else if ('({['.includes(ch)) {
+      const close = findClosingBracket(args, i);
+      if (close > 0) i = close;
+    } else if (ch === ',') {
+      parts.push(args.slice(start, i).trim());
+      start = i + 1;
+    }
+    i++;
+  }
+  parts.push(args.slice(start).trim());
+  return parts.filter(part => part.length > 0);
+}
+
+function parseNamespace(content: string): PackageNamespace {
+  const namespace: PackageNamespace = {
+    exports: [],
+    export_patterns: [],
+    s3_methods: [],
+    imports: [],
+    import_from: [],
+    dyn_libs: [],
+  };
+
+  const source = content.replace(/\r\n?/g, '\n');
+  const directive = /(^|\n)\s*([A-Za-z][A-Za-z0-9]*)\s*\(/g;
+  let match: RegExpExecArray | null;
+  while ((match = directive.exec(source)) !== null) {
+    const openIndex = match.index + match[0].length - 1;
+    const closeIndex = findClosingBracket(source, openIndex);
+    if (closeIndex < 0) break;
+    directive.lastIndex = closeIndex + 1;
+
+    const args = splitRArguments(source.slice(openIndex + 1, closeIndex));
+    const positional = args.filter(arg => !/^[\w.]+\s*=/.test(arg)).map(unquoteR);
+
+    switch (match[2]) {
+      case 'export':
+        namespace.exports.push(...positional);
+        break;
+      case 'exportPattern':
+        namespace.export_patterns.push(...positional);
+        break;
+      case 'S3method': {
+        const [generic, cls, method] = positional;
+        if (generic && cls) {
+          namespace.s3_methods.push({
+            generic: generic.replace(/^[\w.]+::/, ''),
+            class: cls,
+            method: method || `${generic.replace(/^[\w.]+::/, '')}.${cls}`,
+          });
+        }
+        break;
+      }
+      case 'import':
+        namespace.imports.push(...positional);
+        break;
+      case 'importFrom': {
+        const [pkg, ...names] = positional;
+        if (pkg) namespace.import_from.push({ package: pkg, names });
+        break;
+      }
+      case 'useDynLib': {
+        const [library, ...symbols] = positional;
+        if (library) {
+          const registration = args.map(arg => arg.match(/^\.registration\s*=\s*(.+)$/)?.[1]).find(Boolean);
+          namespace.dyn_libs.push({
+            library,
+            symbols: registration ? [...symbols, `.registration = ${registration}`] : symbols,
+          });
+        }
+        break;
+      }
+      // if () blocks and other directives are not evaluated
+    }
+  }
+
+  return namespace;
+}
+
+function isNamespaceExport(namespace: PackageNamespace, name: string): boolean {
+  if (namespace.exports.includes(name)) return true;
+  return namespace.export_patterns.some(pattern => {
+    try {
+      return new RegExp(pattern).test(name);
+    } catch {
+      return false;
+    }
+  });
+}
+
+// Parsed Rd (R documentation) markup: text, or a macro with its {} arguments
+type RdNode = string | RdMacro;
+
+interface RdMacro {
+  macro: string;
+  option?: string;
+  args: RdNode[][];
+}
+
+// Maximum number of {} arguments a macro takes; unlisted macros take one
+const RD_ARG_COUNTS: Record<string, number> = {
+  dots: 0, ldots: 0, R: 0, cr: 0, tab: 0,
+  item: 2, section: 2, subsection: 2, href: 2, method: 2, S3method: 2, S4method: 2,
+  if: 2, enc: 2, tabular: 2, eqn: 2, deqn: 2, figure: 2, ifelse: 3,
+};
+
+// Macros accepting an optional [] argument before their {} arguments
+const RD_OPTION_MACROS = ['link', 'linkS4class', 'Sexpr', 'figure'];
+
+function parseRd(source: string): RdNode[] {
+  const text = source.replace(/\r\n?/g, '\n');
+  const macroName = /[A-Za-z]+\d*/y;
+  let pos = 0;
+
+  const parseSequence = (nested: boolean): RdNode[] => {
+    const nodes: RdNode[] = [];
+    let buffer = '';
+    const flush = () => {
+      if (buffer) nodes.push(buffer);
+      buffer = '';
+    };
+
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === '%') {
+        // Comment to end of line
+        while (pos < text.length && text[pos] !== '\n') pos++;
+        continue;
+      }
+      if (ch === '\\') {
+        const next = text[pos + 1];
+        if (next !== undefined && '%{}\\'.includes(next)) {
+          buffer += next;
+          pos += 2;
+          continue;
+        }
+        macroName.lastIndex = pos + 1;
+        const match = macroName.exec(text);
+        if (!match) {
+          buffer += ch;
+          pos++;
+          continue;
+        }
+        flush();
+        const macro = match[0];
+        pos += 1 + macro.length;
+
+        let option: string | undefined;
+        if (RD_OPTION_MACROS.includes(macro) && text[pos] === '[') {
+          const close = text.indexOf(']', pos);
+          if (close > 0) {
+            option = text.slice(pos + 1, close);
+            pos = close + 1;
+          }
+        }
+
+        const args: RdNode[][] = [];
+        const max = RD_ARG_COUNTS[macro] ?? 1;
+        while (args.length < max && text[pos] === '{') {
+          pos++;
+          args.push(parseSequence(true));
+        }
+        // Macros without arguments are often written with empty braces: \R{}, \dots{}
+        if (max === 0 && text.startsWith('{}', pos)) {
+          pos += 2;
+        }
+        nodes.push({ macro, option, args });
+        continue;
+      }
+      if (ch === '{') {
+        // Literal braces, e.g. R code in \examples
+        pos++;
+        buffer += '{';
+        flush();
+        nodes.push(...parseSequence(true), '}');
+        continue;
+      }
+      if (ch === '}' && nested) {
+        pos++;
+        flush();
+        return nodes;
+      }
+      buffer += ch;
+      pos++;
+    }
+
+    flush();
+    return nodes;
+  };
+
+  return parseSequence(false);
+}
+
+function rdMacro(node: RdNode, name?: string): node is RdMacro {
+  return typeof node !== 'string' && (name === undefined || node.macro === name);
+}
+
+// Plain text of Rd nodes with all markup dropped
+function rdPlainText(nodes: RdNode[]): string {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    if (node.macro === 'dots' || node.macro === 'ldots') return '...';
+    if (node.macro === 'R') return 'R';
+    return rdPlainText(node.args[0] || []);
+  }).join('');
+}
+
+// Render Rd markup to Markdown. In code mode (\usage, \examples, \code) text is
+// kept verbatim and formatting macros are not applied.
+function renderRdNodes(nodes: RdNode[], packageName: string, code: boolean = false): string {
+  const arg = (node: RdMacro, index: number, asCode: boolean = code) =>
+    renderRdNodes(node.args[index] || [], packageName, asCode);
+
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+
+    switch (node.macro) {
+      case 'dots':
+      case 'ldots':
+        return '...';
+      case 'R':
+        return 'R';
+      case 'cr':
+        return '\n';
+      case 'tab':
+        return '\t';
+      case 'code':
+      case 'verb':
+      case 'samp':
+      case 'file':
+      case 'env':
+      case 'option':
+      case 'command':
+      case 'kbd':
+      case 'var': {
+        const inner = arg(node, 0, true);
+        if (code) return inner;
+        // \code{\link{fn}()} becomes a link with code formatting
+        const [link, ...rest] = (node.args[0] || []).filter(child => typeof child !== 'string' || child.trim() !== '');
+        if (link && rdMacro(link, 'link') && rest.every(child => typeof child === 'string')) {
+          return renderRdLink(link, `\`${inner.replace(/\s*\n\s*/g, ' ')}\``, packageName);
+        }
+        return `\`${inner.replace(/\s*\n\s*/g, ' ')}\``;
+      }
+      case 'preformatted':
+        return `\n\n\`\`\`\n${arg(node, 0, true).replace(/^\n+|\s+$/g, '')}\n\`\`\`\n\n`;
+      case 'emph':
+        return code ? arg(node, 0) : `*${arg(node, 0)}*`;
+      case 'strong':
+      case 'bold':
+        return code ? arg(node, 0) : `**${arg(node, 0)}**`;
+      case 'sQuote':
+        return `‘${arg(node, 0)}’`;
+      case 'dQuote':
+        return `“${arg(node, 0)}”`;
+      case 'pkg':
+      case 'acronym':
+      case 'abbr':
+      case 'dfn':
+      case 'cite':
+      case 'concept':
+        return arg(node, 0);
+      case 'link':
+      case 'linkS4class':
+        return code ? arg(node, 0) : renderRdLink(node, arg(node, 0), packageName);
+      case 'href':
+        return code ? arg(node, 1) : `[${arg(node, 1)}](${rdPlainText(node.args[0] || [])})`;
+      case 'url':
+      case 'email':
+        return code ? arg(node, 0) : `<${rdPlainText(node.args[0] || [])}>`;
+      case 'doi': {
+        const doi = rdPlainText(node.args[0] || []);
+        return `[doi:${doi}](https://doi.org/${doi})`;
+      }
+      case 'eqn':
+        return node.args.length > 1 ? arg(node, 1) : `\`${arg(node, 0, true)}\``;
+      case 'deqn':
+        return `\n\n$$${arg(node, 0, true)}$$\n\n`;
+      case 'enc':
+        return arg(node, 0);
+      case 'method':
+      case 'S3method':
+        return `## S3 method for class '${rdPlainText(node.args[1] || [])}'\n${arg(node, 0)}`;
+      case 'S4method':
+        return `## S4 method for signature '${rdPlainText(node.args[1] || [])}'\n${arg(node, 0)}`;
+      case 'dontrun':
+        return `## Not run:\n${arg(node, 0).replace(/^\n+|\n+$/g, '')}\n## End(Not run)`;
+      case 'donttest':
+        return arg(node, 0);
+      case 'dontshow':
+      case 'testonly':
+      case 'figure':
+      case 'out':
+        return '';
+      case 'if':
+        return rdPlainText(node.args[0] || []) === 'html' ? arg(node, 1) : '';
+      case 'ifelse':
+        // Prefer the text/LaTeX branch; the HTML one usually holds badge images
+        return arg(node, 2);
+      case 'Sexpr': {
+        // Lifecycle badges are the one \Sexpr commonly found in tidymodels docs
+        const badge = rdPlainText(node.args[0] || []).match(/badge\(\s*["']([\w-]+)["']\s*\)/);
+        return badge ? `**[${badge[1]}]**` : '';
+      }
+      case 'itemize':
+      case 'enumerate':
+      case 'describe':
+        return renderRdList(node.args[0] || [], node.macro, packageName);
+      case 'tabular':
+        return renderRdTable(node.args[1] || [], packageName);
+      case 'subsection':
+        return `\n\n#### ${arg(node, 0)}\n\n${renderRdParagraphs(node.args[1] || [], packageName)}\n\n`;
+      default:
+        return node.args.map(args => renderRdNodes(args, packageName, code)).join('');
+    }
+  }).join('');
+}
+
+// \link[=topic]{text} stays in this package; \link[pkg]{topic} and
+// \link[pkg:file]{text} point into another one
+function renderRdLink(node: RdMacro, label: string, packageName: string): string {
+  const option = node.option || '';
+  let target = rdPlainText(node.args[0] || []).trim();
+  if (option.startsWith('=')) {
+    target = option.slice(1);
+  } else if (option) {
+    const [linkPackage, file] = option.split(':');
+    if (linkPackage !== packageName) return `${label} (${linkPackage}::${file || target})`;
+    target = file || target;
+  }
+  return `[${label}](tidymodels://man/${packageName}/${target.replace(/\(\)$/, '')})`;
+}
+
+// Collapse the soft line breaks of Rd prose while keeping paragraphs and lists
+function renderRdParagraphs(nodes: RdNode[], packageName: string): string {
+  return renderRdNodes(nodes, packageName)
+    .split('\n')
+    .map(line => line.trim() === '' ? '' : line.replace(/^[ \t]+(?![-\d*])/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function renderRdList(nodes: RdNode[], kind: string, packageName: string): string {
+  const items: string[] = [];
+  let current: string | null = null;
+
+  for (const node of nodes) {
+    if (rdMacro(node, 'item')) {
+      if (current !== null) items.push(current);
+      if (kind === 'describe' || node.args.length === 2) {
+        const term = renderRdNodes(node.args[0] || [], packageName).trim();
+        const body = renderRdParagraphs(node.args[1] || [], packageName);
+        current = `**${term}**: ${body}`;
+      } else {
+        current = node.args.map(args => renderRdNodes(args, packageName)).join('');
+      }
+      continue;
+    }
+    if (current !== null) {
+      current += renderRdNodes([node], packageName);
+    }
+  }
+  if (current !== null) items.push(current);
+
+  const lines = items.map((item, index) => {
+    const text = item.replace(/\s*\n\s*/g, ' ').trim();
+    return kind === 'enumerate' ? `${index + 1}. ${text}` : `- ${text}`;
+  });
+  return `\n\n${lines.join('\n')}\n\n`;
+}
+
+function renderRdTable(nodes: RdNode[], packageName: string): string {
+  const rows = renderRdNodes(nodes, packageName)
+    .split('\n')
+    .map(row => row.trim())
+    .filter(row => row.length > 0)
+    .map(row => row.split('\t').map(cell => cell.trim()));
+  if (rows.length === 0) return '';
+  const width = Math.max(...rows.map(row => row.length));
+  const line = (cells: string[]) =>
+    `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return `\n\n${line(rows[0])}\n|${' --- |'.repeat(width)}\n${rows.slice(1).map(line).join('\n')}\n\n`;
+}
+
+// Render a whole Rd file (man/<topic>.Rd) as a Markdown help page
+function renderRdToMarkdown(source: string, packageName: string): string {
+  const nodes = parseRd(source);
+  const sections = nodes.filter((node): node is RdMacro => rdMacro(node));
+  const first = (name: string) => sections.find(node => node.macro === name);
+  const all = (name: string) => sections.filter(node => node.macro === name);
+  const prose = (node?: RdMacro, index: number = 0) =>
+    node ? renderRdParagraphs(node.args[index] || [], packageName) : '';
+  const codeBlock = (node?: RdMacro) =>
+    node ? renderRdNodes(node.args[0] || [], packageName, true).replace(/^\s*\n/, '').replace(/\s+$/, '') : '';
+
+  const name = rdPlainText(first('name')?.args[0] || []).trim();
+  const title = prose(first('title')).replace(/\s*\n\s*/g, ' ');
+  const aliases = all('alias').map(node => rdPlainText(node.args[0] || []).trim());
+
+  const parts: string[] = [`# ${title || name}`];
+  parts.push(`\`${packageName}::${name}\`${aliases.length > 1 ? ` (aliases: ${aliases.map(alias => `\`${alias}\``).join(', ')})` : ''}`);
+
+  const addSection = (heading: string, body: string) => {
+    if (body.trim()) parts.push(`## ${heading}\n\n${body.trim()}`);
+  };
+
+  addSection('Description', prose(first('description')));
+  if (first('usage')) addSection('Usage', `\`\`\`r\n${codeBlock(first('usage'))}\n\`\`\``);
+
+  const argumentsSection = first('arguments');
+  if (argumentsSection) {
+    const items = (argumentsSection.args[0] || []).filter((node): node is RdMacro => rdMacro(node, 'item'));
+    const otherText = renderRdParagraphs(
+      (argumentsSection.args[0] || []).filter(node => !rdMacro(node, 'item')),
+      packageName
+    );
+    addSection('Arguments', [
+      ...items.map(item => {
+        const argName = renderRdNodes(item.args[0] || [], packageName, true).trim();
+        const description = renderRdParagraphs(item.args[1] || [], packageName).replace(/\n\n/g, '\n\n  ');
+        return `- \`${argName}\`: ${description}`;
+      }),
+      otherText,
+    ].filter(Boolean).join('\n'));
+  }
+
+  addSection('Value', prose(first('value')));
+  addSection('Format', prose(first('format')));
+  addSection('Details', prose(first('details')));
+  for (const section of all('section')) {
+    addSection(renderRdNodes(section.args[0] || [], packageName).trim(), prose(section, 1));
+  }
+  addSection('Note', prose(first('note')));
+  addSection('References', prose(first('references')));
+  addSection('See Also', prose(first('seealso')));
+  addSection('Author', prose(first('author')));
+  if (first('examples')) addSection('Examples', `\`\`\`r\n${codeBlock(first('examples'))}\n\`\`\``);
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+// Render an R Markdown (or Quarto) vignette as plain Markdown: the YAML header
+// is dropped (its title is returned), and each code chunk becomes a fenced
+// block whose chunk options are kept as "#|" lines, the way Quarto writes them
+function renderRmdToMarkdown(content: string): { title?: string; markdown: string } {
+  let text = content.replace(/\r\n?/g, '\n');
+  let title: string | undefined;
+  const header = text.match(/^---\n([\s\S]*?)\n---[ \t]*(\n|$)/);
+  if (header) {
+    title = header[1].match(/^title:\s*(.*?)\s*$/m)?.[1].replace(/^(["'])(.*)\1$/, '$2');
+    text = text.slice(header[0].length);
+  }
+
+  const lines = text.split('\n');
+  const output: string[] = [];
+  for (let i = 0; i < lines.length; i++) {
+    // ```{r label, echo = FALSE}
+    const chunk = lines[i].match(/^(\s*)(`{3,})\s*\{\s*([A-Za-z]\w*)(.*)\}\s*$/);
+    if (!chunk) {
+      output.push(lines[i]);
+      continue;
+    }
+    const [, indent, fence, engine, rest] = chunk;
+    output.push(`${indent}${fence}${engine.toLowerCase()}`);
+    splitRArguments(rest.replace(/^\s*,/, '')).forEach((option, k) => {
+      const named = option.match(/^([\w.-]+)\s*=\s*([\s\S]+)$/);
+      if (named) {
+        output.push(`${indent}#| ${named[1]}: ${named[2].trim()}`);
+      } else if (k === 0) {
+        output.push(`${indent}#| label: ${unquoteR(option)}`);
+      }
+    });
+    const close = new RegExp(`^\\s*${fence}\\s*$`);
+    while (++i < lines.length && !close.test(lines[i])) {
+      output.push(lines[i]);
+    }
+    output.push(`${indent}${fence}`);
+  }
+  return { ...(title ? { title } : {}), markdown: output.join('\n').trim() };
+}
+
+// A section of the `reference:` index of a pkgdown _pkgdown.yml
+interface PkgdownReferenceSection {
+  title?: string;
+  subtitle?: string;
+  desc?: string;
+  contents: string[];
+}
+
+function unquoteYaml(value: string): string {
+  const match = value.trim().match(/^(["'])(.*)\1$/);
+  if (!match) return value.trim();
+  return match[1] === "'" ? match[2].replace(/''/g, "'") : match[2].replace(/\\(.)/g, '$1');
+}
+
+// Read the `reference:` list of _pkgdown.yml: sections with a title (or
+// subtitle), an optional (possibly folded) description and their contents.
+// Only this part of the YAML is parsed.
+function parsePkgdownReference(config: string): PkgdownReferenceSection[] {
+  const lines = config.replace(/\r\n?/g, '\n').split('\n');
+  const start = lines.findIndex(line => /^reference:\s*$/.test(line));
+  if (start < 0) return [];
+
+  const sections: PkgdownReferenceSection[] = [];
+  let section: PkgdownReferenceSection | null = null;
+  let key: string | null = null;
+  let keyIndent = 0;
+  for (const line of lines.slice(start + 1)) {
+    if (/^\S/.test(line)) break;
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    const indent = line.match(/^\s*/)![0].length;
+    const item = line.match(/^\s*-\s+(.*)$/);
+    const field = (item ? item[1] : line.trim()).match(/^(title|subtitle|desc|contents):\s*(.*)$/);
+
+    if (field) {
+      if (item || !section) {
+        section = { contents: [] };
+        sections.push(section);
+      }
+      key = field[1];
+      keyIndent = indent;
+      const value = field[2].trim();
+      if (key === 'title' || key === 'subtitle') {
+        section[key] = unquoteYaml(value);
+      } else if (key === 'desc') {
+        section.desc = /^[>|][+-]?$/.test(value) ? '' : unquoteYaml(value);
+      }
+    } else if (item && key === 'contents' && section) {
+      section.contents.push(unquoteYaml(item[1]));
+    } else if (key === 'desc' && section && indent > keyIndent) {
+      section.desc = section.desc ? `${section.desc} ${line.trim()}` : line.trim();
+    }
+  }
+  return sections;
+}
+
+// Topics selected by pkgdown `contents` entries: topic names and the
+// starts_with(), ends_with(), contains() and matches() selectors. Selectors
+// that need the Rd metadata (has_concept(), has_keyword(), ...) are returned
+// unresolved.
+function resolvePkgdownContents(contents: string[], topics: string[]): { topics: string[]; unresolved: string[] } {
+  const selected: string[] = [];
+  const unresolved: string[] = [];
+  for (const entry of contents) {
+    const selector = entry.match(/^(starts_with|ends_with|contains|matches)\(\s*(["'])(.*)\2\s*\)$/);
+    if (selector) {
+      const [, fn, , value] = selector;
+      const test = fn === 'starts_with' ? (topic: string) => topic.startsWith(value)
+        : fn === 'ends_with' ? (topic: string) => topic.endsWith(value)
+          : fn === 'contains' ? (topic: string) => topic.includes(value)
+            : (topic: string) => new RegExp(value).test(topic);
+      for (const topic of topics.filter(test)) addUnique(selected, topic);
+    } else if (/^[\w.]+\(.*\)$/.test(entry)) {
+      unresolved.push(entry);
+    } else {
+      addUnique(selected, entry.replace(/^`|`$/g, ''));
+    }
+  }
+  return { topics: selected, unresolved };
+}
+
+interface CacheEntry {
+  etag?: string;
+  last_modified?: string;
+  has_next?: boolean;
+  stored_at: number;
+  data: any;
+}
+
+type CacheIndexEntry = { file: string; size: number; last_access: number };
+
+// How old an entry file missing from the index must be before sweep() removes
+// it; younger ones may belong to another process that hasn't saved its index yet
+const CACHE_SWEEP_GRACE_MS = 10 * 60 * 1000;
+
+// On-disk response cache: one JSON file per entry plus an index kept in
+// least-recently-used order. Entries are evicted once the total size exceeds maxBytes.
+// Several processes (stdio servers, HTTP sessions) may share the directory, so
+// the index is merged with the one on disk before it is written.
+class PersistentCache {
+  private index: Map<string, CacheIndexEntry> = new Map();
+  // Keys this process wrote, read, or evicted or dropped since the index was
+  // last merged with the one on disk
+  private written = new Set<string>();
+  private accessed = new Set<string>();
+  private removed = new Set<string>();
+  private loading: Promise<void> | null = null;
+  private saveTimer: ReturnType<typeof setTimeout> | null = null;
+  private counters = { hits: 0, misses: 0, revalidated: 0, stale_served: 0, writes: 0, evictions: 0 };
+  // Other files in the directory (the search index) that count against maxBytes
+  private reservedBytes = 0;
+
+  constructor(private dir: string, private maxBytes: number) {}
+
+  private load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.mkdir(this.dir, { recursive: true });
+        this.index = await this.readIndex();
+        await this.sweep();
+      })();
+    }
+    return this.loading;
+  }
+
+  // index.json as saved by any process, in least-recently-used order
+  private async readIndex(): Promise<Map<string, CacheIndexEntry>> {
+    try {
+      const saved = JSON.parse(await fs.readFile(join(this.dir, 'index.json'), 'utf-8'));
+      const entries = Object.entries(saved as Record<string, CacheIndexEntry>)
+        .sort(([, a], [, b]) => a.last_access - b.last_access);
+      return new Map(entries);
+    } catch {
+      return new Map();
+    }
+  }
+
+  // Entry files missing from the index (written just before an exit that
+  // lost the index update) are never read or evicted, so remove them once
+  // they are older than the grace period
+  private async sweep() {
+    const indexed = new Set([...this.index.values()].map(meta => meta.file));
+    const files = await fs.readdir(this.dir).catch(() => [] as string[]);
+    const cutoff = Date.now() - CACHE_SWEEP_GRACE_MS;
+    await Promise.all(files
+      .filter(file => /^[0-9a-f]{40}\.json$/.test(file) && !indexed.has(file))
+      .map(async file => {
+        const stats = await fs.stat(join(this.dir, file)).catch(() => null);
+        if (stats && stats.mtimeMs < cutoff) await fs.unlink(join(this.dir, file)).catch(() => undefined);
+      }));
+  }
+
+  // Take up what other processes have written to index.json since it was read:
+  // their entries, with this process's own changes on top. A read doesn't
+  // bring back an entry another process has removed since.
+  private async mergeIndex() {
+    const merged = await this.readIndex();
+    for (const key of this.removed) merged.delete(key);
+    for (const key of new Set([...this.written, ...this.accessed])) {
+      const meta = this.index.get(key);
+      const saved = merged.get(key);
+      if (!meta || (!saved && !this.written.has(key))) continue;
+      if (!saved || saved.last_access <= meta.last_access) merged.set(key, meta);
+    }
+    this.index = new Map([...merged].sort(([, a], [, b]) => a.last_access - b.last_access));
+    this.written.clear();
+    this.accessed.clear();
+    this.removed.clear();
+  }
+
+  // Replace index.json with a rename so that no reader sees half a file
+  private async saveIndex() {
+    try {
+      await this.mergeIndex();
+      await this.evict();
+      this.removed.clear();
+
+      const file = join(this.dir, 'index.json');
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(Object.fromEntries(this.index)));
+      await fs.rename(temp, file);
+    } catch (error) {
+      console.error('Error saving cache index:', error);
+    }
+  }
+
+  private scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      await this.saveIndex();
+    }, 1000);
+    this.saveTimer.unref?.();
+  }
+
+  // Write a pending index update now, e.g. before the process exits
+  async flush(): Promise<void> {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.saveIndex();
+  }
+
+  async get(key: string): Promise<CacheEntry | null> {
+    await this.load();
+    const meta = this.index.get(key);
+    if (!meta) return null;
+
+    try {
+      const entry = JSON.parse(await fs.readFile(join(this.dir, meta.file), 'utf-8'));
+      // Move to the most recently used end
+      this.index.delete(key);
+      this.index.set(key, { ...meta, last_access: Date.now() });
+      this.accessed.add(key);
+      this.scheduleSave();
+      return entry;
+    } catch {
+      this.index.delete(key);
+      this.removed.add(key);
+      return null;
+    }
+  }
+
+  async set(key: string, entry: CacheEntry): Promise<void> {
+    await this.load();
+    const file = `${createHash('sha1').update(key).digest('hex')}.json`;
+    const text = JSON.stringify(entry);
+    await fs.writeFile(join(this.dir, file), text);
+
+    this.index.delete(key);
+    this.removed.delete(key);
+    this.written.add(key);
+    this.index.set(key, { file, size: Buffer.byteLength(text), last_access: Date.now() });
+    this.counters.writes++;
+    await this.evict();
+    this.scheduleSave();
+  }
+
+  private totalBytes(): number {
+    let total = 0;
+    for (const meta of this.index.values()) total += meta.size;
+    return total;
+  }
+
+  async reserve(bytes: number): Promise<void> {
+    await this.load();
+    this.reservedBytes = bytes;
+    await this.evict();
+    this.scheduleSave();
+  }
+
+  private async evict() {
+    let total = this.totalBytes() + this.reservedBytes;
+    for (const [key, meta] of this.index) {
+      if (total <= this.maxBytes) break;
+      this.index.delete(key);
+      this.removed.add(key);
+      total -= meta.size;
+      this.counters.evictions++;
+      await fs.unlink(join(this.dir, meta.file)).catch(() => undefined);
+    }
+  }
+
+  record(event: 'hits' | 'misses' | 'revalidated' | 'stale_served') {
+    this.counters[event]++;
+  }
+
+  async clear(): Promise<number> {
+    await this.load();
+    await this.mergeIndex();
+    const removed = this.index.size;
+    await Promise.all([...this.index.values()].map(meta =>
+      fs.unlink(join(this.dir, meta.file)).catch(() => undefined)
+    ));
+    for (const key of this.index.keys()) this.removed.add(key);
+    this.index.clear();
+    this.scheduleSave();
+    return removed;
+  }
+
+  async stats(): Promise<any> {
+    await this.load();
+    return {
+      directory: this.dir,
+      entries: this.index.size,
+      bytes: this.totalBytes(),
+      reserved_bytes: this.reservedBytes,
+      max_bytes: this.maxBytes,
+      ...this.counters,
+    };
+  }
+}
+
+// A document of the local search index: an R file, an Rd page, a vignette,
+// a README or an issue. `version` (a blob SHA, or an issue's updated_at) tells
+// whether the document changed since it was indexed.
+interface SearchDocument {
+  id: string;
+  repo: string;
+  kind: 'code' | 'docs' | 'vignette' | 'readme' | 'issue';
+  path?: string;
+  version: string;
+  url: string;
+  fields: { name: string; title: string; body: string };
+  // Issue metadata, for the same filters as GitHub issue search
+  issue?: {
+    number: number;
+    state: string;
+    is_pr: boolean;
+    merged?: boolean;
+    labels: string[];
+    author?: string;
+    comments: number;
+    created_at?: string;
+    updated_at?: string;
+    closed_at?: string;
+  };
+}
+
+const SEARCH_FIELDS = ['name', 'title', 'body'] as const;
+
+// BM25F field boosts: a match in a function name counts most, then titles
+const SEARCH_FIELD_WEIGHTS: Record<typeof SEARCH_FIELDS[number], number> = { name: 4, title: 2, body: 1 };
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const SEARCH_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with',
+]);
+
+// Lowercased words and identifiers; step_dummy and fit.model_spec also count
+// as their parts
+function searchTokens(text: string): string[] {
+  const tokens: string[] = [];
+  for (const match of text.toLowerCase().matchAll(/[a-z0-9][a-z0-9_.]*[a-z0-9]|[a-z0-9]/g)) {
+    const token = match[0];
+    if (!SEARCH_STOPWORDS.has(token)) tokens.push(token);
+    if (/[_.]/.test(token)) {
+      for (const part of token.split(/[_.]+/)) {
+        if (part && !SEARCH_STOPWORDS.has(part)) tokens.push(part);
+      }
+    }
+  }
+  return tokens;
+}
+
+interface SearchIndexRepoState {
+  pushed_at?: string;
+  issues_updated_at?: string;
+  issues_capped?: boolean;
+}
+
+// Inverted index with BM25F ranking, kept on disk as its documents (postings
+// are rebuilt on load). Per repository it remembers the pushed_at it was
+// indexed at and the newest issue update seen, so updates only touch what changed.
+// `updated_at` is the end of the last update of every repository.
+class SearchIndex {
+  private documents: Map<string, SearchDocument> = new Map();
+  // term -> document id -> occurrences per field
+  private postings: Map<string, Map<string, number[]>> = new Map();
+  private lengths: Map<string, number[]> = new Map();
+  private totalLengths: number[] = SEARCH_FIELDS.map(() => 0);
+  private repos: Map<string, SearchIndexRepoState> = new Map();
+  private updatedAt: string | null = null;
+  // Set when an update failed for some repository, until one succeeds for all
+  private stale = false;
+  private loading: Promise<void> | null = null;
+  private saveTimer: ReturnType<typeof setTimeout> | null = null;
+
+  // The file counts against the on-disk cache's size cap: it is kept in
+  // memory only when larger than maxBytes, and onSize hears of its size
+  constructor(
+    private file: string | null,
+    private maxBytes: number,
+    private onSize?: (bytes: number) => void
+  ) {}
+
+  load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (!this.file) return;
+        try {
+          const text = await fs.readFile(this.file, 'utf-8');
+          const saved = JSON.parse(text);
+          this.onSize?.(Buffer.byteLength(text));
+          this.repos = new Map(Object.entries(saved.repos || {}));
+          this.updatedAt = saved.updated_at || null;
+          this.stale = Boolean(saved.stale);
+          for (const doc of saved.documents || []) this.add(doc);
+        } catch {
+          // Not built yet
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  private async save() {
+    try {
+      const text = JSON.stringify({
+        updated_at: this.updatedAt,
+        stale: this.stale,
+        repos: Object.fromEntries(this.repos),
+        documents: [...this.documents.values()],
+      });
+      const bytes = Buffer.byteLength(text);
+      if (bytes > this.maxBytes) {
+        console.error(`Search index (${Math.ceil(bytes / 1048576)} MB) exceeds the cache size cap; keeping it in memory only`);
+        await fs.unlink(this.file!).catch(() => undefined);
+        this.onSize?.(0);
+        return;
+      }
+      await fs.mkdir(dirname(this.file!), { recursive: true });
+      await fs.writeFile(this.file!, text);
+      this.onSize?.(bytes);
+    } catch (error) {
+      console.error('Error saving search index:', error);
+    }
+  }
+
+  private scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      await this.save();
+    }, 1000);
+    this.saveTimer.unref?.();
+  }
+
+  // Write pending changes now, e.g. before the process exits
+  async flush(): Promise<void> {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  get size(): number {
+    return this.documents.size;
+  }
+
+  has(kind: SearchDocument['kind']): boolean {
+    for (const doc of this.documents.values()) {
+      if (doc.kind === kind) return true;
+    }
+    return false;
+  }
+
+  get(id: string): SearchDocument | undefined {
+    return this.documents.get(id);
+  }
+
+  repoState(repo: string): SearchIndexRepoState {
+    return this.repos.get(repo) || {};
+  }
+
+  setRepoState(repo: string, state: SearchIndexRepoState) {
+    this.repos.set(repo, { ...this.repoState(repo), ...state });
+    this.scheduleSave();
+  }
+
+  // Record that every repository has just been updated
+  markUpdated() {
+    this.updatedAt = new Date().toISOString();
+    this.stale = false;
+    this.scheduleSave();
+  }
+
+  // Record that an update left some repository behind
+  markStale() {
+    this.stale = true;
+    this.scheduleSave();
+  }
+
+  // Whether the last complete update is younger than maxAgeMs, and no update failed since
+  isFresh(maxAgeMs: number): boolean {
+    return !this.stale && this.updatedAt !== null && Date.now() - Date.parse(this.updatedAt) < maxAgeMs;
+  }
+
+  // Whether the issues of any of these repositories (default: all) were cut
+  // off by the listing's page limit, so older issues are missing
+  issuesCapped(repos?: string[]): boolean {
+    return [...this.repos.entries()].some(([repo, state]) =>
+      state.issues_capped && (!repos || repos.includes(repo))
+    );
+  }
+
+  documentsOf(repo: string, kinds: SearchDocument['kind'][]): SearchDocument[] {
+    return [...this.documents.values()].filter(doc => doc.repo === repo && kinds.includes(doc.kind));
+  }
+
+  add(doc: SearchDocument) {
+    this.remove(doc.id);
+    this.documents.set(doc.id, doc);
+    const lengths = SEARCH_FIELDS.map(() => 0);
+    SEARCH_FIELDS.forEach((field, f) => {
+      const tokens = searchTokens(doc.fields[field]);
+      lengths[f] = tokens.length;
+      this.totalLengths[f] += tokens.length;
+      for (const token of tokens) {
+        let posting = this.postings.get(token);
+        if (!posting) {
+          posting = new Map();
+          this.postings.set(token, posting);
+        }
+        let counts = posting.get(doc.id);
+        if (!counts) {
+          counts = SEARCH_FIELDS.map(() => 0);
+          posting.set(doc.id, counts);
+        }
+        counts[f]++;
+      }
+    });
+    this.lengths.set(doc.id, lengths);
+    this.scheduleSave();
+  }
+
+  remove(id: string) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+    for (const field of SEARCH_FIELDS) {
+      for (const token of new Set(searchTokens(doc.fields[field]))) {
+        const posting = this.postings.get(token);
+        posting?.delete(id);
+        if (posting?.size === 0) this.postings.delete(token);
+      }
+    }
+    const lengths = this.lengths.get(id)!;
+    lengths.forEach((length, f) => { this.totalLengths[f] -= length; });
+    this.lengths.delete(id);
+    this.documents.delete(id);
+    this.scheduleSave();
+  }
+
+  // Empty the index; returns the number of documents removed
+  clear(): number {
+    const removed = this.documents.size;
+    this.documents.clear();
+    this.postings.clear();
+    this.lengths.clear();
+    this.totalLengths = SEARCH_FIELDS.map(() => 0);
+    this.repos.clear();
+    this.updatedAt = null;
+    this.stale = false;
+    this.scheduleSave();
+    return removed;
+  }
+
+  stats(): any {
+    const kinds: Record<string, number> = {};
+    for (const doc of this.documents.values()) kinds[doc.kind] = (kinds[doc.kind] || 0) + 1;
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      repositories: this.repos.size,
+      kinds,
+      updated_at: this.updatedAt,
+      stale: this.stale,
+    };
+  }
+
+  // Rank documents of the given kinds for a query in GitHub search syntax:
+  // words are ranked with BM25F (a word missing from the index also matches
+  // words one edit away), "quoted phrases" must appear verbatim, and the
+  // repo:, path:, extension:, filename: and issue qualifiers filter.
+  search(query: string, kinds: SearchDocument['kind'][]): { doc: SearchDocument; score: number; snippet?: { line: number; text: string } }[] {
+    const { terms, qualifiers } = parseSearchQuery(query);
+    const phrases = terms.filter(term => /\s/.test(term));
+    const tokens = [...new Set(terms.flatMap(term => searchTokens(term)))];
+
+    const candidates = new Map<string, number>();
+    const docCount = Math.max(1, this.documents.size);
+    const averages = this.totalLengths.map(total => Math.max(1, total / docCount));
+    for (const token of tokens) {
+      let expansions: [string, number][] = this.postings.has(token) ? [[token, 1]] : [];
+      if (expansions.length === 0 && token.length >= 5) {
+        expansions = [...this.postings.keys()]
+          .filter(term => Math.abs(term.length - token.length) <= 1 && editDistance(term, token) <= 1)
+          .map(term => [term, 0.5]);
+      }
+      for (const [term, weight] of expansions) {
+        const posting = this.postings.get(term)!;
+        const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+        for (const [id, counts] of posting) {
+          const lengths = this.lengths.get(id)!;
+          let tf = 0;
+          SEARCH_FIELDS.forEach((field, f) => {
+            if (counts[f] === 0) return;
+            tf += SEARCH_FIELD_WEIGHTS[field] * counts[f] / (1 - BM25_B + BM25_B * lengths[f] / averages[f]);
+          });
+          candidates.set(id, (candidates.get(id) || 0) + weight * idf * tf / (BM25_K1 + tf));
+        }
+      }
+    }
+    // Only filters: every document of the kinds is a candidate
+    if (tokens.length === 0) {
+      for (const doc of this.documents.values()) candidates.set(doc.id, 0);
+    }
+
+    const extensions = [...(qualifiers.extension || []), ...(qualifiers.language || [])]
+      .map(ext => ext.toLowerCase().replace(/^\./, ''));
+    const repos = (qualifiers.repo || []).map(repo => repo.split('/').pop()!.toLowerCase());
+    const results: { doc: SearchDocument; score: number; snippet?: { line: number; text: string } }[] = [];
+    for (const [id, score] of candidates) {
+      const doc = this.documents.get(id)!;
+      if (!kinds.includes(doc.kind)) continue;
+      if (repos.length > 0 && !repos.includes(doc.repo.toLowerCase())) continue;
+      const path = (doc.path || '').toLowerCase();
+      if (extensions.length > 0 && !extensions.some(ext => path.endsWith(`.${ext}`))) continue;
+      if (qualifiers.path && !qualifiers.path.some(prefix => path.includes(prefix.toLowerCase().replace(/^\//, '')))) continue;
+      if (qualifiers.filename && !qualifiers.filename.some(name => path.split('/').pop() === name.toLowerCase())) continue;
+      if (doc.issue && !matchesIssueQualifiers(doc.issue, qualifiers)) continue;
+      if (!doc.issue && (qualifiers.is || qualifiers.state)) continue;
+
+      const text = `${doc.fields.title}\n${doc.fields.body}`.toLowerCase();
+      if (!phrases.every(phrase => text.includes(phrase))) continue;
+      results.push({ doc, score, snippet: searchSnippet(doc.fields.body, phrases, tokens) });
+    }
+    return results.sort((a, b) => b.score - a.score || a.doc.id.localeCompare(b.doc.id));
+  }
+}
+
+// is:, state:, author:, label: and date qualifiers against an indexed issue
+function matchesIssueQualifiers(issue: NonNullable<SearchDocument['issue']>, qualifiers: Record<string, string[]>): boolean {
+  if ((qualifiers.is || []).includes('pr') && !issue.is_pr) return false;
+  if ((qualifiers.is || []).includes('issue') && issue.is_pr) return false;
+  if (qualifiers.state && !qualifiers.state.includes(issue.state)) return false;
+  if (qualifiers.author && !qualifiers.author.includes(issue.author || '')) return false;
+  if (qualifiers.label && !qualifiers.label.every(label => issue.labels.includes(label))) return false;
+  const dates: Record<string, string | undefined> = { created: issue.created_at, updated: issue.updated_at, closed: issue.closed_at };
+  return Object.entries(dates).every(([field, date]) => (qualifiers[field] || []).every(range => matchesDateRange(date, range)));
+}
+
+// The line of a document that best matches the query, with its neighbours
+function searchSnippet(body: string, phrases: string[], tokens: string[]): { line: number; text: string } | undefined {
+  const lines = body.split('\n');
+  let best = -1;
+  let bestScore = 0;
+  lines.forEach((line, i) => {
+    const lower = line.toLowerCase();
+    const score = phrases.filter(phrase => lower.includes(phrase)).length * 10 +
+      tokens.filter(token => lower.includes(token)).length;
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  if (best < 0) return undefined;
+  const text = lines.slice(Math.max(0, best - 1), best + 2).join('\n').trim();
+  return { line: best + 1, text: text.length > 300 ? `${text.slice(0, 300)}…` : text };
+}
+
+// Index documents of a repository file: R code, Rd pages, vignettes and READMEs
+function searchDocumentForFile(repo: string, path: string, sha: string, content: string): SearchDocument | null {
+  const base = {
+    id: `${repo}:${path}`,
+    repo,
+    path,
+    version: sha,
+    url: `https://github.com/tidymodels/${repo}/blob/HEAD/${path}`,
+  };
+  if (/^R\/.*\.R$/i.test(path)) {
+    const names = [...content.matchAll(/^([\w.]+|`[^`]+`)\s*(?:<-|=)\s*function\b/gm)].map(match => match[1].replace(/`/g, ''));
+    const titles = parseRoxygenFile(content, repo, path).map(entry => entry.title).filter(Boolean);
+    return { ...base, kind: 'code', fields: { name: names.join(' '), title: titles.join('\n'), body: content } };
+  }
+  if (/^man\/.*\.Rd$/.test(path)) {
+    const nodes = parseRd(content);
+    const field = (macro: string) => nodes
+      .filter((node): node is RdMacro => rdMacro(node, macro))
+      .map(node => rdPlainText(node.args[0] || []).trim());
+    return {
+      ...base,
+      kind: 'docs',
+      fields: {
+        name: [...new Set([...field('name'), ...field('alias')])].join(' '),
+        title: field('title').join(' '),
+        body: renderRdToMarkdown(content, repo),
+      },
+    };
+  }
+  if (/^vignettes\/.*\.(Rmd|qmd|md)$/i.test(path)) {
+    const title = content.match(/^title:\s*["']?(.*?)["']?\s*$/m)?.[1] || '';
+    const name = path.split('/').pop()!.replace(/\.\w+$/, '');
+    return { ...base, kind: 'vignette', fields: { name, title, body: content } };
+  }
+  if (/^README\.(md|Rmd)$/i.test(path)) {
+    const title = content.match(/^#\s+(.*)$/m)?.[1] || repo;
+    return { ...base, kind: 'readme', fields: { name: repo, title, body: content } };
+  }
+  return null;
+}
+
+function searchDocumentForIssue(repo: string, issue: any): SearchDocument {
+  const isPr = Boolean(issue.pull_request);
+  return {
+    id: `${repo}#${issue.number}`,
+    repo,
+    kind: 'issue',
+    version: issue.updated_at || '',
+    url: issue.html_url || `https://github.com/tidymodels/${repo}/issues/${issue.number}`,
+    fields: { name: '', title: issue.title || '', body: compactText(issue.body, 20000) },
+    issue: {
+      number: issue.number,
+      state: issue.state,
+      is_pr: isPr,
+      ...(isPr && issue.pull_request.merged_at ? { merged: true } : {}),
+      labels: (issue.labels || []).map((label: any) => typeof label === 'string' ? label : label.name),
+      author: issue.user?.login,
+      comments: issue.comments || 0,
+      created_at: issue.created_at,
+      updated_at: issue.updated_at,
+      closed_at: issue.closed_at || undefined,
+    },
+  };
+}
+
+// An indexed issue in the shape of the GitHub API, for summarizeIssue()
+function issueFromSearchDocument(doc: SearchDocument): any {
+  const issue = doc.issue!;
+  return {
+    repository_url: `https://api.github.com/repos/tidymodels/${doc.repo}`,
+    number: issue.number,
+    title: doc.fields.title,
+    state: issue.state,
+    ...(issue.is_pr ? { pull_request: { merged_at: issue.merged ? issue.closed_at : null } } : {}),
+    user: { login: issue.author },
+    labels: issue.labels,
+    comments: issue.comments,
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    closed_at: issue.closed_at,
+    html_url: doc.url,
+    body: doc.fields.body,
+  };
+}
+
+// Repository files the search index reads
+const SEARCH_INDEX_PATHS = /^(R\/[^/]+\.R|man\/[^/]+\.Rd|vignettes\/.+\.(Rmd|qmd|md)|README\.(md|Rmd))$/;
+
+// The pages fetched from a list or search endpoint. `capped` is set when the
+// endpoint had more results than were fetched.
+interface PagedResult<T> {
+  items: T[];
+  total_count: number;
+  pages: number;
+  capped: boolean;
+}
+
+// Where repositories, file contents, code search and issues come from.
+// Results use the shapes of the GitHub REST API so callers don't care which
+// implementation is active.
+interface RepositorySource {
+  readonly name: string;
+  listRepos(maxPages?: number): Promise<PagedResult<any>>;
+  getContent(repo: string, path: string): Promise<any>;
+  searchCode(query: string, maxPages?: number): Promise<PagedResult<any>>;
+  // One page of issue search results, `perPage` (at most 100) to a page
+  searchIssues(query: string, params: Record<string, any>, page?: number, perPage?: number): Promise<PagedResult<any>>;
+  // Issues and pull requests of a repository, most recently updated first;
+  // with `since`, only those updated at or after that time
+  listIssues(repo: string, since?: string, maxPages?: number): Promise<PagedResult<any>>;
+  getIssue(repo: string, number: number): Promise<any>;
+  listIssueComments(repo: string, number: number, maxPages?: number): Promise<PagedResult<any>>;
+  // Timeline events of an issue; "cross-referenced" ones carry the linking issue or PR
+  listIssueTimeline(repo: string, number: number, maxPages?: number): Promise<PagedResult<any>>;
+  cacheStats(): Promise<any>;
+  clearCache(): Promise<number>;
+  // Write pending cache bookkeeping to disk before the process exits
+  flushCache(): Promise<void>;
+  // Size of the search index file, which shares the cache's size cap
+  reserveCacheBytes(bytes: number): Promise<void>;
+}
+
+class GitHubApiSource implements RepositorySource {
+  readonly name = 'github';
+  private static maxRetries = 3;
+  // Longest Retry-After/reset wait we sleep through before giving up (ms)
+  private static maxBackoffMs = 60000;
+  // Directory listings of the contents API stop at this many entries
+  private static contentsListingLimit = 1000;
+  private axiosInstance: any;
+  // Latest X-RateLimit-* values per resource bucket (core, search, ...)
+  private rateLimits: Map<string, { limit: number; remaining: number; reset: number }> = new Map();
+
+  constructor(token?: string, private cache: PersistentCache | null = null, private cacheTtlMs: number = 0) {
+    this.axiosInstance = axios.create({
+      baseURL: 'https://api.github.com',
+      headers: token ? {
+        Authorization: `token ${token}`
+      } : {},
+      // 304 Not Modified is the expected answer to a successful revalidation
+      validateStatus: (status: number) => (status >= 200 && status < 300) || status === 304,
+    });
+  }
+
+  private recordRateLimit(headers: any) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) return;
+    this.rateLimits.set(headers['x-ratelimit-resource'] || 'core', {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      reset: Number(headers['x-ratelimit-reset']) * 1000,
+    });
+  }
+
+  // Milliseconds until the given bucket has requests left, or 0
+  private rateLimitWait(resource: string): number {
+    const limit = this.rateLimits.get(resource);
+    if (!limit || limit.remaining > 0) return 0;
+    return Math.max(0, limit.reset - Date.now());
+  }
+
+  private retryDelay(error: any, attempt: number): number | null {
+    const status = error.response?.status;
+    const headers = error.response?.headers || {};
+    const rateLimited = status === 429 ||
+      (status === 403 && (headers['x-ratelimit-remaining'] === '0' || headers['retry-after'] !== undefined));
+    if (!rateLimited) return null;
+
+    if (headers['retry-after'] !== undefined) {
+      return Number(headers['retry-after']) * 1000;
+    }
+    if (headers['x-ratelimit-reset'] !== undefined) {
+      return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+    }
+    // Secondary rate limits without a hint: exponential backoff
+    return 1000 * 2 ** attempt;
+  }
+
+  private async request(url: string, params: Record<string, any> = {}): Promise<any> {
+    return (await this.requestPage(url, params)).data;
+  }
+
+  // GET with on-disk caching, ETag revalidation and rate-limit backoff.
+  // hasNext reports a `Link: <...>; rel="next"` header.
+  private async requestPage(url: string, params: Record<string, any> = {}): Promise<{ data: any; hasNext: boolean }> {
+    const resource = url.startsWith('/search/') ? 'search' : 'core';
+    const key = `${url}?${new URLSearchParams(Object.entries(params).map(([k, v]) => [k, String(v)])).toString()}`;
+    const cached = this.cache ? await this.cache.get(key) : null;
+
+    const fromCache = (entry: CacheEntry) => ({ data: entry.data, hasNext: Boolean(entry.has_next) });
+
+    if (cached && Date.now() - cached.stored_at < this.cacheTtlMs) {
+      this.cache!.record('hits');
+      return fromCache(cached);
+    }
+    if (cached && this.rateLimitWait(resource) > 0) {
+      // Out of requests: a stale answer beats none
+      this.cache!.record('stale_served');
+      return fromCache(cached);
+    }
+
+    const headers: Record<string, string> = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    else if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+    for (let attempt = 0; ; attempt++) {
+      const wait = this.rateLimitWait(resource);
+      if (wait > GitHubApiSource.maxBackoffMs) {
+        throw new Error(`GitHub ${resource} rate limit exhausted until ${new Date(Date.now() + wait).toISOString()}`);
+      }
+      if (wait > 0) {
+        await new Promise(done => setTimeout(done, wait));
+      }
+
+      try {
+        const response = await this.axiosInstance.get(url, { params, headers });
+        this.recordRateLimit(response.headers);
+
+        if (response.status === 304 && cached) {
+          this.cache!.record('revalidated');
+          await this.cache!.set(key, { ...cached, stored_at: Date.now() });
+          return fromCache(cached);
+        }
+
+        const hasNext = /<[^>]*>;\s*rel="next"/.test(response.headers.link || '');
+        if (this.cache) {
+          this.cache.record('misses');
+          await this.cache.set(key, {
+            etag: response.headers.etag,
+            last_modified: response.headers['last-modified'],
+            has_next: hasNext,
+            stored_at: Date.now(),
+            data: response.data,
+          });
+        }
+        return { data: response.data, hasNext };
+      } catch (error: any) {
+        this.recordRateLimit(error.response?.headers);
+        if (error.response?.status === 404) {
+          throw new NotFoundError(`Not Found: ${url}`);
+        }
+        const delay = this.retryDelay(error, attempt);
+        if (delay === null) throw error;
+
+        if (cached) {
+          this.cache!.record('stale_served');
+          return fromCache(cached);
+        }
+        if (attempt + 1 >= GitHubApiSource.maxRetries || delay > GitHubApiSource.maxBackoffMs) {
+          throw new Error(`GitHub rate limit exceeded (retry after ${Math.ceil(delay / 1000)}s)`);
+        }
+        console.error(`GitHub rate limit hit for ${url}, retrying in ${Math.ceil(delay / 1000)}s`);
+        await new Promise(done => setTimeout(done, delay));
+      }
+    }
+  }
+
+  // Follow `rel="next"` links page by page, up to maxPages pages of 100 results.
+  // Search endpoints wrap their results in { total_count, items }.
+  private async paginate(url: string, params: Record<string, any>, maxPages: number): Promise<PagedResult<any>> {
+    const items: any[] = [];
+    let totalCount: number | null = null;
+    let pages = 0;
+    let hasNext = true;
+
+    while (hasNext && pages < maxPages) {
+      const page = await this.requestPage(url, { ...params, per_page: 100, page: pages + 1 });
+      pages++;
+      hasNext = page.hasNext;
+      if (Array.isArray(page.data)) {
+        items.push(...page.data);
+      } else {
+        items.push(...(page.data.items || []));
+        totalCount = page.data.total_count;
+      }
+    }
+
+    const total = totalCount ?? items.length;
+    return {
+      items,
+      total_count: total,
+      pages,
+      capped: hasNext || items.length < total,
+    };
+  }
+
+  async listRepos(maxPages: number = TIDYMODELS_MAX_PAGES): Promise<PagedResult<any>> {
+    return this.paginate('/orgs/tidymodels/repos', { sort: 'updated' }, maxPages);
+  }
+
+  async getContent(repo: string, path: string): Promise<any> {
+    const data = await this.request(`/repos/tidymodels/${repo}/contents/${path}`);
+    if (!Array.isArray(data) || data.length < GitHubApiSource.contentsListingLimit) {
+      return data;
+    }
+
+    // The trees API lists large directories completely
+    const cleanPath = path.replace(/^\/+|\/+$/g, '');
+    const tree = await this.request(`/repos/tidymodels/${repo}/git/trees/HEAD:${cleanPath}`);
+    return tree.tree.map((entry: any) => {
+      const entryPath = cleanPath ? `${cleanPath}/${entry.path}` : entry.path;
+      return {
+        name: entry.path,
+        path: entryPath,
+        type: entry.type === 'tree' ? 'dir' : 'file',
+        size: entry.size || 0,
+        sha: entry.sha,
+        html_url: `https://github.com/tidymodels/${repo}/${entry.type === 'tree' ? 'tree' : 'blob'}/HEAD/${entryPath}`,
+      };
+    });
+  }
+
+  async searchCode(query: string, maxPages: number = TIDYMODELS_MAX_PAGES): Promise<PagedResult<any>> {
+    return this.paginate('/search/code', { q: query }, maxPages);
+  }
+
+  async searchIssues(query: string, params: Record<string, any>, page: number = 1, perPage: number = 100): Promise<PagedResult<any>> {
+    const { data, hasNext } = await this.requestPage('/search/issues', { q: query, ...params, per_page: perPage, page });
+    return {
+      items: data.items || [],
+      total_count: data.total_count,
+      pages: 1,
+      capped: hasNext,
+    };
+  }
+
+  async listIssues(repo: string, since?: string, maxPages: number = TIDYMODELS_MAX_PAGES): Promise<PagedResult<any>> {
+    return this.paginate(`/repos/tidymodels/${repo}/issues`, {
+      state: 'all',
+      sort: 'updated',
+      direction: 'desc',
+      ...(since ? { since } : {}),
+    }, maxPages);
+  }
+
+  async getIssue(repo: string, number: number): Promise<any> {
+    return this.request(`/repos/tidymodels/${repo}/issues/${number}`);
+  }
+
+  async listIssueComments(repo: string, number: number, maxPages: number = TIDYMODELS_MAX_PAGES): Promise<PagedResult<any>> {
+    return this.paginate(`/repos/tidymodels/${repo}/issues/${number}/comments`, {}, maxPages);
+  }
+
+  async listIssueTimeline(repo: string, number: number, maxPages: number = TIDYMODELS_MAX_PAGES): Promise<PagedResult<any>> {
+    return this.paginate(`/repos/tidymodels/${repo}/issues/${number}/timeline`, {}, maxPages);
+  }
+
+  async cacheStats(): Promise<any> {
+    return {
+      cache: this.cache ? { enabled: true, ttl_ms: this.cacheTtlMs, ...await this.cache.stats() } : { enabled: false },
+      rate_limits: Object.fromEntries([...this.rateLimits.entries()].map(([resource, limit]) => [resource, {
+        limit: limit.limit,
+        remaining: limit.remaining,
+        reset_at: new Date(limit.reset).toISOString(),
+      }])),
+    };
+  }
+
+  async clearCache(): Promise<number> {
+    return this.cache ? this.cache.clear() : 0;
+  }
+
+  async flushCache(): Promise<void> {
+    await this.cache?.flush();
+  }
+
+  async reserveCacheBytes(bytes: number): Promise<void> {
+    await this.cache?.reserve(bytes);
+  }
+}
+
+// Split a GitHub search query into free-text terms and qualifiers (repo:, is:, ...)
+function parseSearchQuery(query: string): { terms: string[]; qualifiers: Record<string, string[]> } {
+  const terms: string[] = [];
+  const qualifiers: Record<string, string[]> = {};
+  for (const match of query.matchAll(/(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g)) {
+    if (match[1]) {
+      const key = match[1].toLowerCase();
+      if (!qualifiers[key]) qualifiers[key] = [];
+      qualifiers[key].push(match[2].replace(/^"|"$/g, ''));
+    } else {
+      terms.push((match[3] ?? match[4]).toLowerCase());
+    }
+  }
+  return { terms, qualifiers };
+}
+
+// GitHub search date qualifiers: "2024-01-01", ">=2024-01-01", "<2024-06-01"
+// or "2024-01-01..2024-06-01" (either end may be "*")
+function matchesDateRange(timestamp: string | null | undefined, range: string): boolean {
+  if (!timestamp) return false;
+  const date = timestamp.slice(0, 10);
+  const between = range.match(/^(.+?)\.\.(.+)$/);
+  if (between) {
+    return (between[1] === '*' || date >= between[1]) && (between[2] === '*' || date <= between[2]);
+  }
+  const bound = range.match(/^(>=|<=|>|<)?(.+)$/)!;
+  switch (bound[1]) {
+    case '>=': return date >= bound[2];
+    case '<=': return date <= bound[2];
+    case '>': return date > bound[2];
+    case '<': return date < bound[2];
+    default: return date === bound[2];
+  }
+}
+
+// Git blob SHA, so local contents carry the same `sha` GitHub would report
+function gitBlobSha(data: Buffer): string {
+  return createHash('sha1').update(`blob ${data.length}\0`).update(data).digest('hex');
+}
+
+// Reads a directory of locally cloned tidymodels repositories, one per
+// subdirectory. An optional `.github-snapshot/` folder provides what a clone
+// lacks: `repos.json` (GitHub repository metadata), `issues/<repo>.json`, and
+// per issue `comments/<repo>/<number>.json` and `timeline/<repo>/<number>.json`.
+class LocalMirrorSource implements RepositorySource {
+  readonly name = 'local';
+  private static maxSearchFileSize = 512 * 1024;
+
+  constructor(private rootDir: string) {}
+
+  private resolvePath(repo: string, path: string = ''): string {
+    const repoDir = resolve(this.rootDir, repo);
+    const target = resolve(repoDir, path);
+    if (relative(this.rootDir, repoDir).startsWith('..') || relative(repoDir, target).startsWith('..')) {
+      throw new Error(`Path outside of the local mirror: ${repo}/${path}`);
+    }
+    return target;
+  }
+
+  private async readSnapshot(file: string): Promise<any | null> {
+    try {
+      return JSON.parse(await fs.readFile(join(this.rootDir, '.github-snapshot', file), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  private async repoNames(): Promise<string[]> {
+    const entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  async listRepos(): Promise<PagedResult<any>> {
+    const snapshot: any[] = (await this.readSnapshot('repos.json')) || [];
+    const metadata = new Map(snapshot.map(repo => [repo.name, repo]));
+
+    const repos = await Promise.all((await this.repoNames()).map(async name => {
+      if (metadata.has(name)) return metadata.get(name);
+
+      const description = await fs.readFile(join(this.rootDir, name, 'DESCRIPTION'), 'utf-8').catch(() => '');
+      const stats = await fs.stat(join(this.rootDir, name));
+      const fields = description ? parseDcf(description) : {};
+      return {
+        name,
+        full_name: `tidymodels/${name}`,
+        description: foldDcfValue(fields.Title) || null,
+        html_url: `https://github.com/tidymodels/${name}`,
+        language: description ? 'R' : null,
+        stargazers_count: 0,
+        forks_count: 0,
+        open_issues_count: 0,
+        archived: false,
+        default_branch: 'main',
+        updated_at: stats.mtime.toISOString(),
+      };
+    }));
+    return { items: repos, total_count: repos.length, pages: 1, capped: false };
+  }
+
+  async getContent(repo: string, path: string): Promise<any> {
+    const target = this.resolvePath(repo, path);
+    const stats = await fs.stat(target).catch(() => null);
+    if (!stats) {
+      throw new NotFoundError(`Not Found: ${repo}/${path}`);
+    }
+
+    const cleanPath = path.replace(/^\/+|\/+$/g, '');
+    if (stats.isDirectory()) {
+      const entries = await fs.readdir(target, { withFileTypes: true });
+      return Promise.all(entries
+        .filter(entry => entry.name !== '.git')
+        .map(async entry => {
+          const entryPath = cleanPath ? `${cleanPath}/${entry.name}` : entry.name;
+          const isDir = entry.isDirectory();
+          const data = isDir ? null : await fs.readFile(join(target, entry.name));
+          return {
+            name: entry.name,
+            path: entryPath,
+            type: isDir ? 'dir' : 'file',
+            size: data ? data.length : 0,
+            sha: data ? gitBlobSha(data) : '',
+            html_url: `https://github.com/tidymodels/${repo}/${isDir ? 'tree' : 'blob'}/HEAD/${entryPath}`,
+          };
+        }));
+    }
+
+    const data = await fs.readFile(target);
+    return {
+      type: 'file',
+      name: cleanPath.split('/').pop(),
+      path: cleanPath,
+      size: data.length,
+      sha: gitBlobSha(data),
+      encoding: 'base64',
+      content: data.toString('base64'),
+      html_url: `https://github.com/tidymodels/${repo}/blob/HEAD/${cleanPath}`,
+    };
+  }
+
+  private async walkFiles(repo: string, dir: string = ''): Promise<string[]> {
+    const entries = await fs.readdir(this.resolvePath(repo, dir), { withFileTypes: true }).catch(() => []);
+    const files: string[] = [];
+    for (const entry of entries) {
+      if (entry.name === '.git' || entry.name === 'node_modules') continue;
+      const entryPath = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this.walkFiles(repo, entryPath));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  async searchCode(query: string, maxPages: number = TIDYMODELS_MAX_PAGES): Promise<PagedResult<any>> {
+    const maxResults = maxPages * 100;
+    const { terms, qualifiers } = parseSearchQuery(query);
+    const repoFilter = (qualifiers.repo || []).map(repo => repo.split('/').pop());
+    const extensions = [...(qualifiers.extension || []), ...(qualifiers.language || [])]
+      .map(ext => ext.toLowerCase().replace(/^\./, ''));
+    const pathFilters = (qualifiers.path || []).map(path => path.toLowerCase().replace(/^\//, ''));
+    const filenames = (qualifiers.filename || []).map(name => name.toLowerCase());
+
+    const items: any[] = [];
+    const repos = (await this.repoNames()).filter(repo => repoFilter.length === 0 || repoFilter.includes(repo));
+    for (const repo of repos) {
+      for (const file of await this.walkFiles(repo)) {
+        if (items.length >= maxResults) {
+          return { items, total_count: items.length, pages: maxPages, capped: true };
+        }
+
+        const lowerFile = file.toLowerCase();
+        const fileName = lowerFile.split('/').pop() || '';
+        if (extensions.length > 0 && !extensions.some(ext => fileName.endsWith(`.${ext}`))) continue;
+        if (pathFilters.length > 0 && !pathFilters.some(path => lowerFile.includes(path))) continue;
+        if (filenames.length > 0 && !filenames.includes(fileName)) continue;
+
+        const data = await fs.readFile(this.resolvePath(repo, file));
+        if (data.length > LocalMirrorSource.maxSearchFileSize || data.includes(0)) continue;
+        const text = data.toString('utf-8').toLowerCase();
+        if (!terms.every(term => text.includes(term) || lowerFile.includes(term))) continue;
+
+        items.push({
+          name: file.split('/').pop(),
+          path: file,
+          sha: gitBlobSha(data),
+          html_url: `https://github.com/tidymodels/${repo}/blob/HEAD/${file}`,
+          repository: {
+            name: repo,
+            full_name: `tidymodels/${repo}`,
+          },
+        });
+      }
+    }
+    return { items, total_count: items.length, pages: Math.max(1, Math.ceil(items.length / 100)), capped: false };
+  }
+
+  async searchIssues(query: string, params: Record<string, any>, page: number = 1, perPage: number = 100): Promise<PagedResult<any>> {
+    const { terms, qualifiers } = parseSearchQuery(query);
+    const repoFilter = (qualifiers.repo || []).map(repo => repo.split('/').pop());
+    const repos = (await this.repoNames()).filter(repo => repoFilter.length === 0 || repoFilter.includes(repo));
+
+    const issues: any[] = [];
+    for (const repo of repos) {
+      const snapshot: any[] = (await this.readSnapshot(`issues/${repo}.json`)) || [];
+      issues.push(...snapshot.map(issue => ({
+        ...issue,
+        repository_url: issue.repository_url || `https://api.github.com/repos/tidymodels/${repo}`,
+      })));
+    }
+
+    const matches = issues.filter(issue => {
+      const isPr = Boolean(issue.pull_request);
+      if ((qualifiers.is || []).includes('pr') && !isPr) return false;
+      if ((qualifiers.is || []).includes('issue') && isPr) return false;
+      if (qualifiers.state && !qualifiers.state.includes(issue.state)) return false;
+      if (qualifiers.author && !qualifiers.author.includes(issue.user?.login)) return false;
+      if (qualifiers.label) {
+        const labels = (issue.labels || []).map((label: any) => typeof label === 'string' ? label : label.name);
+        if (!qualifiers.label.every(label => labels.includes(label))) return false;
+      }
+      for (const field of ['created', 'updated', 'closed']) {
+        const ranges = qualifiers[field] || [];
+        if (!ranges.every(range => matchesDateRange(issue[`${field}_at`], range))) return false;
+      }
+      const text = `${issue.title || ''}\n${issue.body || ''}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+
+    // GitHub's "best match" has no local equivalent; it falls back to recently updated
+    const sortField = ['created', 'updated', 'comments'].includes(params.sort) ? params.sort : 'updated';
+    const direction = params.order === 'asc' ? 1 : -1;
+    matches.sort((a, b) => direction * (sortField === 'comments'
+      ? (a.comments || 0) - (b.comments || 0)
+      : String(a[`${sortField}_at`] || '').localeCompare(String(b[`${sortField}_at`] || ''))));
+    const end = page * perPage;
+    return {
+      items: matches.slice(end - perPage, end),
+      total_count: matches.length,
+      pages: 1,
+      capped: matches.length > end,
+    };
+  }
+
+  async listIssues(repo: string, since?: string): Promise<PagedResult<any>> {
+    this.resolvePath(repo);
+    const snapshot: any[] = (await this.readSnapshot(`issues/${repo}.json`)) || [];
+    const issues = snapshot
+      .filter(issue => !since || String(issue.updated_at || '') >= since)
+      .sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')));
+    return { items: issues, total_count: issues.length, pages: 1, capped: false };
+  }
+
+  async getIssue(repo: string, number: number): Promise<any> {
+    this.resolvePath(repo);
+    const snapshot: any[] = (await this.readSnapshot(`issues/${repo}.json`)) || [];
+    const issue = snapshot.find(item => item.number === number);
+    if (!issue) {
+      throw new NotFoundError(`Not Found: ${repo}#${number}`);
+    }
+    return issue;
+  }
+
+  async listIssueComments(repo: string, number: number): Promise<PagedResult<any>> {
+    this.resolvePath(repo);
+    const comments: any[] = (await this.readSnapshot(`comments/${repo}/${number}.json`)) || [];
+    return { items: comments, total_count: comments.length, pages: 1, capped: false };
+  }
+
+  async listIssueTimeline(repo: string, number: number): Promise<PagedResult<any>> {
+    this.resolvePath(repo);
+    const events: any[] = (await this.readSnapshot(`timeline/${repo}/${number}.json`)) || [];
+    return { items: events, total_count: events.length, pages: 1, capped: false };
+  }
+
+  // Reading the mirror is cheap, so it isn't cached on disk
+  async cacheStats(): Promise<any> {
+    return { cache: { enabled: false }, rate_limits: {} };
+  }
+
+  async clearCache(): Promise<number> {
+    return 0;
+  }
+
+  async flushCache(): Promise<void> {}
+
+  async reserveCacheBytes(): Promise<void> {}
+}
+
+// TIDYMODELS_SOURCE selects the backend ("github" or "local"); setting
+// TIDYMODELS_LOCAL_DIR alone also selects the local mirror.
+function createRepositorySource(): RepositorySource {
+  const sourceName = (process.env.TIDYMODELS_SOURCE || (TIDYMODELS_LOCAL_DIR ? 'local' : 'github')).toLowerCase();
+  switch (sourceName) {
+    case 'github': {
+      const cache = TIDYMODELS_CACHE_MAX_BYTES > 0
+        ? new PersistentCache(TIDYMODELS_CACHE_DIR, TIDYMODELS_CACHE_MAX_BYTES)
+        : null;
+      const ttlMs = Number(process.env.TIDYMODELS_CACHE_TTL_SECONDS ?? 600) * 1000;
+      return new GitHubApiSource(GITHUB_TOKEN, cache, ttlMs);
+    }
+    case 'local':
+      if (!TIDYMODELS_LOCAL_DIR) {
+        throw new Error('TIDYMODELS_LOCAL_DIR must be set when TIDYMODELS_SOURCE is "local"');
+      }
+      return new LocalMirrorSource(resolve(TIDYMODELS_LOCAL_DIR));
+    default:
+      throw new Error(`Unknown TIDYMODELS_SOURCE "${sourceName}" (expected "github" or "local")`);
+  }
+}
+
+// Where CRAN metadata comes from: a CRAN mirror over HTTP, or a local copy of
+// one. Paths are relative to the mirror root (src/contrib/PACKAGES,
+// web/packages/<pkg>/DESCRIPTION, web/checks/check_results_<pkg>.html).
+interface CranSource {
+  readonly name: string;
+  readText(path: string): Promise<string>;
+  // Versions in src/contrib/Archive/<pkg>/ with their dates; none when the
+  // package has no archive directory
+  listArchive(packageName: string): Promise<{ version: string; date: string }[]>;
+}
+
+class CranHttpSource implements CranSource {
+  readonly name = 'cran';
+  private axiosInstance: any;
+
+  constructor(mirror: string) {
+    this.axiosInstance = axios.create({
+      baseURL: mirror.replace(/\/+$/, ''),
+      responseType: 'text',
+      transformResponse: (data: any) => data,
+    });
+  }
+
+  async readText(path: string): Promise<string> {
+    try {
+      const response = await this.axiosInstance.get(`/${path}`);
+      return response.data;
+    } catch (error: any) {
+      if (error.response?.status === 404) throw new NotFoundError(`Not Found on CRAN: ${path}`);
+      throw error;
+    }
+  }
+
+  async listArchive(packageName: string): Promise<{ version: string; date: string }[]> {
+    const html = await this.readText(`src/contrib/Archive/${packageName}/`).catch(ignoreNotFound(''));
+    const versions: { version: string; date: string }[] = [];
+    // Apache directory listing: <a href="pkg_1.0.0.tar.gz">...</a> ... 2020-01-01 12:00
+    const row = /href="[^"]*?_([^"_]+)\.tar\.gz"[^\n]*?(\d{4}-\d{2}-\d{2})/g;
+    let match: RegExpExecArray | null;
+    while ((match = row.exec(html)) !== null) {
+      versions.push({ version: match[1], date: match[2] });
+    }
+    return versions;
+  }
+}
+
+class CranLocalSource implements CranSource {
+  readonly name = 'cran-local';
+
+  constructor(private rootDir: string) {}
+
+  async readText(path: string): Promise<string> {
+    const target = resolve(this.rootDir, path);
+    if (relative(this.rootDir, target).startsWith('..')) {
+      throw new Error(`Path outside of the local CRAN mirror: ${path}`);
+    }
+    return fs.readFile(target, 'utf-8').catch(error => {
+      if (error.code === 'ENOENT') throw new NotFoundError(`Not Found on CRAN: ${path}`);
+      throw error;
+    });
+  }
+
+  async listArchive(packageName: string): Promise<{ version: string; date: string }[]> {
+    const dir = join(this.rootDir, 'src', 'contrib', 'Archive', packageName);
+    const files = await fs.readdir(dir).catch(error => {
+      if (error.code === 'ENOENT') return [] as string[];
+      throw error;
+    });
+    const versions = await Promise.all(files
+      .filter(file => file.startsWith(`${packageName}_`) && file.endsWith('.tar.gz'))
+      .map(async file => ({
+        version: file.slice(packageName.length + 1, -'.tar.gz'.length),
+        date: (await fs.stat(join(dir, file))).mtime.toISOString().slice(0, 10),
+      })));
+    return versions;
+  }
+}
+
+// TIDYMODELS_CRAN_SOURCE selects "web" (TIDYMODELS_CRAN_MIRROR) or "local"
+// (TIDYMODELS_CRAN_LOCAL_DIR); setting TIDYMODELS_CRAN_LOCAL_DIR alone selects it.
+function createCranSource(): CranSource {
+  const localDir = process.env.TIDYMODELS_CRAN_LOCAL_DIR;
+  const sourceName = (process.env.TIDYMODELS_CRAN_SOURCE || (localDir ? 'local' : 'web')).toLowerCase();
+  switch (sourceName) {
+    case 'web':
+      return new CranHttpSource(process.env.TIDYMODELS_CRAN_MIRROR || 'https://cloud.r-project.org');
+    case 'local':
+      if (!localDir) {
+        throw new Error('TIDYMODELS_CRAN_LOCAL_DIR must be set when TIDYMODELS_CRAN_SOURCE is "local"');
+      }
+      return new CranLocalSource(resolve(localDir));
+    default:
+      throw new Error(`Unknown TIDYMODELS_CRAN_SOURCE "${sourceName}" (expected "web" or "local")`);
+  }
+}
+
+// Every record of a multi-record DCF file such as CRAN's PACKAGES index
+function parseDcfRecords(content: string): Record<string, string>[] {
+  return content
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(record => parseDcf(record))
+    .filter(fields => Object.keys(fields).length > 0);
+}
+
+// Compare R package versions ("1.2.0.9000" > "1.2.0"); negative if a < b
+function compareRVersions(a: string, b: string): number {
+  const pa = a.split(/[.-]/).map(Number);
+  const pb = b.split(/[.-]/).map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Flavors and statuses from a CRAN check_results_<pkg>.html page
+function parseCranCheckResults(html: string): { flavor: string; version: string; status: string }[] {
+  const results: { flavor: string; version: string; status: string }[] = [];
+  for (const row of html.match(/<tr[\s\S]*?<\/tr>/gi) || []) {
+    const cells = (row.match(/<td[\s\S]*?<\/td>/gi) || [])
+      .map(cell => cell.replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').trim());
+    if (cells.length < 2 || !cells[0].startsWith('r-')) continue;
+    const status = cells.find(cell => /^(OK|NOTE|WARN|WARNING|ERROR|FAIL)$/.test(cell));
+    if (status) {
+      results.push({ flavor: cells[0], version: cells[1], status });
+    }
+  }
+  return results;
+}
+
+// parsnip model registry: which engines each model function has, in which
+// modes, and what they need installed. Engines outside parsnip itself are
+// registered by an extension package that has to be attached to use them.
+interface ModelEngine {
+  engine: string;
+  modes: string[];
+  packages: string[];
+  extension?: string;
+}
+
+interface ModelRegistryEntry {
+  model: string;
+  modes: string[];
+  arguments: string[];
+  engines: ModelEngine[];
+}
+
+type ModelRegistry = Record<string, ModelRegistryEntry>;
+
+// tidymodels packages that register engines with parsnip
+const PARSNIP_EXTENSIONS = ['agua', 'baguette', 'bonsai', 'censored', 'discrim', 'multilevelmod', 'plsmod', 'poissonreg', 'rules'];
+
+// Main arguments of each model function
+const MODEL_ARGUMENTS: Record<string, string[]> = {
+  bag_mars: ['num_terms', 'prod_degree', 'prune_method'],
+  bag_mlp: ['hidden_units', 'penalty', 'epochs'],
+  bag_tree: ['cost_complexity', 'tree_depth', 'min_n', 'class_cost'],
+  bart: ['trees', 'prior_terminal_node_coef', 'prior_terminal_node_expo', 'prior_outcome_range'],
+  boost_tree: ['mtry', 'trees', 'min_n', 'tree_depth', 'learn_rate', 'loss_reduction', 'sample_size', 'stop_iter'],
+  C5_rules: ['trees', 'min_n'],
+  cubist_rules: ['committees', 'neighbors', 'max_rules'],
+  decision_tree: ['cost_complexity', 'tree_depth', 'min_n'],
+  discrim_flexible: ['num_terms', 'prod_degree', 'prune_method'],
+  discrim_linear: ['penalty', 'regularization_method'],
+  discrim_quad: ['regularization_method'],
+  discrim_regularized: ['frac_common_cov', 'frac_identity'],
+  gen_additive_mod: ['select_features', 'adjust_deg_free'],
+  linear_reg: ['penalty', 'mixture'],
+  logistic_reg: ['penalty', 'mixture'],
+  mars: ['num_terms', 'prod_degree', 'prune_method'],
+  mlp: ['hidden_units', 'penalty', 'dropout', 'epochs', 'activation', 'learn_rate'],
+  multinom_reg: ['penalty', 'mixture'],
+  naive_Bayes: ['smoothness', 'Laplace'],
+  nearest_neighbor: ['neighbors', 'weight_func', 'dist_power'],
+  null_model: [],
+  pls: ['predictor_prop', 'num_comp'],
+  poisson_reg: ['penalty', 'mixture'],
+  proportional_hazards: ['penalty', 'mixture'],
+  rand_forest: ['mtry', 'trees', 'min_n'],
+  rule_fit: ['mtry', 'trees', 'min_n', 'tree_depth', 'learn_rate', 'loss_reduction', 'sample_size', 'penalty'],
+  survival_reg: ['dist'],
+  svm_linear: ['cost', 'margin'],
+  svm_poly: ['cost', 'degree', 'scale_factor', 'margin'],
+  svm_rbf: ['cost', 'rbf_sigma', 'margin'],
+};
+
+// Bundled snapshot of the engine registrations in parsnip and its extensions:
+// [model, engine, modes, engine packages, extension]. Modes are abbreviated as
+// c(lassification), r(egression), s (censored regression) and q(uantile regression).
+const MODEL_ENGINE_SNAPSHOT: [string, string, string, string[], string?][] = [
+  ['bag_mars', 'earth', 'cr', ['earth'], 'baguette'],
+  ['bag_mlp', 'nnet', 'cr', ['nnet'], 'baguette'],
+  ['bag_tree', 'rpart', 'cr', ['rpart'], 'baguette'],
+  ['bag_tree', 'C5.0', 'c', ['C50'], 'baguette'],
+  ['bag_tree', 'rpart', 's', ['ipred'], 'censored'],
+  ['bart', 'dbarts', 'cr', ['dbarts']],
+  ['boost_tree', 'xgboost', 'cr', ['xgboost']],
+  ['boost_tree', 'C5.0', 'c', ['C50']],
+  ['boost_tree', 'spark', 'cr', ['sparklyr']],
+  ['boost_tree', 'lightgbm', 'cr', ['lightgbm'], 'bonsai'],
+  ['boost_tree', 'h2o', 'cr', ['h2o'], 'agua'],
+  ['boost_tree', 'mboost', 's', ['mboost'], 'censored'],
+  ['C5_rules', 'C5.0', 'c', ['C50'], 'rules'],
+  ['cubist_rules', 'Cubist', 'r', ['Cubist'], 'rules'],
+  ['decision_tree', 'rpart', 'cr', ['rpart']],
+  ['decision_tree', 'C5.0', 'c', ['C50']],
+  ['decision_tree', 'spark', 'cr', ['sparklyr']],
+  ['decision_tree', 'partykit', 'cr', ['partykit'], 'bonsai'],
+  ['decision_tree', 'rpart', 's', ['pec'], 'censored'],
+  ['decision_tree', 'partykit', 's', ['partykit'], 'censored'],
+  ['discrim_flexible', 'earth', 'c', ['mda', 'earth'], 'discrim'],
+  ['discrim_linear', 'MASS', 'c', ['MASS'], 'discrim'],
+  ['discrim_linear', 'mda', 'c', ['mda'], 'discrim'],
+  ['discrim_linear', 'sda', 'c', ['sda'], 'discrim'],
+  ['discrim_linear', 'sparsediscrim', 'c', ['sparsediscrim'], 'discrim'],
+  ['discrim_quad', 'MASS', 'c', ['MASS'], 'discrim'],
+  ['discrim_quad', 'sparsediscrim', 'c', ['sparsediscrim'], 'discrim'],
+  ['discrim_regularized', 'klaR', 'c', ['klaR'], 'discrim'],
+  ['gen_additive_mod', 'mgcv', 'cr', ['mgcv']],
+  ['linear_reg', 'lm', 'r', ['stats']],
+  ['linear_reg', 'glm', 'r', ['stats']],
+  ['linear_reg', 'glmnet', 'r', ['glmnet']],
+  ['linear_reg', 'stan', 'r', ['rstanarm']],
+  ['linear_reg', 'spark', 'r', ['sparklyr']],
+  ['linear_reg', 'keras', 'r', ['keras']],
+  ['linear_reg', 'brulee', 'r', ['brulee']],
+  ['linear_reg', 'quantreg', 'q', ['quantreg']],
+  ['linear_reg', 'h2o', 'r', ['h2o'], 'agua'],
+  ['linear_reg', 'gee', 'r', ['gee'], 'multilevelmod'],
+  ['linear_reg', 'gls', 'r', ['nlme'], 'multilevelmod'],
+  ['linear_reg', 'lme', 'r', ['nlme'], 'multilevelmod'],
+  ['linear_reg', 'lmer', 'r', ['lme4'], 'multilevelmod'],
+  ['linear_reg', 'stan_glmer', 'r', ['rstanarm'], 'multilevelmod'],
+  ['logistic_reg', 'glm', 'c', ['stats']],
+  ['logistic_reg', 'glmnet', 'c', ['glmnet']],
+  ['logistic_reg', 'LiblineaR', 'c', ['LiblineaR']],
+  ['logistic_reg', 'stan', 'c', ['rstanarm']],
+  ['logistic_reg', 'spark', 'c', ['sparklyr']],
+  ['logistic_reg', 'keras', 'c', ['keras']],
+  ['logistic_reg', 'brulee', 'c', ['brulee']],
+  ['logistic_reg', 'h2o', 'c', ['h2o'], 'agua'],
+  ['logistic_reg', 'gee', 'c', ['gee'], 'multilevelmod'],
+  ['logistic_reg', 'glmer', 'c', ['lme4'], 'multilevelmod'],
+  ['logistic_reg', 'stan_glmer', 'c', ['rstanarm'], 'multilevelmod'],
+  ['mars', 'earth', 'cr', ['earth']],
+  ['mlp', 'nnet', 'cr', ['nnet']],
+  ['mlp', 'keras', 'cr', ['keras']],
+  ['mlp', 'brulee', 'cr', ['brulee']],
+  ['mlp', 'brulee_two_layer', 'cr', ['brulee']],
+  ['mlp', 'h2o', 'cr', ['h2o'], 'agua'],
+  ['multinom_reg', 'nnet', 'c', ['nnet']],
+  ['multinom_reg', 'glmnet', 'c', ['glmnet']],
+  ['multinom_reg', 'spark', 'c', ['sparklyr']],
+  ['multinom_reg', 'keras', 'c', ['keras']],
+  ['multinom_reg', 'brulee', 'c', ['brulee']],
+  ['multinom_reg', 'h2o', 'c', ['h2o'], 'agua'],
+  ['naive_Bayes', 'klaR', 'c', ['klaR'], 'discrim'],
+  ['naive_Bayes', 'naivebayes', 'c', ['naivebayes'], 'discrim'],
+  ['naive_Bayes', 'h2o', 'c', ['h2o'], 'agua'],
+  ['nearest_neighbor', 'kknn', 'cr', ['kknn']],
+  ['null_model', 'parsnip', 'cr', []],
+  ['pls', 'mixOmics', 'cr', ['mixOmics'], 'plsmod'],
+  ['poisson_reg', 'glm', 'r', ['stats'], 'poissonreg'],
+  ['poisson_reg', 'glmnet', 'r', ['glmnet'], 'poissonreg'],
+  ['poisson_reg', 'hurdle', 'r', ['pscl'], 'poissonreg'],
+  ['poisson_reg', 'zeroinfl', 'r', ['pscl'], 'poissonreg'],
+  ['poisson_reg', 'stan', 'r', ['rstanarm'], 'poissonreg'],
+  ['poisson_reg', 'h2o', 'r', ['h2o'], 'agua'],
+  ['poisson_reg', 'gee', 'r', ['gee'], 'multilevelmod'],
+  ['poisson_reg', 'glmer', 'r', ['lme4'], 'multilevelmod'],
+  ['poisson_reg', 'stan_glmer', 'r', ['rstanarm'], 'multilevelmod'],
+  ['proportional_hazards', 'survival', 's', ['survival'], 'censored'],
+  ['proportional_hazards', 'glmnet', 's', ['glmnet'], 'censored'],
+  ['rand_forest', 'ranger', 'cr', ['ranger']],
+  ['rand_forest', 'randomForest', 'cr', ['randomForest']],
+  ['rand_forest', 'spark', 'cr', ['sparklyr']],
+  ['rand_forest', 'partykit', 'cr', ['partykit'], 'bonsai'],
+  ['rand_forest', 'aorsf', 'cr', ['aorsf'], 'bonsai'],
+  ['rand_forest', 'h2o', 'cr', ['h2o'], 'agua'],
+  ['rand_forest', 'partykit', 's', ['partykit'], 'censored'],
+  ['rand_forest', 'aorsf', 's', ['aorsf'], 'censored'],
+  ['rule_fit', 'xrf', 'cr', ['xrf'], 'rules'],
+  ['rule_fit', 'h2o', 'cr', ['h2o'], 'agua'],
+  ['survival_reg', 'survival', 's', ['survival'], 'censored'],
+  ['survival_reg', 'flexsurv', 's', ['flexsurv'], 'censored'],
+  ['survival_reg', 'flexsurvspline', 's', ['flexsurv'], 'censored'],
+  ['svm_linear', 'LiblineaR', 'cr', ['LiblineaR']],
+  ['svm_linear', 'kernlab', 'cr', ['kernlab']],
+  ['svm_poly', 'kernlab', 'cr', ['kernlab']],
+  ['svm_rbf', 'kernlab', 'cr', ['kernlab']],
+];
+
+const SNAPSHOT_MODES: Record<string, string> = {
+  c: 'classification',
+  r: 'regression',
+  s: 'censored regression',
+  q: 'quantile regression',
+};
+
+// Registry entry for a model, created on first use
+function registryEntry(registry: ModelRegistry, model: string): ModelRegistryEntry {
+  if (!registry[model]) {
+    registry[model] = { model, modes: [], arguments: [...(MODEL_ARGUMENTS[model] || [])], engines: [] };
+  }
+  return registry[model];
+}
+
+// Engine of a model as registered by one package (parsnip, or an extension)
+function registryEngine(entry: ModelRegistryEntry, engine: string, extension?: string): ModelEngine {
+  let found = entry.engines.find(item => item.engine === engine && item.extension === extension);
+  if (!found) {
+    found = { engine, modes: [], packages: [], ...(extension ? { extension } : {}) };
+    entry.engines.push(found);
+  }
+  return found;
+}
+
+function addUnique(list: string[], value: string) {
+  if (value && !list.includes(value)) list.push(value);
+}
+
+// Registry from the bundled snapshot, optionally only the engines registered by
+// the given packages ("parsnip" or an extension)
+function snapshotModelRegistry(providers?: string[]): ModelRegistry {
+  const registry: ModelRegistry = {};
+  for (const [model, engine, modes, packages, extension] of MODEL_ENGINE_SNAPSHOT) {
+    if (providers && !providers.includes(extension || 'parsnip')) continue;
+    const entry = registryEntry(registry, model);
+    const item = registryEngine(entry, engine, extension);
+    for (const code of modes) {
+      addUnique(item.modes, SNAPSHOT_MODES[code]);
+      addUnique(entry.modes, SNAPSHOT_MODES[code]);
+    }
+    for (const pkg of packages) addUnique(item.packages, pkg);
+  }
+  return registry;
+}
+
+// Match the arguments of an R call to the function's formals, by name and then
+// by position. Only string literals are kept.
+function matchRCallArguments(args: string, formals: string[]): Record<string, string> {
+  const matched: Record<string, string> = {};
+  const positional: string[] = [];
+  for (const part of splitRArguments(args)) {
+    const named = part.match(/^([\w.]+)\s*=(?!=)\s*([\s\S]*)$/);
+    if (named) {
+      if (formals.includes(named[1])) matched[named[1]] = named[2];
+    } else {
+      positional.push(part);
+    }
+  }
+  for (const formal of formals) {
+    if (!(formal in matched) && positional.length > 0) matched[formal] = positional.shift()!;
+  }
+  const literals: Record<string, string> = {};
+  for (const [name, value] of Object.entries(matched)) {
+    if (/^(["'])[\s\S]*\1$/.test(value.trim())) literals[name] = unquoteR(value);
+  }
+  return literals;
+}
+
+const MODEL_REGISTRATION_FORMALS: Record<string, string[]> = {
+  set_new_model: ['model'],
+  set_model_mode: ['model', 'mode'],
+  set_model_engine: ['model', 'mode', 'eng'],
+  set_dependency: ['model', 'eng', 'pkg', 'mode'],
+  set_model_arg: ['model', 'eng', 'parsnip', 'original'],
+};
+
+// Add the registrations made by an R source file of parsnip (extension
+// undefined) or of an extension package to the registry
+function applyModelRegistrations(registry: ModelRegistry, content: string, extension?: string) {
+  const pattern = /\b(?:parsnip::)?(set_new_model|set_model_mode|set_model_engine|set_dependency|set_model_arg)\s*\(/g;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(content)) !== null) {
+    const lineStart = content.lastIndexOf('\n', match.index) + 1;
+    if (content.slice(lineStart, match.index).includes('#')) continue;
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBracket(content, open);
+    if (close < 0) continue;
+    const call = match[1];
+    const args = matchRCallArguments(content.slice(open + 1, close), MODEL_REGISTRATION_FORMALS[call]);
+    pattern.lastIndex = close;
+    if (!args.model || args.model === 'unknown') continue;
+
+    const entry = registryEntry(registry, args.model);
+    switch (call) {
+      case 'set_model_mode':
+        if (args.mode && args.mode !== 'unknown') addUnique(entry.modes, args.mode);
+        break;
+      case 'set_model_engine':
+        if (args.eng && args.mode) {
+          addUnique(registryEngine(entry, args.eng, extension).modes, args.mode);
+          addUnique(entry.modes, args.mode);
+        }
+        break;
+      case 'set_dependency':
+        // Extensions list themselves as a dependency; only keep engine packages
+        if (args.eng && args.pkg && args.pkg !== extension && args.pkg !== 'parsnip') {
+          addUnique(registryEngine(entry, args.eng, extension).packages, args.pkg);
+        }
+        break;
+      case 'set_model_arg':
+        if (args.parsnip) addUnique(entry.arguments, args.parsnip);
+        break;
+    }
+  }
+}
+
+// Engines of a model that can fit it in the given mode
+function enginesForMode(entry: ModelRegistryEntry, mode: string): ModelEngine[] {
+  return entry.engines.filter(item => item.modes.includes(mode));
+}
+
+// Catalogue of recipe steps and checks across recipes and the packages that
+// extend it
+interface RecipeStepInfo {
+  name: string;
+  package: string;
+  kind: 'step' | 'check';
+  description: string;
+  // Variable types the step works on
+  types: string[];
+  // Step-specific arguments, when known
+  arguments?: string[];
+  tunable: string[];
+}
+
+type RecipeStepCatalogue = Record<string, RecipeStepInfo>;
+
+const RECIPE_STEP_PACKAGES = ['recipes', 'embed', 'textrecipes', 'themis'];
+
+// Arguments every recipe step takes
+const RECIPE_STEP_COMMON_ARGS = ['recipe', 'role', 'trained', 'skip', 'id'];
+
+// Step-specific arguments of steps and checks; selectors go in `...`
+const RECIPE_STEP_ARGUMENTS: Record<string, string[]> = {
+  step_adasyn: ['column', 'over_ratio', 'neighbors', 'seed'],
+  step_arrange: ['inputs'],
+  step_bin2factor: ['levels', 'ref_first', 'columns'],
+  step_BoxCox: ['lambdas', 'limits', 'num_unique'],
+  step_bs: ['deg_free', 'degree', 'options', 'objects', 'keep_original_cols'],
+  step_bsmote: ['column', 'over_ratio', 'neighbors', 'all_neighbors', 'seed'],
+  step_center: ['means', 'na_rm'],
+  step_classdist: ['class', 'mean_func', 'cov_func', 'pool', 'log', 'objects', 'prefix', 'keep_original_cols'],
+  step_corr: ['threshold', 'use', 'method', 'removals'],
+  step_count: ['pattern', 'normalize', 'options', 'result', 'input', 'sparse', 'keep_original_cols'],
+  step_cut: ['breaks', 'include_outside_range'],
+  step_date: ['features', 'abbr', 'label', 'ordinal', 'locale', 'columns', 'keep_original_cols'],
+  step_depth: ['class', 'metric', 'options', 'data', 'prefix', 'keep_original_cols'],
+  step_discretize: ['num_breaks', 'min_unique', 'objects', 'options'],
+  step_downsample: ['under_ratio', 'ratio', 'target', 'column', 'seed'],
+  step_dummy: ['one_hot', 'naming', 'levels', 'sparse', 'keep_original_cols'],
+  step_dummy_extract: ['sep', 'pattern', 'threshold', 'other', 'naming', 'levels', 'sparse', 'keep_original_cols'],
+  step_dummy_hash: ['columns', 'signed', 'collapse', 'num_terms', 'prefix', 'sparse', 'keep_original_cols'],
+  step_dummy_multi_choice: ['threshold', 'other', 'naming', 'levels', 'input', 'sparse', 'keep_original_cols'],
+  step_factor2string: ['columns'],
+  step_filter: ['inputs'],
+  step_filter_missing: ['threshold', 'removals'],
+  step_geodist: ['lat', 'lon', 'ref_lat', 'ref_lon', 'is_lat_lon', 'log', 'name', 'columns', 'keep_original_cols'],
+  step_harmonic: ['frequency', 'cycle_size', 'starting_val', 'keep_original_cols', 'columns'],
+  step_holiday: ['holidays', 'columns', 'keep_original_cols'],
+  step_hyperbolic: ['func', 'inverse', 'columns'],
+  step_ica: ['num_comp', 'options', 'seed', 'res', 'columns', 'prefix', 'keep_original_cols'],
+  step_impute_bag: ['impute_with', 'trees', 'models', 'options', 'seed_val'],
+  step_impute_knn: ['neighbors', 'impute_with', 'options', 'ref_data', 'columns'],
+  step_impute_linear: ['impute_with', 'models'],
+  step_impute_lower: ['threshold'],
+  step_impute_mean: ['means', 'trim'],
+  step_impute_median: ['medians'],
+  step_impute_mode: ['modes', 'ptype'],
+  step_impute_roll: ['columns', 'statistic', 'window'],
+  step_indicate_na: ['columns', 'prefix', 'sparse', 'keep_original_cols'],
+  step_integer: ['strict', 'zero_based', 'key'],
+  step_interact: ['terms', 'objects', 'sep', 'keep_original_cols'],
+  step_intercept: ['value', 'name'],
+  step_inverse: ['offset', 'columns'],
+  step_invlogit: ['columns'],
+  step_isomap: ['num_terms', 'neighbors', 'options', 'res', 'columns', 'prefix', 'keep_original_cols'],
+  step_kpca: ['num_comp', 'res', 'columns', 'options', 'prefix', 'keep_original_cols'],
+  step_kpca_poly: ['num_comp', 'res', 'columns', 'degree', 'scale_factor', 'offset', 'prefix', 'keep_original_cols'],
+  step_kpca_rbf: ['num_comp', 'res', 'columns', 'sigma', 'prefix', 'keep_original_cols'],
+  step_lag: ['lag', 'prefix', 'default', 'columns', 'keep_original_cols'],
+  step_lencode_bayes: ['outcome', 'options', 'verbose', 'mapping'],
+  step_lencode_glm: ['outcome', 'mapping'],
+  step_lencode_mixed: ['outcome', 'options', 'mapping'],
+  step_lincomb: ['max_steps', 'removals'],
+  step_log: ['base', 'offset', 'columns', 'signed'],
+  step_logit: ['offset', 'columns'],
+  step_mutate: ['inputs', 'keep_original_cols'],
+  step_mutate_at: ['fn', 'inputs'],
+  step_naomit: ['columns'],
+  step_nearmiss: ['column', 'under_ratio', 'neighbors', 'seed'],
+  step_ngram: ['columns', 'num_tokens', 'min_num_tokens', 'delim'],
+  step_nnmf_sparse: ['num_comp', 'penalty', 'options', 'res', 'prefix', 'seed', 'keep_original_cols'],
+  step_normalize: ['means', 'sds', 'na_rm'],
+  step_novel: ['new_level', 'objects'],
+  step_ns: ['objects', 'deg_free', 'options', 'keep_original_cols'],
+  step_num2factor: ['transform', 'levels', 'ordered', 'key'],
+  step_nzv: ['freq_cut', 'unique_cut', 'options', 'removals'],
+  step_ordinalscore: ['columns', 'convert'],
+  step_other: ['threshold', 'other', 'objects'],
+  step_pca: ['num_comp', 'threshold', 'options', 'res', 'columns', 'prefix', 'keep_original_cols'],
+  step_percentile: ['options', 'ref_dist', 'outside'],
+  step_pls: [
+    'num_comp', 'predictor_prop', 'outcome', 'options', 'preserve', 'res', 'columns', 'prefix', 'keep_original_cols',
+  ],
+  step_poly: ['objects', 'degree', 'options', 'keep_original_cols'],
+  step_poly_bernstein: ['degree', 'complete_set', 'options', 'keep_original_cols', 'results'],
+  step_profile: ['profile', 'pct', 'index', 'grid', 'columns'],
+  step_range: ['min', 'max', 'clipping', 'ranges'],
+  step_ratio: ['denom', 'naming', 'columns', 'keep_original_cols'],
+  step_regex: ['pattern', 'options', 'result', 'input', 'sparse', 'keep_original_cols'],
+  step_relevel: ['ref_level', 'objects'],
+  step_relu: ['shift', 'reverse', 'smooth', 'prefix', 'columns', 'keep_original_cols'],
+  step_rename: ['inputs'],
+  step_rename_at: ['fn', 'inputs'],
+  step_rm: ['removals'],
+  step_rose: ['column', 'over_ratio', 'minority_prop', 'minority_smoothness', 'majority_smoothness', 'seed'],
+  step_sample: ['size', 'replace'],
+  step_scale: ['sds', 'factor', 'na_rm'],
+  step_select: ['inputs'],
+  step_shuffle: ['columns'],
+  step_slice: ['inputs'],
+  step_smote: ['column', 'over_ratio', 'neighbors', 'seed'],
+  step_smotenc: ['column', 'over_ratio', 'neighbors', 'seed'],
+  step_spatialsign: ['na_rm', 'columns'],
+  step_spline_b: ['deg_free', 'degree', 'complete_set', 'options', 'keep_original_cols', 'results'],
+  step_spline_convex: ['deg_free', 'degree', 'complete_set', 'options', 'keep_original_cols', 'results'],
+  step_spline_monotone: ['deg_free', 'degree', 'complete_set', 'options', 'keep_original_cols', 'results'],
+  step_spline_natural: ['deg_free', 'complete_set', 'options', 'keep_original_cols', 'results'],
+  step_spline_nonnegative: ['deg_free', 'degree', 'complete_set', 'options', 'keep_original_cols', 'results'],
+  step_sqrt: ['columns'],
+  step_stopwords: ['columns', 'language', 'keep', 'stopword_source', 'custom_stopword_source'],
+  step_string2factor: ['levels', 'ordered', 'columns'],
+  step_texthash: ['columns', 'signed', 'num_terms', 'prefix', 'sparse', 'keep_original_cols'],
+  step_tf: ['columns', 'weight_scheme', 'weight', 'vocabulary', 'res', 'prefix', 'sparse', 'keep_original_cols'],
+  step_tfidf: [
+    'columns', 'vocabulary', 'res', 'smooth_idf', 'norm', 'sublinear_tf', 'prefix', 'sparse', 'keep_original_cols',
+  ],
+  step_time: ['features', 'columns', 'keep_original_cols'],
+  step_tokenfilter: ['columns', 'max_times', 'min_times', 'percentage', 'max_tokens', 'filter_fun', 'res'],
+  step_tokenize: ['columns', 'training_options', 'options', 'token', 'engine', 'custom_token'],
+  step_tomek: ['column', 'seed'],
+  step_umap: [
+    'outcome', 'neighbors', 'num_comp', 'min_dist', 'metric', 'learn_rate', 'epochs', 'initial', 'target_weight',
+    'options', 'seed', 'prefix', 'keep_original_cols', 'retain', 'object',
+  ],
+  step_unknown: ['new_level', 'objects'],
+  step_unorder: ['columns'],
+  step_upsample: ['over_ratio', 'ratio', 'target', 'column', 'seed'],
+  step_window: ['size', 'na_rm', 'statistic', 'columns', 'names'],
+  step_woe: ['outcome', 'dictionary', 'Laplace', 'prefix', 'keep_original_cols'],
+  step_YeoJohnson: ['lambdas', 'na_rm', 'limits', 'num_unique'],
+  step_zv: ['group', 'removals'],
+  check_class: ['class_nm', 'allow_additional', 'class_list'],
+  check_cols: [],
+  check_missing: ['columns'],
+  check_new_values: ['ignore_NA', 'values'],
+  check_range: ['lower', 'upper', 'slack_prop', 'warn'],
+};
+
+// Steps whose `...` takes name = expression pairs instead of selectors
+const RECIPE_EXPRESSION_STEPS = ['step_mutate', 'step_filter', 'step_rename', 'step_slice', 'step_arrange'];
+
+// Bundled snapshot of the step catalogue, per package: [function, variable
+// types it works on, tunable arguments, description]. Types are numeric,
+// nominal, date, logical, string (raw text), text (tokens), outcome (the
+// class outcome) or any.
+const RECIPE_STEP_SNAPSHOT: Record<string, [string, string, string, string][]> = {
+  recipes: [
+    ['step_BoxCox', 'numeric', '', 'Box-Cox transformation for strictly positive variables'],
+    ['step_YeoJohnson', 'numeric', '', 'Yeo-Johnson transformation to make variables more symmetric'],
+    ['step_arrange', 'any', '', 'Sort rows using dplyr::arrange()'],
+    ['step_bin2factor', 'logical numeric', '', 'Create a factor from a binary (0/1 or logical) variable'],
+    ['step_bs', 'numeric', 'deg_free degree', 'B-spline basis expansion (superseded by step_spline_b())'],
+    ['step_center', 'numeric', '', 'Center numeric variables to a mean of zero'],
+    ['step_classdist', 'numeric', '', 'Distance of each sample to the class centroids'],
+    ['step_corr', 'numeric', 'threshold', 'Remove variables with large absolute correlations with others'],
+    ['step_count', 'nominal', '', 'Count the matches of a regular expression in a character variable'],
+    ['step_cut', 'numeric', '', 'Cut a numeric variable into a factor at given break points'],
+    ['step_date', 'date', '', 'Extract features such as day of week, month and year from dates'],
+    ['step_depth', 'numeric', '', 'Data depth of each sample relative to the classes'],
+    ['step_discretize', 'numeric', 'min_unique num_breaks', 'Discretize numeric variables into bins of equal frequency'],
+    ['step_dummy', 'nominal', '', 'Encode factors as dummy (indicator) variables'],
+    ['step_dummy_extract', 'nominal', 'threshold', 'Dummy variables from a character variable holding several values per row'],
+    ['step_dummy_multi_choice', 'nominal', 'threshold', 'Dummy variables from several columns of multiple-choice answers'],
+    ['step_factor2string', 'nominal', '', 'Convert factors to character strings'],
+    ['step_filter', 'any', '', 'Filter rows using dplyr::filter()'],
+    ['step_filter_missing', 'any', 'threshold', 'Remove variables with too many missing values'],
+    ['step_geodist', 'numeric', '', 'Distance between geographic coordinates and a reference location'],
+    ['step_harmonic', 'numeric date', 'cycle_size', 'Sine and cosine terms for periodic variables'],
+    ['step_holiday', 'date', '', 'Indicators for holidays on date variables'],
+    ['step_hyperbolic', 'numeric', '', 'Hyperbolic (sinh, cosh, tanh) transformations'],
+    ['step_ica', 'numeric', 'num_comp', 'Independent component analysis signal extraction'],
+    ['step_impute_bag', 'any', 'trees', 'Impute missing values with bagged tree models'],
+    ['step_impute_knn', 'any', 'neighbors', 'Impute missing values with K-nearest neighbors'],
+    ['step_impute_linear', 'numeric', '', 'Impute missing numeric values with linear models'],
+    ['step_impute_lower', 'numeric', '', 'Impute values below a detection limit'],
+    ['step_impute_mean', 'numeric', '', 'Impute missing numeric values with the mean'],
+    ['step_impute_median', 'numeric', '', 'Impute missing numeric values with the median'],
+    ['step_impute_mode', 'nominal', '', 'Impute missing nominal values with the most common level'],
+    ['step_impute_roll', 'numeric', 'window', 'Impute missing values with a rolling window statistic'],
+    ['step_indicate_na', 'any', '', 'Indicator variables for missing values'],
+    ['step_integer', 'nominal', '', 'Convert factor levels to integers'],
+    ['step_interact', 'any', '', 'Create interaction terms between variables'],
+    ['step_intercept', 'any', '', 'Add an intercept column'],
+    ['step_inverse', 'numeric', '', 'Inverse (1/x) transformation'],
+    ['step_invlogit', 'numeric', '', 'Inverse logit transformation'],
+    ['step_isomap', 'numeric', 'num_terms neighbors', 'Isomap embedding for non-linear dimension reduction'],
+    ['step_kpca', 'numeric', 'num_comp', 'Kernel PCA signal extraction'],
+    ['step_kpca_poly', 'numeric', 'num_comp degree scale_factor offset', 'Kernel PCA with a polynomial kernel'],
+    ['step_kpca_rbf', 'numeric', 'num_comp sigma', 'Kernel PCA with a radial basis function kernel'],
+    ['step_lag', 'numeric', '', 'Lagged versions of variables'],
+    ['step_lincomb', 'numeric', '', 'Remove variables that are exact linear combinations of others'],
+    ['step_log', 'numeric', '', 'Logarithmic transformation'],
+    ['step_logit', 'numeric', '', 'Logit transformation of proportions'],
+    ['step_mutate', 'any', '', 'Add or modify variables using dplyr::mutate()'],
+    ['step_mutate_at', 'any', '', 'Modify several variables with a function (superseded)'],
+    ['step_naomit', 'any', '', 'Remove rows with missing values'],
+    ['step_nnmf_sparse', 'numeric', 'num_comp penalty', 'Non-negative matrix factorization signal extraction'],
+    ['step_normalize', 'numeric', '', 'Center and scale numeric variables to mean zero and standard deviation one'],
+    ['step_novel', 'nominal', '', 'Assign factor levels unseen in training to a new "new" level'],
+    ['step_ns', 'numeric', 'deg_free', 'Natural spline basis expansion (superseded by step_spline_natural())'],
+    ['step_num2factor', 'numeric', '', 'Convert numbers to factors'],
+    ['step_nzv', 'any', 'freq_cut unique_cut', 'Remove near-zero variance variables'],
+    ['step_ordinalscore', 'nominal', '', 'Convert ordered factors to numeric scores'],
+    ['step_other', 'nominal', 'threshold', 'Collapse infrequent factor levels into "other" for high-cardinality factors'],
+    ['step_pca', 'numeric', 'num_comp threshold', 'Principal component analysis signal extraction'],
+    ['step_percentile', 'numeric', '', 'Percentile transformation'],
+    ['step_pls', 'numeric', 'num_comp predictor_prop', 'Partial least squares feature extraction using the outcome'],
+    ['step_poly', 'numeric', 'degree', 'Orthogonal polynomial basis expansion'],
+    ['step_poly_bernstein', 'numeric', 'degree', 'Bernstein polynomial basis expansion'],
+    ['step_profile', 'any', '', 'Create a profiling version of a data set'],
+    ['step_range', 'numeric', '', 'Scale numeric variables to a fixed range'],
+    ['step_ratio', 'numeric', '', 'Ratios of numeric variables'],
+    ['step_regex', 'nominal', '', 'Indicator for matches of a regular expression'],
+    ['step_relevel', 'nominal', '', 'Change the reference level of a factor'],
+    ['step_relu', 'numeric', '', 'Rectified linear (hinge) transformation'],
+    ['step_rename', 'any', '', 'Rename variables using dplyr::rename()'],
+    ['step_rename_at', 'any', '', 'Rename several variables with a function (superseded)'],
+    ['step_rm', 'any', '', 'Remove variables'],
+    ['step_sample', 'any', '', 'Sample rows using dplyr'],
+    ['step_scale', 'numeric', '', 'Scale numeric variables to a standard deviation of one'],
+    ['step_select', 'any', '', 'Select variables using dplyr::select()'],
+    ['step_shuffle', 'any', '', 'Shuffle the values of variables'],
+    ['step_slice', 'any', '', 'Filter rows by position using dplyr::slice()'],
+    ['step_spatialsign', 'numeric', '', 'Spatial sign preprocessing to reduce the effect of outliers'],
+    ['step_spline_b', 'numeric', 'deg_free degree', 'B-spline basis expansion'],
+    ['step_spline_convex', 'numeric', 'deg_free degree', 'Convex spline basis expansion'],
+    ['step_spline_monotone', 'numeric', 'deg_free degree', 'Monotone spline basis expansion'],
+    ['step_spline_natural', 'numeric', 'deg_free', 'Natural spline basis expansion'],
+    ['step_spline_nonnegative', 'numeric', 'deg_free degree', 'Non-negative spline basis expansion'],
+    ['step_sqrt', 'numeric', '', 'Square root transformation'],
+    ['step_string2factor', 'nominal', '', 'Convert character strings to factors'],
+    ['step_time', 'date', '', 'Extract hour, minute and second features from date-times'],
+    ['step_unknown', 'nominal', '', 'Assign missing factor values to an "unknown" level'],
+    ['step_unorder', 'nominal', '', 'Convert ordered factors to unordered factors'],
+    ['step_window', 'numeric', 'size statistic', 'Moving window statistics'],
+    ['step_zv', 'any', '', 'Remove zero-variance variables'],
+    ['check_class', 'any', '', 'Check that variables have the classes they had in training'],
+    ['check_cols', 'any', '', 'Check that all columns used in training are present'],
+    ['check_missing', 'any', '', 'Check that variables have no missing values'],
+    ['check_new_values', 'nominal', '', 'Check for factor levels not seen in training'],
+    ['check_range', 'numeric', '', 'Check that numeric values are within the training range'],
+  ],
+  embed: [
+    ['step_collapse_cart', 'nominal', 'cost_complexity min_n', 'Collapse factor levels using a decision tree on the outcome'],
+    ['step_collapse_stringdist', 'nominal', '', 'Collapse factor levels by string distance'],
+    ['step_discretize_cart', 'numeric', 'cost_complexity tree_depth min_n', 'Discretize numeric variables with decision tree splits on the outcome'],
+    ['step_discretize_xgb', 'numeric', 'sample_val learn_rate num_breaks tree_depth min_n', 'Discretize numeric variables with xgboost splits on the outcome'],
+    ['step_embed', 'nominal', 'num_terms hidden_units', 'Encode high-cardinality factors with neural network entity embeddings'],
+    ['step_feature_hash', 'nominal', 'num_hash', 'Encode high-cardinality factors with feature hashing'],
+    ['step_lencode_bayes', 'nominal', '', 'Encode high-cardinality factors with Bayesian likelihood (effect) encodings'],
+    ['step_lencode_glm', 'nominal', '', 'Encode high-cardinality factors with likelihood (effect) encodings from a GLM'],
+    ['step_lencode_mixed', 'nominal', '', 'Encode high-cardinality factors with effect encodings from a mixed model'],
+    ['step_pca_sparse', 'numeric', 'num_comp predictor_prop', 'Sparse principal component analysis'],
+    ['step_pca_sparse_bayes', 'numeric', 'num_comp prior_slab_dispersion prior_mixture_threshold', 'Sparse Bayesian principal component analysis'],
+    ['step_pca_truncated', 'numeric', 'num_comp', 'Truncated principal component analysis for large data'],
+    ['step_umap', 'numeric', 'num_comp neighbors min_dist learn_rate epochs', 'UMAP embedding for non-linear dimension reduction'],
+    ['step_woe', 'nominal', 'Laplace', 'Weight of evidence encoding of factors for a binary outcome'],
+  ],
+  textrecipes: [
+    ['step_clean_levels', 'nominal', '', 'Clean factor levels into syntactic names'],
+    ['step_clean_names', 'any', '', 'Clean variable names into syntactic names'],
+    ['step_dummy_hash', 'nominal', 'num_terms', 'Encode high-cardinality factors with feature hashing'],
+    ['step_lda', 'text', 'num_topics', 'Latent Dirichlet allocation topic features from tokens'],
+    ['step_lemma', 'text', '', 'Lemmatize tokens'],
+    ['step_ngram', 'text', 'num_tokens', 'Generate n-grams from tokens'],
+    ['step_pos_filter', 'text', '', 'Filter tokens by part of speech'],
+    ['step_sequence_onehot', 'text', 'sequence_length', 'One-hot encode token sequences'],
+    ['step_stem', 'text', '', 'Stem tokens'],
+    ['step_stopwords', 'text', '', 'Remove stop words from tokens'],
+    ['step_text_normalization', 'string', '', 'Unicode normalization of text'],
+    ['step_textfeature', 'string', '', 'Summary features of text such as counts of words and punctuation'],
+    ['step_texthash', 'text', 'num_terms', 'Feature hashing of tokens'],
+    ['step_tf', 'text', 'weight_scheme weight', 'Term frequency features from tokens'],
+    ['step_tfidf', 'text', '', 'Term frequency-inverse document frequency features from tokens'],
+    ['step_tokenfilter', 'text', 'max_times min_times max_tokens', 'Keep tokens by frequency'],
+    ['step_tokenize', 'string', '', 'Split text into tokens'],
+    ['step_tokenmerge', 'text', '', 'Combine several token variables into one'],
+    ['step_untokenize', 'text', '', 'Paste tokens back into text'],
+    ['step_word_embeddings', 'text', '', 'Pretrained word embedding features from tokens'],
+  ],
+  themis: [
+    ['step_adasyn', 'outcome', 'over_ratio neighbors', 'Upsample the minority class with ADASYN synthetic samples'],
+    ['step_bsmote', 'outcome', 'over_ratio neighbors all_neighbors', 'Upsample the minority class with borderline-SMOTE'],
+    ['step_downsample', 'outcome', 'under_ratio', 'Downsample the majority class to balance the classes'],
+    ['step_nearmiss', 'outcome', 'under_ratio neighbors', 'Downsample the majority class with NearMiss-1'],
+    ['step_rose', 'outcome', 'over_ratio', 'Balance the classes with ROSE synthetic samples'],
+    ['step_smote', 'outcome', 'over_ratio neighbors', 'Upsample the minority class with SMOTE synthetic samples'],
+    ['step_smotenc', 'outcome', 'over_ratio neighbors', 'Upsample the minority class with SMOTE for mixed numeric and nominal predictors'],
+    ['step_tomek', 'outcome', '', 'Remove Tomek links to clean class boundaries'],
+    ['step_upsample', 'outcome', 'over_ratio', 'Upsample the minority class by repeating rows to balance the classes'],
+  ],
+};
+
+// Words people use for what they want a step to do, mapped to the words that
+// appear in the names and descriptions of the steps that do it
+const RECIPE_STEP_INTENTS: Record<string, string[]> = {
+  impute: ['impute', 'missing'],
+  missing: ['impute', 'missing', 'naomit', 'indicate_na', 'unknown'],
+  encode: ['dummy', 'encode', 'encodings', 'hash', 'integer', 'lencode', 'woe'],
+  cardinality: ['high-cardinality', 'other', 'lencode', 'hash', 'collapse'],
+  'high-cardinality': ['high-cardinality', 'other', 'lencode', 'hash', 'collapse'],
+  upsample: ['upsample', 'minority', 'smote', 'adasyn', 'rose'],
+  oversample: ['upsample', 'minority', 'smote', 'adasyn', 'rose'],
+  downsample: ['downsample', 'majority', 'nearmiss', 'tomek'],
+  imbalance: ['balance', 'upsample', 'downsample', 'minority', 'majority'],
+  imbalanced: ['balance', 'upsample', 'downsample', 'minority', 'majority'],
+  normalize: ['normalize', 'center', 'scale', 'range'],
+  standardize: ['normalize', 'center', 'scale'],
+  scale: ['normalize', 'scale', 'range'],
+  reduce: ['pca', 'ica', 'pls', 'kpca', 'isomap', 'umap', 'nnmf', 'dimension', 'signal extraction'],
+  dimension: ['pca', 'ica', 'pls', 'kpca', 'isomap', 'umap', 'nnmf', 'dimension', 'signal extraction'],
+  text: ['text', 'token', 'tokens', 'words'],
+  date: ['date', 'holiday', 'time'],
+  nonlinear: ['spline', 'poly', 'non-linear'],
+  transform: ['transformation', 'boxcox', 'yeojohnson', 'log', 'sqrt', 'logit'],
+  skewed: ['boxcox', 'yeojohnson', 'log', 'symmetric'],
+  remove: ['remove', 'zv', 'nzv', 'corr', 'lincomb', 'rm'],
+  outliers: ['spatialsign', 'outliers', 'range'],
+};
+
+// Selector for the variables of each type a step works on
+const RECIPE_TYPE_SELECTORS: Record<string, string> = {
+  numeric: 'all_numeric_predictors()',
+  nominal: 'all_nominal_predictors()',
+  date: 'has_type("date")',
+  logical: 'has_type("logical")',
+  string: 'has_type("string")',
+  text: 'all_tokenized_predictors()',
+  outcome: 'all_outcomes()',
+  any: 'all_predictors()',
+};
+
+// Catalogue entry for a step (or check), created on first use
+function recipeStepEntry(catalogue: RecipeStepCatalogue, name: string, packageName: string): RecipeStepInfo {
+  if (!catalogue[name]) {
+    catalogue[name] = {
+      name,
+      package: packageName,
+      kind: name.startsWith('check_') ? 'check' : 'step',
+      description: '',
+      types: [],
+      tunable: [],
+    };
+  }
+  return catalogue[name];
+}
+
+// Catalogue from the bundled snapshot, optionally only for some packages
+function snapshotRecipeSteps(packages?: string[]): RecipeStepCatalogue {
+  const catalogue: RecipeStepCatalogue = {};
+  for (const [packageName, rows] of Object.entries(RECIPE_STEP_SNAPSHOT)) {
+    if (packages && !packages.includes(packageName)) continue;
+    for (const [name, types, tunable, description] of rows) {
+      const entry = recipeStepEntry(catalogue, name, packageName);
+      entry.description = description;
+      entry.types = types.split(' ');
+      entry.tunable = tunable ? tunable.split(' ') : [];
+      if (RECIPE_STEP_ARGUMENTS[name]) entry.arguments = RECIPE_STEP_ARGUMENTS[name];
+    }
+  }
+  return catalogue;
+}
+
+// Variable types named in the check_type()/check_list() calls of a prep() method
+function recipeStepTypes(body: string, packageName: string): string[] {
+  const types: string[] = [];
+  const typeNames: Record<string, string> = {
+    double: 'numeric',
+    integer: 'numeric',
+    numeric: 'numeric',
+    factor: 'nominal',
+    ordered: 'nominal',
+    string: packageName === 'textrecipes' ? 'string' : 'nominal',
+    date: 'date',
+    datetime: 'date',
+    logical: 'logical',
+    tokenlist: 'text',
+  };
+
+  const pattern = /\b(check_type|check_list|check_column_factor)\s*\(/g;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(body)) !== null) {
+    if (match[1] === 'check_list') {
+      addUnique(types, 'text');
+      continue;
+    }
+    if (match[1] === 'check_column_factor') {
+      addUnique(types, 'outcome');
+      continue;
+    }
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBracket(body, open);
+    if (close < 0) continue;
+    const args = body.slice(open + 1, close);
+    const quant = args.match(/\bquant\s*=\s*(TRUE|FALSE)/);
+    if (quant) addUnique(types, quant[1] === 'TRUE' ? 'numeric' : 'nominal');
+    const listed = args.match(/\btypes\s*=\s*(c\([^)]*\)|"[^"]*")/);
+    if (listed) {
+      for (const type of listed[1].match(/"[^"]*"/g) || []) {
+        addUnique(types, typeNames[unquoteR(type)] || unquoteR(type));
+      }
+    }
+  }
+  return types;
+}
+
+// Add the steps and checks defined in an R source file to the catalogue: their
+// arguments, roxygen titles, tunable parameters (tunable.step_* methods) and
+// the variable types their prep() methods accept
+function applyRecipeStepSource(catalogue: RecipeStepCatalogue, content: string, packageName: string, file: string) {
+  const definitions = /^(tunable\.|prep\.)?((?:step|check)_\w+)\s*(?:<-|=)\s*function\s*\(/gm;
+  let match: RegExpExecArray | null;
+  while ((match = definitions.exec(content)) !== null) {
+    const [, method, name] = match;
+    if (name.endsWith('_new')) continue;
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBracket(content, open);
+    if (close < 0) continue;
+
+    if (!method) {
+      const formals = splitRArguments(content.slice(open + 1, close)).map(part => part.split('=')[0].trim());
+      const entry = recipeStepEntry(catalogue, name, packageName);
+      entry.arguments = formals.filter(formal => formal !== '...' && !RECIPE_STEP_COMMON_ARGS.includes(formal));
+      continue;
+    }
+
+    const bodyOpen = content.indexOf('{', close);
+    const bodyClose = bodyOpen < 0 ? -1 : findClosingBracket(content, bodyOpen);
+    if (bodyClose < 0) continue;
+    const body = content.slice(bodyOpen, bodyClose + 1);
+    const entry = recipeStepEntry(catalogue, name, packageName);
+
+    if (method === 'tunable.') {
+      const names = body.match(/\bname\s*=\s*(c\([^)]*\)|"[^"]*")/);
+      for (const param of names?.[1].match(/"[^"]*"/g) || []) {
+        addUnique(entry.tunable, unquoteR(param));
+      }
+    } else {
+      for (const type of recipeStepTypes(body, packageName)) addUnique(entry.types, type);
+    }
+  }
+
+  for (const doc of parseRoxygenFile(content, packageName, file)) {
+    if (catalogue[doc.name] && doc.title) catalogue[doc.name].description = doc.title;
+  }
+}
+
+// Steps ranked by how well they match a description of what they should do
+function searchRecipeSteps(steps: RecipeStepInfo[], query: string): RecipeStepInfo[] {
+  const words = query.toLowerCase().split(/[^a-z0-9_-]+/).filter(word => word.length > 1);
+  const scored = steps.map(step => {
+    const name = step.name.toLowerCase();
+    const description = step.description.toLowerCase();
+    let score = 0;
+    for (const word of words) {
+      if (name.includes(word)) score += 3;
+      if (description.includes(word)) score += 2;
+      for (const term of RECIPE_STEP_INTENTS[word] || []) {
+        if (name.includes(term)) score += 2;
+        if (description.includes(term)) score += 1;
+      }
+    }
+    return { step, score };
+  });
+  return scored
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score || a.step.name.localeCompare(b.step.name))
+    .map(item => item.step);
+}
+
+// Structured description of a modeling task for generate_tidymodels_code
+interface ModelingSpec {
+  data: string;
+  outcome: string;
+  predictors: string[];
+  // Column name to type (numeric, nominal, date, text or id), if known
+  columns: Record<string, string>;
+  // Class imbalance handling: upsample, downsample or smote
+  balance?: string;
+  mode: string;
+  model: string;
+  engine: string;
+  // Extension packages to attach for the engine
+  libraries: string[];
+  resampling: { method: string; v: number; repeats: number; times: number };
+  metrics: string[];
+  tune: Record<string, [number, number] | null>;
+  grid_size: number;
+  eval_time: number[];
+  split_prop: number;
+  seed: number;
+}
+
+const MODEL_MODES = ['classification', 'regression', 'censored regression'];
+
+const RESAMPLING_METHODS = ['vfold', 'bootstraps', 'mc_cv', 'none'];
+
+const COLUMN_TYPES = ['numeric', 'nominal', 'date', 'text', 'id'];
+
+const BALANCE_METHODS = ['upsample', 'downsample', 'smote'];
+
+// Defaults per mode: the model used when none is given and the metric set
+// (the first metric is the one used to select tuning parameters)
+const MODE_DEFAULTS: Record<string, { model: string; metrics: string[] }> = {
+  'classification': { model: 'rand_forest', metrics: ['roc_auc', 'accuracy', 'brier_class'] },
+  'regression': { model: 'rand_forest', metrics: ['rmse', 'rsq', 'mae'] },
+  'censored regression': {
+    model: 'proportional_hazards',
+    metrics: ['brier_survival', 'roc_auc_survival', 'concordance_survival'],
+  },
+};
+
+// Per model: default engine per mode (tuning_engine replaces it when arguments
+// are tuned), the arguments tuned by default, and the preprocessing its engines
+// need (dummy variables, centering and scaling)
+const MODEL_DEFAULTS: Record<string, {
+  engines: Record<string, string>;
+  tuning_engine?: string;
+  tunable: string[];
+  dummy: boolean;
+  normalize: boolean;
+}> = {
+  boost_tree: {
+    engines: { 'classification': 'xgboost', 'regression': 'xgboost', 'censored regression': 'mboost' },
+    tunable: ['trees', 'min_n', 'tree_depth', 'learn_rate'],
+    dummy: true,
+    normalize: false,
+  },
+  rand_forest: {
+    engines: { 'classification': 'ranger', 'regression': 'ranger', 'censored regression': 'aorsf' },
+    tunable: ['mtry', 'trees', 'min_n'],
+    dummy: false,
+    normalize: false,
+  },
+  decision_tree: {
+    engines: { 'classification': 'rpart', 'regression': 'rpart', 'censored regression': 'rpart' },
+    tunable: ['cost_complexity', 'tree_depth', 'min_n'],
+    dummy: false,
+    normalize: false,
+  },
+  linear_reg: {
+    engines: { 'regression': 'lm' },
+    tuning_engine: 'glmnet',
+    tunable: ['penalty', 'mixture'],
+    dummy: true,
+    normalize: true,
+  },
+  logistic_reg: {
+    engines: { 'classification': 'glm' },
+    tuning_engine: 'glmnet',
+    tunable: ['penalty', 'mixture'],
+    dummy: true,
+    normalize: true,
+  },
+  multinom_reg: {
+    engines: { 'classification': 'nnet' },
+    tuning_engine: 'glmnet',
+    tunable: ['penalty', 'mixture'],
+    dummy: true,
+    normalize: true,
+  },
+  nearest_neighbor: {
+    engines: { 'classification': 'kknn', 'regression': 'kknn' },
+    tunable: ['neighbors', 'weight_func'],
+    dummy: true,
+    normalize: true,
+  },
+  svm_rbf: {
+    engines: { 'classification': 'kernlab', 'regression': 'kernlab' },
+    tunable: ['cost', 'rbf_sigma'],
+    dummy: true,
+    normalize: true,
+  },
+  mlp: {
+    engines: { 'classification': 'nnet', 'regression': 'nnet' },
+    tunable: ['hidden_units', 'penalty', 'epochs'],
+    dummy: true,
+    normalize: true,
+  },
+  proportional_hazards: {
+    engines: { 'censored regression': 'survival' },
+    tuning_engine: 'glmnet',
+    tunable: ['penalty', 'mixture'],
+    dummy: true,
+    normalize: true,
+  },
+  survival_reg: {
+    engines: { 'censored regression': 'survival' },
+    tunable: [],
+    dummy: false,
+    normalize: false,
+  },
+};
+
+// Fill in a partial spec with defaults that agree with each other. The "tune"
+// template tunes the model's main arguments unless told otherwise; "recipe" and
+// "model" don't tune at all. The model, engine, mode and tuned arguments are
+// checked against the parsnip registry.
+function normalizeModelingSpec(
+  input: Record<string, any> = {},
+  template?: string,
+  registry: ModelRegistry = snapshotModelRegistry()
+): ModelingSpec {
+  const requested = input.model ? registry[input.model] : undefined;
+  if (input.model && !requested) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown parsnip model "${input.model}" (see list_model_engines for the available models)`
+    );
+  }
+
+  const mode = input.mode ||
+    (requested && !requested.modes.includes('classification') ? requested.modes[0] : 'classification');
+  if (!MODEL_MODES.includes(mode)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid mode "${mode}" (expected ${MODEL_MODES.join(', ')})`
+    );
+  }
+
+  const model = input.model || MODE_DEFAULTS[mode].model;
+  const entry = registry[model];
+  if (!entry) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown parsnip model "${model}" (see list_model_engines for the available models)`
+    );
+  }
+  if (!entry.modes.includes(mode)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `${model}() does not support ${mode} mode (supported: ${entry.modes.join(', ') || 'none'})`
+    );
+  }
+  const defaults = MODEL_DEFAULTS[model];
+
+  const resamplingInput = typeof input.resampling === 'string' ? { method: input.resampling } : input.resampling || {};
+  const resampling = {
+    method: resamplingInput.method || 'vfold',
+    v: resamplingInput.v || 10,
+    repeats: resamplingInput.repeats || 1,
+    times: resamplingInput.times || 25,
+  };
+  if (!RESAMPLING_METHODS.includes(resampling.method)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid resampling method "${resampling.method}" (expected ${RESAMPLING_METHODS.join(', ')})`
+    );
+  }
+
+  // tune: ["trees", "min_n"] or { trees: [10, 2000], min_n: null }
+  const tune: Record<string, [number, number] | null> = {};
+  if (Array.isArray(input.tune)) {
+    for (const param of input.tune) tune[param] = null;
+  } else if (input.tune && typeof input.tune === 'object') {
+    for (const [param, range] of Object.entries(input.tune)) {
+      tune[param] = Array.isArray(range) && range.length === 2 ? [Number(range[0]), Number(range[1])] : null;
+    }
+  }
+  if (template === 'tune' && Object.keys(tune).length === 0 && defaults) {
+    for (const param of defaults.tunable) tune[param] = null;
+  }
+  if (template === 'recipe' || template === 'model') {
+    for (const param of Object.keys(tune)) delete tune[param];
+  }
+  for (const param of Object.keys(tune)) {
+    if (!entry.arguments.includes(param)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `"${param}" is not a main argument of ${model}() (expected ${entry.arguments.join(', ') || 'none'})`
+      );
+    }
+  }
+  if (Object.keys(tune).length > 0 && resampling.method === 'none') {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      'Tuning parameters need a resampling scheme; resampling cannot be "none"'
+    );
+  }
+
+  const engine = input.engine ||
+    (Object.keys(tune).length > 0 && defaults?.tuning_engine) ||
+    defaults?.engines[mode] ||
+    enginesForMode(entry, mode)[0]?.engine;
+  if (!engine) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `No engine for ${model}() in ${mode} mode; please specify one`
+    );
+  }
+  const candidates = entry.engines.filter(item => item.engine === engine);
+  if (candidates.length === 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown engine "${engine}" for ${model}() (available: ${[...new Set(entry.engines.map(item => item.engine))].join(', ')})`
+    );
+  }
+  const registered = candidates.find(item => item.modes.includes(mode));
+  if (!registered) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `The "${engine}" engine for ${model}() does not support ${mode} mode ` +
+      `(engines for ${mode}: ${enginesForMode(entry, mode).map(item => item.engine).join(', ') || 'none'})`
+    );
+  }
+
+  const predictors = Array.isArray(input.predictors) && input.predictors.length > 0 ? input.predictors : ['.'];
+
+  const columns: Record<string, string> = input.columns && typeof input.columns === 'object' ? input.columns : {};
+  for (const [column, type] of Object.entries(columns)) {
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid type "${type}" for column ${column} (expected ${COLUMN_TYPES.join(', ')})`
+      );
+    }
+  }
+
+  if (input.balance && !BALANCE_METHODS.includes(input.balance)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid balance method "${input.balance}" (expected ${BALANCE_METHODS.join(', ')})`
+    );
+  }
+  if (input.balance && mode !== 'classification') {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      'Class balancing only applies to classification'
+    );
+  }
+
+  return {
+    data: input.data || 'data',
+    outcome: input.outcome || (mode === 'censored regression' ? 'Surv(time, status)' : 'outcome'),
+    predictors,
+    columns,
+    ...(input.balance ? { balance: input.balance } : {}),
+    mode,
+    model,
+    engine,
+    libraries: registered.extension ? [registered.extension] : [],
+    resampling,
+    metrics: Array.isArray(input.metrics) && input.metrics.length > 0 ? input.metrics : MODE_DEFAULTS[mode].metrics,
+    tune,
+    grid_size: input.grid_size || 20,
+    eval_time: Array.isArray(input.eval_time) ? input.eval_time.map(Number) : [],
+    split_prop: input.split_prop || 0.75,
+    seed: input.seed || 123,
+  };
+}
+
+// Preprocessing for a spec: recipe steps picked from the step catalogue by the
+// types of the predictor columns and what the model's engine needs, plus the
+// packages providing them. Without column types, nominal and numeric
+// predictors are assumed.
+function selectRecipeSteps(
+  spec: ModelingSpec,
+  outcome: string,
+  catalogue: RecipeStepCatalogue
+): { steps: string[]; libraries: string[] } {
+  const defaults = MODEL_DEFAULTS[spec.model] || { engines: {}, tunable: [], dummy: true, normalize: true };
+  const survival = spec.outcome.match(/^Surv\(\s*([\w.]+)\s*,\s*([\w.]+)\s*\)$/);
+  const excluded = [outcome, spec.outcome, ...(survival ? [survival[1], survival[2]] : [])];
+  const columns = Object.entries(spec.columns).filter(([column]) => !excluded.includes(column));
+  const ofType = (type: string) => columns.filter(([, columnType]) => columnType === type).map(([column]) => column);
+  const known = columns.length > 0;
+
+  const ids = ofType('id');
+  const dates = ofType('date');
+  const texts = ofType('text');
+  const nominal = !known || ofType('nominal').length > 0 || dates.length > 0;
+  const numeric = !known || ofType('numeric').length > 0 || texts.length > 0;
+
+  const steps: string[] = [];
+  const libraries: string[] = [];
+  const add = (name: string, args: string) => {
+    const step = catalogue[name];
+    if (!step) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Recipe step ${name}() is not in the step catalogue`
+      );
+    }
+    if (step.package !== 'recipes') addUnique(libraries, step.package);
+    steps.push(`${name}(${args})`);
+  };
+
+  if (ids.length > 0) steps.push(`update_role(${ids.join(', ')}, new_role = "id")`);
+  if (dates.length > 0) {
+    add('step_date', `${dates.join(', ')}, features = c("dow", "month", "year"), keep_original_cols = FALSE`);
+  }
+  if (texts.length > 0) {
+    add('step_tokenize', texts.join(', '));
+    add('step_tokenfilter', `${texts.join(', ')}, max_tokens = 500`);
+    add('step_tfidf', texts.join(', '));
+  }
+  if (known && nominal) add('step_novel', 'all_nominal_predictors()');
+  if (defaults.dummy && nominal) add('step_dummy', 'all_nominal_predictors()');
+  add('step_zv', 'all_predictors()');
+  if (defaults.normalize && numeric) add('step_normalize', 'all_numeric_predictors()');
+
+  // SMOTE needs numeric predictors; SMOTE-NC handles factors left in place
+  if (spec.balance === 'smote') {
+    add(nominal && !defaults.dummy ? 'step_smotenc' : 'step_smote', outcome);
+  } else if (spec.balance) {
+    add(`step_${spec.balance}`, outcome);
+  }
+
+  return { steps, libraries };
+}
+
+// Compose an R script from a spec. `template` selects the sections: recipe,
+// model, tune, evaluation, or (undefined) a complete workflow.
+function composeTidymodelsScript(
+  spec: ModelingSpec,
+  task: string,
+  template?: string,
+  catalogue: RecipeStepCatalogue = snapshotRecipeSteps()
+): string {
+  const censored = spec.mode === 'censored regression';
+
+  // Censored outcomes are turned into a Surv column before splitting
+  const survMatch = spec.outcome.match(/^Surv\(\s*([\w.]+)\s*,\s*([\w.]+)\s*\)$/);
+  const outcome = censored && survMatch ? 'event_time' : spec.outcome;
+  const preprocessing = selectRecipeSteps(spec, outcome, catalogue);
+  const libraries = [...spec.libraries];
+  for (const pkg of preprocessing.libraries) addUnique(libraries, pkg);
+
+  const tune = spec.tune;
+  const tuning = Object.keys(tune).length > 0;
+  const resampled = spec.resampling.method !== 'none' && template !== 'recipe' && template !== 'model';
+  const metricName = spec.metrics[0];
+  const evalTimeArg = censored ? ',\n  eval_time = eval_time' : '';
+
+  const sections: string[] = [];
+  // The task goes into a comment line, so it must stay on one line
+  task = task.replace(/\s+/g, ' ').trim();
+  const header = {
+    recipe: '# Recipe for preprocessing data',
+    model: `# Build a tidymodels workflow for ${task}`,
+    tune: `# Hyperparameter tuning with tidymodels for ${task}`,
+    evaluation: `# Model evaluation with tidymodels for ${task}`,
+  }[template || ''] || `# Tidymodels workflow for ${task}`;
+  sections.push([header, 'library(tidymodels)', ...libraries.map(pkg => `library(${pkg})`)].join('\n'));
+
+  // Data splitting
+  const prep: string[] = [];
+  if (censored && survMatch) {
+    prep.push(
+      `${spec.data} <- ${spec.data} |>\n  mutate(event_time = Surv(${survMatch[1]}, ${survMatch[2]}), .keep = "unused")\n`
+    );
+  }
+  const strata = censored ? '' : `, strata = ${outcome}`;
+  prep.push(
+    `set.seed(${spec.seed})\n` +
+    `data_split <- initial_split(${spec.data}, prop = ${spec.split_prop}${strata})\n` +
+    'train_data <- training(data_split)\n' +
+    'test_data <- testing(data_split)'
+  );
+  sections.push(`# Data splitting\n${prep.join('\n')}`);
+
+  if (resampled) {
+    let resamples: string;
+    switch (spec.resampling.method) {
+      case 'bootstraps':
+        resamples = `bootstraps(train_data, times = ${spec.resampling.times}${strata})`;
+        break;
+      case 'mc_cv':
+        resamples = `mc_cv(train_data, prop = ${spec.split_prop}, times = ${spec.resampling.times}${strata})`;
+        break;
+      default:
+        resamples = `vfold_cv(train_data, v = ${spec.resampling.v}` +
+          `${spec.resampling.repeats > 1 ? `, repeats = ${spec.resampling.repeats}` : ''}${strata})`;
+    }
+    sections.push(`# Resampling\nset.seed(${spec.seed + 111})\nresamples <- ${resamples}`);
+  }
+
+  // Preprocessing
+  const formula = `${outcome} ~ ${spec.predictors.join(' + ')}`;
+  sections.push(
+    `# Preprocessing\nmodel_recipe <- recipe(${formula}, data = train_data) |>\n  ${preprocessing.steps.join(' |>\n  ')}`
+  );
+
+  if (template === 'recipe') {
+    sections.push(
+      '# Estimate the preprocessing on the training data and apply it\n' +
+      'recipe_prepped <- prep(model_recipe, training = train_data)\n' +
+      'train_processed <- bake(recipe_prepped, new_data = NULL)\n' +
+      'test_processed <- bake(recipe_prepped, new_data = test_data)'
+    );
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  // Model specification and workflow
+  const modelArgs = Object.keys(tune).map(param => `${param} = tune()`).join(', ');
+  sections.push(
+    `# Model specification\nmodel_spec <- ${spec.model}(${modelArgs}) |>\n` +
+    `  set_engine("${spec.engine}") |>\n  set_mode("${spec.mode}")`
+  );
+  sections.push(
+    '# Workflow\nmodel_workflow <- workflow() |>\n  add_recipe(model_recipe) |>\n  add_model(model_spec)'
+  );
+
+  if (template === 'model') {
+    const predictType = censored ? ', type = "time"' : '';
+    sections.push(
+      '# Fit the model and predict new data\n' +
+      'fitted_workflow <- fit(model_workflow, data = train_data)\n' +
+      `predictions <- predict(fitted_workflow, new_data = test_data${predictType})`
+    );
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  // Metrics
+  const metricSection = [`model_metrics <- metric_set(${spec.metrics.join(', ')})`];
+  if (censored) {
+    const evalTime = spec.eval_time.length > 0
+      ? `c(${spec.eval_time.join(', ')})`
+      : survMatch
+        ? `quantile(${spec.data}$event_time[, "time"], c(0.25, 0.5, 0.75))`
+        : 'c(10, 20, 30) # evaluation times on the scale of your outcome';
+    metricSection.push(`eval_time <- ${evalTime}`);
+  }
+  sections.push(`# Metrics\n${metricSection.join('\n')}`);
+
+  let finalWorkflow = 'model_workflow';
+  if (tuning) {
+    const ranged = Object.entries(tune).filter(([, range]) => range !== null);
+    let grid = String(spec.grid_size);
+    const tuningLines: string[] = [];
+    if (ranged.length > 0) {
+      const updates = ranged.map(([param, range]) => `${param} = ${param}(range = c(${range![0]}, ${range![1]}))`);
+      const needsFinalize = 'mtry' in tune;
+      tuningLines.push(
+        'model_params <- extract_parameter_set_dials(model_workflow) |>\n' +
+        `  update(${updates.join(',\n         ')})` +
+        (needsFinalize ? ` |>\n  finalize(select(train_data, -${outcome}))` : '') + '\n'
+      );
+      grid = `grid_space_filling(model_params, size = ${spec.grid_size})`;
+    }
+    tuningLines.push(
+      `set.seed(${spec.seed + 222})\n` +
+      'tune_results <- tune_grid(\n' +
+      '  model_workflow,\n' +
+      '  resamples = resamples,\n' +
+      `  grid = ${grid},\n` +
+      `  metrics = model_metrics${evalTimeArg}\n` +
+      ')\n\n' +
+      `show_best(tune_results, metric = "${metricName}")\n` +
+      `best_params <- select_best(tune_results, metric = "${metricName}")\n` +
+      'final_workflow <- finalize_workflow(model_workflow, best_params)'
+    );
+    sections.push(`# Tuning\n${tuningLines.join('\n')}`);
+    finalWorkflow = 'final_workflow';
+  } else if (resampled) {
+    sections.push(
+      '# Resampled performance estimates\n' +
+      'resample_results <- fit_resamples(\n' +
+      '  model_workflow,\n' +
+      '  resamples = resamples,\n' +
+      `  metrics = model_metrics${evalTimeArg}\n` +
+      ')\n' +
+      'collect_metrics(resample_results)'
+    );
+  }
+
+  const evaluation = [
+    '# Fit on the training set and evaluate on the test set',
+    `final_fit <- last_fit(${finalWorkflow}, data_split, metrics = model_metrics${censored ? ', eval_time = eval_time' : ''})`,
+    'collect_metrics(final_fit)',
+    '',
+    'test_predictions <- collect_predictions(final_fit)',
+  ];
+  if (spec.mode === 'classification') {
+    evaluation.push(`conf_mat(test_predictions, truth = ${outcome}, estimate = .pred_class)`);
+  } else if (spec.mode === 'regression') {
+    evaluation.push(
+      `ggplot(test_predictions, aes(x = ${outcome}, y = .pred)) +\n` +
+      '  geom_abline(lty = 2) +\n  geom_point(alpha = 0.5) +\n  coord_obs_pred()'
+    );
+  }
+  sections.push(evaluation.join('\n'));
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+// R tokenizer and parser for static checks of R scripts. Pipes are desugared
+// into ordinary calls, so `x |> f(y)` parses as `f(x, y)`.
+interface RToken {
+  type: 'number' | 'string' | 'ident' | 'op' | 'punct' | 'newline' | 'eof';
+  value: string;
+  line: number;
+  column: number;
+}
+
+interface RArgument {
+  name?: string;
+  value?: RNode;
+  line: number;
+  column: number;
+}
+
+interface RNode {
+  kind: 'literal' | 'symbol' | 'call' | 'binary' | 'unary' | 'block' | 'function' | 'index' | 'control';
+  line: number;
+  column: number;
+  // Literal text, symbol name, operator, or control-flow keyword
+  value?: string;
+  // Namespace of a pkg::name symbol
+  package?: string;
+  // Called function (call) or indexed object (index)
+  fn?: RNode;
+  // Call and index arguments, function parameters
+  args?: RArgument[];
+  // Operands, block statements, function body, control-flow parts
+  children?: RNode[];
+  // The first argument of the call came from a pipe
+  piped?: boolean;
+}
+
+class RSyntaxError extends Error {
+  constructor(message: string, public line: number, public column: number) {
+    super(message);
+  }
+}
+
+// Deeper syntax trees are reported as a syntax error rather than overflowing
+// the stack of the parser or of the functions that walk the tree
+const R_MAX_NESTING = 1000;
+
+const R_OPERATORS = [
+  ':::', '<<-', '->>', '|>', '::', '<-', '->', '<=', '>=', '==', '!=', '&&', '||', '**',
+  '=', '+', '-', '*', '/', '^', '<', '>', '!', '&', '|', '~', '?', ':', '$', '@', '\\',
+];
+
+function tokenizeR(source: string): RToken[] {
+  const tokens: RToken[] = [];
+  const brackets: string[] = [];
+  let line = 1;
+  let lineStart = 0;
+  let i = 0;
+
+  const push = (type: RToken['type'], value: string, start: number) => {
+    tokens.push({ type, value, line, column: start - lineStart + 1 });
+  };
+  // Advance past source[start, end), keeping line numbers in step
+  const advance = (end: number) => {
+    for (let j = i; j < end; j++) {
+      if (source[j] === '\n') {
+        line++;
+        lineStart = j + 1;
+      }
+    }
+    i = end;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const rest = source.slice(i, i + 3);
+
+    if (ch === '\n') {
+      push('newline', '\n', i);
+      advance(i + 1);
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+
+    const raw = source.slice(i).match(/^[rR](["'])(-*)([([{])/);
+    if (raw) {
+      const closer = { '(': ')', '[': ']', '{': '}' }[raw[3]]! + raw[2] + raw[1];
+      const end = source.indexOf(closer, i + raw[0].length);
+      if (end < 0) throw new RSyntaxError('Unterminated raw string', line, i - lineStart + 1);
+      push('string', source.slice(i + raw[0].length, end), i);
+      advance(end + closer.length);
+      continue;
+    }
+
+    if (ch === '"' || ch === "'" || ch === '`') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) j += source[j] === '\\' ? 2 : 1;
+      if (j >= source.length) {
+        throw new RSyntaxError(ch === '`' ? 'Unterminated backtick name' : 'Unterminated string', line, i - lineStart + 1);
+      }
+      push(ch === '`' ? 'ident' : 'string', source.slice(i + 1, j).replace(/\\(.)/g, '$1'), i);
+      advance(j + 1);
+      continue;
+    }
+
+    const number = source.slice(i).match(/^(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)[Li]?/);
+    if (number) {
+      push('number', number[0], i);
+      i += number[0].length;
+      continue;
+    }
+
+    const ident = source.slice(i).match(/^(?:[\p{L}.][\p{L}\p{N}._]*|_)/u);
+    if (ident) {
+      push('ident', ident[0], i);
+      i += ident[0].length;
+      continue;
+    }
+
+    const special = source.slice(i).match(/^%[^%\n]*%/);
+    if (special) {
+      push('op', special[0], i);
+      i += special[0].length;
+      continue;
+    }
+
+    if (ch === '[' && source[i + 1] === '[') {
+      brackets.push('[[');
+      push('punct', '[[', i);
+      i += 2;
+      continue;
+    }
+    if ('([{'.includes(ch)) {
+      brackets.push(ch);
+      push('punct', ch, i);
+      i++;
+      continue;
+    }
+    if (ch === ']' && brackets[brackets.length - 1] === '[[' && source[i + 1] === ']') {
+      brackets.pop();
+      push('punct', ']]', i);
+      i += 2;
+      continue;
+    }
+    if (')]}'.includes(ch)) {
+      brackets.pop();
+      push('punct', ch, i);
+      i++;
+      continue;
+    }
+    if (ch === ',' || ch === ';') {
+      push('punct', ch, i);
+      i++;
+      continue;
+    }
+
+    const op = R_OPERATORS.find(candidate => rest.startsWith(candidate));
+    if (op) {
+      push('op', op, i);
+      i += op.length;
+      continue;
+    }
+
+    throw new RSyntaxError(`Unexpected character "${ch}"`, line, i - lineStart + 1);
+  }
+
+  push('eof', '', i);
+  return tokens;
+}
+
+// Binding power and right associativity of binary operators, loosest first
+const R_BINARY_OPERATORS: Record<string, [number, boolean]> = {
+  '?': [1, false],
+  '=': [2, true],
+  '<-': [3, true],
+  '<<-': [3, true],
+  '->': [4, false],
+  '->>': [4, false],
+  '~': [5, false],
+  '||': [6, false],
+  '|': [6, false],
+  '&&': [7, false],
+  '&': [7, false],
+  '==': [9, false],
+  '!=': [9, false],
+  '<': [9, false],
+  '>': [9, false],
+  '<=': [9, false],
+  '>=': [9, false],
+  '+': [10, false],
+  '-': [10, false],
+  '*': [11, false],
+  '/': [11, false],
+  '|>': [12, false],
+  ':': [13, false],
+  '^': [15, true],
+  '**': [15, true],
+  '$': [16, false],
+  '@': [16, false],
+};
+
+const R_UNARY_OPERATORS: Record<string, number> = { '?': 1, '~': 5, '!': 8, '-': 14, '+': 14 };
+
+function parseR(source: string): { statements: RNode[]; error?: RSyntaxError } {
+  const statements: RNode[] = [];
+  let tokens: RToken[];
+  try {
+    tokens = tokenizeR(source);
+  } catch (error) {
+    return { statements, error: error as RSyntaxError };
+  }
+
+  let pos = 0;
+  // Whether a newline ends the expression: true at top level and in braces,
+  // false inside parentheses and brackets
+  const newlineEnds: boolean[] = [true];
+
+  const skipNewlines = () => {
+    while (tokens[pos].type === 'newline') pos++;
+  };
+  // Next token of an expression in progress
+  const peek = (): RToken => {
+    if (!newlineEnds[newlineEnds.length - 1]) skipNewlines();
+    return tokens[pos];
+  };
+  const fail = (token: RToken, message?: string): never => {
+    const text = token.type === 'eof' ? 'end of input' : token.type === 'newline' ? 'end of line' : `"${token.value}"`;
+    throw new RSyntaxError(message || `Unexpected ${text}`, token.line, token.column);
+  };
+  const expect = (value: string): RToken => {
+    const token = peek();
+    if (token.type === 'eof' || token.value !== value || token.type === 'string') {
+      fail(token, `Expected "${value}" but found ${token.type === 'eof' ? 'end of input' : `"${token.value}"`}`);
+    }
+    pos++;
+    return token;
+  };
+
+  // Arguments up to the closing bracket; `params` parses function parameters
+  const parseArguments = (close: string, params: boolean = false): RArgument[] => {
+    const args: RArgument[] = [];
+    newlineEnds.push(false);
+    let expectArg = true;
+    while (true) {
+      const token = peek();
+      if (token.type === 'punct' && token.value === close) {
+        pos++;
+        break;
+      }
+      if (token.type === 'eof') fail(token, `Missing "${close}"`);
+      if (token.type === 'punct' && token.value === ',') {
+        if (expectArg && !params) args.push({ line: token.line, column: token.column });
+        pos++;
+        expectArg = true;
+        continue;
+      }
+      if (!expectArg) fail(token);
+
+      const arg: RArgument = { line: token.line, column: token.column };
+      const next = tokens[pos + 1];
+      if ((token.type === 'ident' || token.type === 'string') && next.type === 'op' && next.value === '=') {
+        arg.name = token.value;
+        pos += 2;
+        const after = peek();
+        if (!(after.type === 'punct' && (after.value === ',' || after.value === close))) {
+          arg.value = parseExpression(3);
+        }
+      } else if (params) {
+        if (token.type !== 'ident') fail(token);
+        arg.name = token.value;
+        pos++;
+      } else {
+        arg.value = parseExpression(3);
+      }
+      args.push(arg);
+      expectArg = false;
+    }
+    newlineEnds.pop();
+    return args;
+  };
+
+  const parseFunction = (token: RToken): RNode => {
+    expect('(');
+    const params = parseArguments(')', true);
+    skipNewlines();
+    const body = parseExpression(2);
+    return { kind: 'function', line: token.line, column: token.column, args: params, children: [body] };
+  };
+
+  // `x |> f(y)` and `x %>% f(y)` become `f(x, y)`, unless the call takes the
+  // left-hand side through a placeholder (`_` or `.`)
+  const desugarPipe = (op: RToken, left: RNode, right: RNode): RNode => {
+    if (right.kind === 'symbol' && op.value !== '|>') {
+      return { kind: 'call', line: right.line, column: right.column, fn: right, args: [{ value: left, line: left.line, column: left.column }], piped: true };
+    }
+    if (right.kind !== 'call') {
+      if (op.value === '|>') fail(op, 'The pipe operator requires a function call on its right-hand side');
+      return { kind: 'binary', line: op.line, column: op.column, value: op.value, children: [left, right] };
+    }
+    const placeholder = op.value === '|>' ? '_' : '.';
+    const usesPlaceholder = (right.args || []).some(arg => arg.value?.kind === 'symbol' && arg.value.value === placeholder);
+    if (usesPlaceholder) {
+      return { kind: 'binary', line: op.line, column: op.column, value: op.value, children: [left, right] };
+    }
+    return {
+      ...right,
+      args: [{ value: left, line: left.line, column: left.column }, ...(right.args || [])],
+      piped: true,
+    };
+  };
+
+  const parsePrefix = (): RNode => {
+    skipNewlines();
+    const token = tokens[pos];
+    const node = { line: token.line, column: token.column };
+    pos++;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { kind: 'literal', ...node, value: token.value };
+    }
+    if (token.type === 'ident') {
+      switch (token.value) {
+        case 'function':
+          return parseFunction(token);
+        case 'if': {
+          expect('(');
+          newlineEnds.push(false);
+          const condition = parseExpression(0);
+          newlineEnds.pop();
+          expect(')');
+          const body = parseExpression(2);
+          const children = [condition, body];
+          // At top level `else` has to be on the same line as the end of the body
+          const save = pos;
+          if (newlineEnds.length > 1 || !newlineEnds[0]) skipNewlines();
+          if (tokens[pos].type === 'ident' && tokens[pos].value === 'else') {
+            pos++;
+            children.push(parseExpression(2));
+          } else {
+            pos = save;
+          }
+          return { kind: 'control', ...node, value: 'if', children };
+        }
+        case 'for': {
+          expect('(');
+          newlineEnds.push(false);
+          const variable = parsePrefix();
+          const keyword = peek();
+          if (keyword.value !== 'in') fail(keyword, 'Expected "in" in for loop');
+          pos++;
+          const sequence = parseExpression(0);
+          newlineEnds.pop();
+          expect(')');
+          return { kind: 'control', ...node, value: 'for', children: [variable, sequence, parseExpression(2)] };
+        }
+        case 'while': {
+          expect('(');
+          newlineEnds.push(false);
+          const condition = parseExpression(0);
+          newlineEnds.pop();
+          expect(')');
+          return { kind: 'control', ...node, value: 'while', children: [condition, parseExpression(2)] };
+        }
+        case 'repeat':
+          return { kind: 'control', ...node, value: 'repeat', children: [parseExpression(2)] };
+        case 'else':
+          return fail(token);
+      }
+      const next = tokens[pos];
+      if (next.type === 'op' && (next.value === '::' || next.value === ':::')) {
+        const name = tokens[pos + 1];
+        if (name.type !== 'ident' && name.type !== 'string') fail(name);
+        pos += 2;
+        return { kind: 'symbol', ...node, value: name.value, package: token.value };
+      }
+      return { kind: 'symbol', ...node, value: token.value };
+    }
+    if (token.type === 'op') {
+      if (token.value === '\\') return parseFunction(token);
+      if (token.value in R_UNARY_OPERATORS) {
+        const operand = parseExpression(R_UNARY_OPERATORS[token.value]);
+        return { kind: 'unary', ...node, value: token.value, children: [operand] };
+      }
+    }
+    if (token.type === 'punct' && token.value === '(') {
+      newlineEnds.push(false);
+      const inner = parseExpression(0);
+      newlineEnds.pop();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'punct' && token.value === '{') {
+      newlineEnds.push(true);
+      const body = parseStatements('}');
+      newlineEnds.pop();
+      pos++;
+      return { kind: 'block', ...node, children: body };
+    }
+    pos--;
+    return fail(token);
+  };
+
+  // Depth of the syntax tree being built: one level per expression and per
+  // call, index or operator applied to it
+  let depth = 0;
+  const nest = (token: RToken) => {
+    if (++depth > R_MAX_NESTING) fail(token, `Expression nested more than ${R_MAX_NESTING} levels deep`);
+  };
+
+  const parseExpression = (minPower: number): RNode => {
+    const outer = depth;
+    try {
+      nest(tokens[pos]);
+      return parseOperators(minPower);
+    } finally {
+      depth = outer;
+    }
+  };
+
+  const parseOperators = (minPower: number): RNode => {
+    let left = parsePrefix();
+    while (true) {
+      const token = peek();
+      if (token.type === 'punct' && (token.value === '(' || token.value === '[' || token.value === '[[')) {
+        nest(token);
+        pos++;
+        if (token.value === '(') {
+          left = { kind: 'call', line: left.line, column: left.column, fn: left, args: parseArguments(')') };
+        } else {
+          const close = token.value === '[' ? ']' : ']]';
+          left = { kind: 'index', line: left.line, column: left.column, value: token.value, fn: left, args: parseArguments(close) };
+        }
+        continue;
+      }
+
+      const isSpecial = token.type === 'op' && /^%.*%$/.test(token.value);
+      const binding = isSpecial ? [12, false] as [number, boolean] : token.type === 'op' ? R_BINARY_OPERATORS[token.value] : undefined;
+      if (!binding || binding[0] < minPower) break;
+      nest(token);
+      pos++;
+      const [power, rightAssoc] = binding;
+      const right = token.value === '$' || token.value === '@'
+        ? parsePrefix()
+        : parseExpression(rightAssoc ? power : power + 1);
+      if (token.value === '|>' || token.value === '%>%') {
+        left = desugarPipe(token, left, right);
+      } else {
+        left = { kind: 'binary', line: left.line, column: left.column, value: token.value, children: [left, right] };
+      }
+    }
+    return left;
+  };
+
+  // Statements up to a closing token ("}" or end of input), which is not consumed
+  const parseStatements = (close: string): RNode[] => {
+    const body: RNode[] = [];
+    while (true) {
+      while (tokens[pos].type === 'newline' || (tokens[pos].type === 'punct' && tokens[pos].value === ';')) pos++;
+      const token = tokens[pos];
+      if (close === '}' && token.type === 'punct' && token.value === '}') return body;
+      if (token.type === 'eof') {
+        if (close === '}') fail(token, 'Missing "}"');
+        return body;
+      }
+      const statement = parseExpression(0);
+      body.push(statement);
+      if (close === '') statements.push(statement);
+      const end = tokens[pos];
+      const ends = end.type === 'newline' || end.type === 'eof' ||
+        (end.type === 'punct' && (end.value === ';' || (close === '}' && end.value === '}')));
+      if (!ends) fail(end);
+    }
+  };
+
+  try {
+    parseStatements('');
+  } catch (error) {
+    if (!(error instanceof RSyntaxError)) throw error;
+    return { statements, error };
+  }
+  return { statements };
+}
+
+// Visit every node of an R syntax tree with its parent
+function walkR(node: RNode, visit: (node: RNode, parent?: RNode) => void, parent?: RNode) {
+  visit(node, parent);
+  if (node.fn) walkR(node.fn, visit, node);
+  for (const arg of node.args || []) {
+    if (arg.value) walkR(arg.value, visit, node);
+  }
+  for (const child of node.children || []) walkR(child, visit, node);
+}
+
+function callName(node: RNode): string | undefined {
+  return node.kind === 'call' && node.fn?.kind === 'symbol' ? node.fn.value : undefined;
+}
+
+// Arguments of the tidymodels functions the validator knows. `dots` says what
+// `...` accepts: "pass" forwards anything (so any argument name is fine),
+// "empty" rejects extra arguments.
+const TIDYMODELS_SIGNATURES: Record<string, { package: string; args: string[]; dots?: 'pass' | 'empty' }> = {
+  initial_split: { package: 'rsample', args: ['data', 'prop', 'strata', 'breaks', 'pool'], dots: 'empty' },
+  initial_time_split: { package: 'rsample', args: ['data', 'prop', 'lag'], dots: 'empty' },
+  initial_validation_split: { package: 'rsample', args: ['data', 'prop', 'strata', 'breaks', 'pool'], dots: 'empty' },
+  training: { package: 'rsample', args: ['x'], dots: 'empty' },
+  testing: { package: 'rsample', args: ['x'], dots: 'empty' },
+  validation: { package: 'rsample', args: ['x'], dots: 'empty' },
+  vfold_cv: { package: 'rsample', args: ['data', 'v', 'repeats', 'strata', 'breaks', 'pool'], dots: 'empty' },
+  bootstraps: { package: 'rsample', args: ['data', 'times', 'strata', 'breaks', 'pool', 'apparent'], dots: 'empty' },
+  mc_cv: { package: 'rsample', args: ['data', 'prop', 'times', 'strata', 'breaks', 'pool'], dots: 'empty' },
+  group_vfold_cv: { package: 'rsample', args: ['data', 'group', 'v', 'repeats', 'balance', 'strata', 'pool'], dots: 'empty' },
+  validation_set: { package: 'rsample', args: ['x'], dots: 'empty' },
+  recipe: { package: 'recipes', args: ['x', 'formula', 'data', 'vars', 'roles', 'strings_as_factors'], dots: 'empty' },
+  prep: { package: 'recipes', args: ['x', 'training', 'fresh', 'verbose', 'retain', 'log_changes', 'strings_as_factors'], dots: 'empty' },
+  bake: { package: 'recipes', args: ['object', 'new_data', 'composition'], dots: 'pass' },
+  update_role: { package: 'recipes', args: ['recipe', 'new_role', 'old_role'], dots: 'pass' },
+  add_role: { package: 'recipes', args: ['recipe', 'new_role', 'new_type'], dots: 'pass' },
+  set_engine: { package: 'parsnip', args: ['object', 'engine'], dots: 'pass' },
+  set_mode: { package: 'parsnip', args: ['object', 'mode', 'quantile_levels'], dots: 'empty' },
+  set_args: { package: 'parsnip', args: ['object'], dots: 'pass' },
+  workflow: { package: 'workflows', args: ['preprocessor', 'spec'] },
+  add_recipe: { package: 'workflows', args: ['x', 'recipe', 'blueprint'], dots: 'empty' },
+  add_model: { package: 'workflows', args: ['x', 'spec', 'formula'], dots: 'empty' },
+  add_formula: { package: 'workflows', args: ['x', 'formula', 'blueprint'], dots: 'empty' },
+  add_variables: { package: 'workflows', args: ['x', 'outcomes', 'predictors', 'blueprint'], dots: 'empty' },
+  metric_set: { package: 'yardstick', args: [], dots: 'pass' },
+  tune_grid: {
+    package: 'tune',
+    args: ['object', 'preprocessor', 'resamples', 'param_info', 'grid', 'metrics', 'eval_time', 'control'],
+    dots: 'empty',
+  },
+  tune_bayes: {
+    package: 'tune',
+    args: ['object', 'preprocessor', 'resamples', 'iter', 'param_info', 'metrics', 'eval_time', 'objective', 'initial', 'control'],
+    dots: 'empty',
+  },
+  fit_resamples: {
+    package: 'tune',
+    args: ['object', 'preprocessor', 'resamples', 'metrics', 'eval_time', 'control'],
+    dots: 'empty',
+  },
+  last_fit: {
+    package: 'tune',
+    args: ['object', 'preprocessor', 'split', 'metrics', 'eval_time', 'control', 'add_validation_set'],
+    dots: 'empty',
+  },
+  show_best: { package: 'tune', args: ['x', 'metric', 'eval_time', 'n'], dots: 'empty' },
+  select_best: { package: 'tune', args: ['x', 'metric', 'eval_time'], dots: 'empty' },
+  select_by_one_std_err: { package: 'tune', args: ['x', 'metric', 'eval_time'], dots: 'pass' },
+  select_by_pct_loss: { package: 'tune', args: ['x', 'metric', 'eval_time', 'limit'], dots: 'pass' },
+  collect_metrics: { package: 'tune', args: ['x', 'summarize', 'type'], dots: 'empty' },
+  collect_predictions: { package: 'tune', args: ['x', 'summarize', 'parameters'], dots: 'empty' },
+  finalize_workflow: { package: 'tune', args: ['x', 'parameters'] },
+  finalize_model: { package: 'tune', args: ['x', 'parameters'] },
+  finalize_recipe: { package: 'tune', args: ['x', 'parameters'] },
+  control_grid: {
+    package: 'tune',
+    args: ['verbose', 'allow_par', 'extract', 'save_pred', 'pkgs', 'save_workflow', 'event_level', 'parallel_over', 'backend_options'],
+  },
+  control_resamples: {
+    package: 'tune',
+    args: ['verbose', 'allow_par', 'extract', 'save_pred', 'pkgs', 'save_workflow', 'event_level', 'parallel_over', 'backend_options'],
+  },
+  control_bayes: {
+    package: 'tune',
+    args: [
+      'verbose', 'verbose_iter', 'no_improve', 'uncertain', 'seed', 'extract', 'save_pred', 'time_limit', 'pkgs',
+      'save_workflow', 'save_gp_scoring', 'event_level', 'parallel_over', 'backend_options', 'allow_par',
+    ],
+  },
+  grid_regular: { package: 'dials', args: ['x', 'levels', 'original', 'filter'], dots: 'pass' },
+  grid_random: { package: 'dials', args: ['x', 'size', 'original', 'filter'], dots: 'pass' },
+  grid_space_filling: { package: 'dials', args: ['x', 'size', 'type', 'original', 'iter'], dots: 'pass' },
+  conf_mat: { package: 'yardstick', args: ['data', 'truth', 'estimate', 'dnn', 'case_weights'], dots: 'pass' },
+};
+
+// Deprecated tidymodels functions and what replaces them
+const DEPRECATED_FUNCTIONS: Record<string, { package: string; version: string; replacement: string }> = {
+  grid_latin_hypercube: { package: 'dials', version: '1.3.0', replacement: 'grid_space_filling' },
+  grid_max_entropy: { package: 'dials', version: '1.3.0', replacement: 'grid_space_filling' },
+  surv_reg: { package: 'parsnip', version: '0.1.6', replacement: 'survival_reg' },
+  pull_workflow_fit: { package: 'workflows', version: '0.2.3', replacement: 'extract_fit_parsnip' },
+  pull_workflow_spec: { package: 'workflows', version: '0.2.3', replacement: 'extract_spec_parsnip' },
+  pull_workflow_preprocessor: { package: 'workflows', version: '0.2.3', replacement: 'extract_preprocessor' },
+  pull_workflow_prepped_recipe: { package: 'workflows', version: '0.2.3', replacement: 'extract_recipe' },
+  step_meanimpute: { package: 'recipes', version: '0.1.16', replacement: 'step_impute_mean' },
+  step_medianimpute: { package: 'recipes', version: '0.1.16', replacement: 'step_impute_median' },
+  step_modeimpute: { package: 'recipes', version: '0.1.16', replacement: 'step_impute_mode' },
+  step_knnimpute: { package: 'recipes', version: '0.1.16', replacement: 'step_impute_knn' },
+  step_bagimpute: { package: 'recipes', version: '0.1.16', replacement: 'step_impute_bag' },
+  step_lowerimpute: { package: 'recipes', version: '0.1.16', replacement: 'step_impute_lower' },
+  step_rollimpute: { package: 'recipes', version: '0.1.16', replacement: 'step_impute_roll' },
+};
+
+// Functions that resolve tune() placeholders
+const TUNING_FUNCTIONS = [
+  'tune_grid', 'tune_bayes', 'tune_sim_anneal', 'tune_race_anova', 'tune_race_win_loss', 'tune_cluster',
+  'finalize_workflow', 'finalize_model', 'finalize_recipe',
+];
+
+interface RDiagnostic {
+  severity: 'error' | 'warning';
+  code: 'syntax' | 'unknown-step' | 'unknown-argument' | 'deprecated' | 'missing-mode' | 'untuned-placeholder';
+  message: string;
+  line: number;
+  column: number;
+  suggestion?: string;
+}
+
+function editDistance(a: string, b: string): number {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Closest candidate within `maxDistance` edits, for "did you mean" suggestions
+function closestName(name: string, candidates: string[], maxDistance: number = 2): string | undefined {
+  let best: string | undefined;
+  let bestDistance = maxDistance + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Formal arguments of a known function, and whether `...` accepts other names
+function tidymodelsSignature(
+  name: string,
+  registry: ModelRegistry,
+  catalogue: RecipeStepCatalogue
+): { args: string[]; open: boolean } | undefined {
+  if (catalogue[name]) {
+    const step = catalogue[name];
+    return {
+      args: [...RECIPE_STEP_COMMON_ARGS, ...(step.arguments || [])],
+      open: !step.arguments || RECIPE_EXPRESSION_STEPS.includes(name),
+    };
+  }
+  if (TIDYMODELS_SIGNATURES[name]) {
+    const signature = TIDYMODELS_SIGNATURES[name];
+    return { args: signature.args, open: signature.dots === 'pass' };
+  }
+  if (registry[name]) {
+    return { args: ['mode', 'engine', ...registry[name].arguments], open: false };
+  }
+  return undefined;
+}
+
+// Static checks of a tidymodels R script: syntax, unknown recipe steps,
+// misspelled arguments, deprecated functions, model specifications without a
+// mode, and tune() placeholders that nothing tunes
+function validateTidymodelsCode(
+  source: string,
+  registry: ModelRegistry,
+  catalogue: RecipeStepCatalogue = snapshotRecipeSteps()
+): RDiagnostic[] {
+  const diagnostics: RDiagnostic[] = [];
+  const { statements, error } = parseR(source);
+  if (error) {
+    diagnostics.push({ severity: 'error', code: 'syntax', message: error.message, line: error.line, column: error.column });
+  }
+
+  const parents = new Map<RNode, RNode>();
+  const calls: RNode[] = [];
+  const defined = new Set<string>();
+  for (const statement of statements) {
+    walkR(statement, (node, parent) => {
+      if (parent) parents.set(node, parent);
+      if (node.kind === 'call') calls.push(node);
+      // Functions defined in the script shadow the ones we know about
+      if (node.kind === 'binary' && ['<-', '=', '<<-'].includes(node.value!) &&
+          node.children![0].kind === 'symbol' && node.children![1].kind === 'function') {
+        defined.add(node.children![0].value!);
+      }
+    });
+  }
+
+  // Variables a set_mode() call is applied to, e.g. set_mode(spec, ...) or spec |> set_mode(...)
+  const modeSetOn = new Set<string>();
+  for (const call of calls) {
+    const first = call.args?.[0]?.value;
+    if (callName(call) === 'set_mode' && first?.kind === 'symbol') modeSetOn.add(first.value!);
+  }
+
+  const placeholders: { call: RNode; argument?: string }[] = [];
+  let tuned = false;
+
+  for (const call of calls) {
+    const name = callName(call);
+    if (!name || defined.has(name)) continue;
+    const pkg = call.fn!.package;
+    const position = { line: call.fn!.line, column: call.fn!.column };
+
+    if (TUNING_FUNCTIONS.includes(name)) tuned = true;
+
+    if (name === 'tune' && (!pkg || pkg === 'tune') && (call.args || []).every(arg => arg.value?.kind === 'literal')) {
+      const parent = parents.get(call);
+      const argument = parent?.args?.find(arg => arg.value === call)?.name;
+      placeholders.push({ call, argument });
+      continue;
+    }
+
+    const deprecated = DEPRECATED_FUNCTIONS[name];
+    if (deprecated && (!pkg || pkg === deprecated.package)) {
+      diagnostics.push({
+        severity: 'warning',
+        code: 'deprecated',
+        message: `${name}() is deprecated as of ${deprecated.package} ${deprecated.version}; use ${deprecated.replacement}() instead`,
+        ...position,
+        suggestion: deprecated.replacement,
+      });
+      continue;
+    }
+
+    const signature = tidymodelsSignature(name, registry, catalogue);
+    if (!signature) {
+      if (name.startsWith('step_') && (!pkg || RECIPE_STEP_PACKAGES.includes(pkg))) {
+        // A near miss of a known step is a typo; anything else may come from an
+        // extension package we don't catalogue
+        const suggestion = closestName(name, Object.keys(catalogue));
+        diagnostics.push({
+          severity: suggestion ? 'error' : 'warning',
+          code: 'unknown-step',
+          message: suggestion
+            ? `Unknown recipe step ${name}(); did you mean ${suggestion}()?`
+            : `Unknown recipe step ${name}(); make sure the package that provides it is loaded`,
+          ...position,
+          ...(suggestion ? { suggestion } : {}),
+        });
+      }
+      continue;
+    }
+
+    if (!signature.open) {
+      for (const arg of call.args || []) {
+        if (!arg.name || signature.args.includes(arg.name)) continue;
+        const suggestion = closestName(arg.name, signature.args, Math.max(2, Math.floor(arg.name.length / 4)));
+        diagnostics.push({
+          severity: 'error',
+          code: 'unknown-argument',
+          message: `${name}() has no argument "${arg.name}"${suggestion ? `; did you mean "${suggestion}"?` : ''}`,
+          line: arg.line,
+          column: arg.column,
+          ...(suggestion ? { suggestion } : {}),
+        });
+      }
+    }
+
+    // Models that can fit more than one kind of outcome need a mode
+    const model = registry[name];
+    const modes = model?.modes.filter(mode => mode !== 'quantile regression') || [];
+    if (model && modes.length > 1 && !(call.args || []).some(arg => arg.name === 'mode')) {
+      let node: RNode = call;
+      let hasMode = false;
+      for (let parent = parents.get(node); parent; node = parent, parent = parents.get(node)) {
+        if (parent.kind === 'call' && parent.args?.[0]?.value === node) {
+          if (callName(parent) === 'set_mode') hasMode = true;
+          continue;
+        }
+        // The end of the chain: look for a later set_mode() on the variable it is assigned to
+        if (parent.kind === 'binary' && ['<-', '=', '<<-'].includes(parent.value!) && parent.children![1] === node) {
+          const target = parent.children![0];
+          if (target.kind === 'symbol' && modeSetOn.has(target.value!)) hasMode = true;
+        }
+        break;
+      }
+      if (!hasMode) {
+        diagnostics.push({
+          severity: 'error',
+          code: 'missing-mode',
+          message: `${name}() supports several modes (${modes.join(', ')}); add set_mode() to the model specification`,
+          ...position,
+          suggestion: `set_mode("${modes[0]}")`,
+        });
+      }
+    }
+  }
+
+  if (!tuned) {
+    for (const { call, argument } of placeholders) {
+      diagnostics.push({
+        severity: 'warning',
+        code: 'untuned-placeholder',
+        message: `tune() placeholder${argument ? ` for "${argument}"` : ''} is never tuned; ` +
+          'use tune_grid() or tune_bayes(), or give it a value',
+        line: call.line,
+        column: call.column,
+      });
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+// Lifecycle of a function (or of one of its arguments), merged from the
+// package's lifecycle::deprecate_*() calls, roxygen badges and NEWS.md
+interface LifecycleRecord {
+  function: string;
+  package: string;
+  argument?: string;
+  status: string;
+  version?: string;
+  replacement?: string;
+  sources: string[];
+  file?: string;
+  line?: number;
+}
+
+// Later stages win when sources disagree
+const LIFECYCLE_STATUS_RANK: Record<string, number> = {
+  experimental: 1,
+  superseded: 2,
+  deprecated: 3,
+  defunct: 4,
+};
+
+// Which source's version and location to trust first
+const LIFECYCLE_SOURCE_RANK: Record<string, number> = {
+  deprecate_stop: 5,
+  deprecate_warn: 5,
+  deprecate_soft: 5,
+  'NEWS.md': 4,
+  roxygen: 3,
+  snapshot: 2,
+};
+
+// "fn()", "pkg::fn()" or "fn(arg = )" as used in lifecycle messages
+function parseLifecycleTarget(text: string): { package?: string; function: string; argument?: string } | null {
+  const match = text.trim().match(/^(?:([\w.]+):::?)?([\w.]+)\(\s*([\w.]*)\s*(?:=\s*)?\)$/);
+  if (!match) return null;
+  return {
+    ...(match[1] ? { package: match[1] } : {}),
+    function: match[2],
+    ...(match[3] ? { argument: match[3] } : {}),
+  };
+}
+
+// lifecycle::deprecate_warn/deprecate_stop/deprecate_soft calls in an R file
+function parseLifecycleCalls(content: string, packageName: string, file: string): LifecycleRecord[] {
+  const records: LifecycleRecord[] = [];
+  const pattern = /\b(?:lifecycle::)?(deprecate_warn|deprecate_stop|deprecate_soft)\s*\(/g;
+  const code = blankRComments(content);
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(code)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBracket(content, open);
+    if (close < 0) continue;
+    const args = matchRCallArguments(content.slice(open + 1, close), ['when', 'what', 'with']);
+    const target = args.what ? parseLifecycleTarget(args.what) : null;
+    if (!target) continue;
+    const replacement = args.with ? parseLifecycleTarget(args.with) : null;
+    records.push({
+      function: target.function,
+      package: target.package || packageName,
+      ...(target.argument ? { argument: target.argument } : {}),
+      status: match[1] === 'deprecate_stop' ? 'defunct' : 'deprecated',
+      ...(args.when ? { version: args.when } : {}),
+      ...(replacement ? {
+        replacement: `${replacement.function}(${replacement.argument ? `${replacement.argument} = ` : ''})`,
+      } : {}),
+      sources: [match[1]],
+      file,
+      line: lineAt(content, match.index),
+    });
+  }
+  return records;
+}
+
+// Lifecycle badge of a roxygen block: `r lifecycle::badge("superseded")` or \lifecycle{deprecated}
+function roxygenLifecycle(entry: RoxygenEntry): LifecycleRecord | null {
+  const text = [entry.title, entry.description, entry.details].join('\n');
+  const badge = text.match(/badge\(\s*["'](\w+)["']\s*\)|\\lifecycle\{(\w+)\}/);
+  const status = badge ? (badge[1] || badge[2]).replace('soft-deprecated', 'deprecated') : '';
+  if (!LIFECYCLE_STATUS_RANK[status]) return null;
+  const replacement = text.match(/(?:in favou?r of|superseded by|replaced by|use)\s+\[?`?([\w.:]+)\(\)/i);
+  return {
+    function: entry.name,
+    package: entry.package,
+    status,
+    ...(replacement ? { replacement: `${replacement[1].replace(/^\w+::/, '')}()` } : {}),
+    sources: ['roxygen'],
+    file: entry.file,
+    line: entry.line_start,
+  };
+}
+
+// One release in a NEWS.md file
+interface NewsItem {
+  text: string;
+  section?: string;
+  category: string;
+  // "#123" refers to the package's own repository, "tidymodels/tune#45" to another
+  issues: { repo?: string; number: number }[];
+}
+
+interface NewsSection {
+  version: string;
+  heading: string;
+  items: NewsItem[];
+}
+
+// Changelog categories, matched against the subsection heading ("## Bug fixes")
+// or, for bullets outside of any subsection, against the bullet itself
+const NEWS_CATEGORIES: [string, RegExp, RegExp][] = [
+  ['breaking_changes', /breaking/i, /\bbreaking change/i],
+  ['deprecations', /deprecat|defunct|lifecycle/i, /\b(soft-)?deprecated\b|\bdefunct\b/i],
+  ['new_features', /new|feature|addition/i, /^(new|added?)\b/i],
+  // Before bug fixes, so "Minor improvements and fixes" counts as improvements
+  ['improvements', /improve|enhance|minor|update/i, /^(improved|better|faster)\b/i],
+  ['bug_fixes', /bug|fix/i, /^(fix(ed|es)?|bug fix)\b|\bbug\b/i],
+];
+
+function newsCategory(section: string | undefined, text: string): string {
+  for (const [category, heading, bullet] of NEWS_CATEGORIES) {
+    if (section ? heading.test(section) : bullet.test(text)) return category;
+  }
+  return 'other';
+}
+
+// Issue and pull request references: "#123", "tidymodels/tune#45" and
+// "https://github.com/tidymodels/tune/issues/45" (or /pull/45)
+function newsIssues(text: string): { repo?: string; number: number }[] {
+  const issues: { repo?: string; number: number }[] = [];
+  const seen = new Set<string>();
+  const reference = /github\.com\/([\w.-]+\/[\w.-]+)\/(?:issues|pull)\/(\d+)|(?<![\w/])([\w.-]+\/[\w.-]+)?#(\d+)\b/g;
+  for (const match of text.matchAll(reference)) {
+    const repo = match[1] || match[3];
+    const number = Number(match[2] || match[4]);
+    const key = `${repo || ''}#${number}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    issues.push({ ...(repo ? { repo } : {}), number });
+  }
+  return issues;
+}
+
+// Split NEWS.md into releases ("# pkg 1.2.0", "# pkg (development version)")
+// and their bullet points, keeping the subsection each bullet is under
+function parseNewsMd(content: string): NewsSection[] {
+  const sections: NewsSection[] = [];
+  let current: NewsSection | null = null;
+  let subsection: string | undefined;
+  let item: NewsItem | null = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const heading = line.match(/^(#+)\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      item = null;
+      const release = heading[2].match(/^[\w.]+\s+(\d[\w.-]*|\(development version\))/i);
+      if (release) {
+        current = { version: release[1].replace(/[()]/g, ''), heading: heading[2], items: [] };
+        sections.push(current);
+        subsection = undefined;
+      } else if (current) {
+        subsection = heading[2];
+      }
+      continue;
+    }
+    if (!current) continue;
+
+    const bullet = line.match(/^\s*[*-]\s+(.*)$/);
+    if (bullet) {
+      item = { text: bullet[1].trim(), ...(subsection ? { section: subsection } : {}), category: '', issues: [] };
+      current.items.push(item);
+    } else if (line.trim() === '') {
+      item = null;
+    } else if (item) {
+      item.text += ` ${line.trim()}`;
+    } else {
+      item = { text: line.trim(), ...(subsection ? { section: subsection } : {}), category: '', issues: [] };
+      current.items.push(item);
+    }
+  }
+
+  for (const section of sections) {
+    for (const entry of section.items) {
+      entry.category = newsCategory(entry.section, entry.text);
+      entry.issues = newsIssues(entry.text);
+    }
+  }
+  return sections;
+}
+
+// Whether a NEWS.md version lies in [from, to]; the development version is
+// newer than any release
+function newsVersionInRange(version: string, from?: string, to?: string): boolean {
+  if (version === 'development version') return !to;
+  return (!from || compareRVersions(version, from) >= 0) && (!to || compareRVersions(version, to) <= 0);
+}
+
+// Deprecations announced in NEWS.md, e.g. "`a()` is deprecated in favor of `b()`"
+function newsLifecycle(sections: NewsSection[], packageName: string): LifecycleRecord[] {
+  const records: LifecycleRecord[] = [];
+  for (const section of sections) {
+    for (const { text } of section.items) {
+      const keyword = text.match(/\b(soft-deprecated|deprecated|defunct|removed|superseded)\b/i);
+      if (!keyword) continue;
+      const status = /defunct|removed/i.test(keyword[1]) ? 'defunct'
+        : /superseded/i.test(keyword[1]) ? 'superseded' : 'deprecated';
+
+      const calls = [...text.matchAll(/`(?:([\w.]+)::)?([\w.]+)\(\)`/g)]
+        .map(call => ({ package: call[1], name: call[2], index: call.index! }));
+      // "instead of" goes first: in "use `b()` instead of `a()`" it is the split point
+      const marker = text.match(/\b(instead of)\b/i) ||
+        text.match(/\b(in favou?r of|replaced by|superseded by|use)\b/i);
+      const split = marker ? marker.index! : text.length;
+      const before = calls.filter(call => call.index < split);
+      const after = calls.filter(call => call.index > split);
+      // "use `b()` instead of `a()`" names the replacement first
+      const reversed = marker?.[1].toLowerCase() === 'instead of';
+      const deprecated = reversed ? after : before;
+      const replacement = reversed ? before[before.length - 1] : after[0];
+
+      // "The `x` argument of `f()` is deprecated"
+      const argument = text.slice(0, split).match(/`([\w.]+)`\s+argument|argument\s+`([\w.]+)`/);
+      const targets = argument ? deprecated.slice(0, 1) : deprecated;
+      for (const target of targets) {
+        if (target.name === replacement?.name) continue;
+        records.push({
+          function: target.name,
+          package: target.package || packageName,
+          ...(argument ? { argument: argument[1] || argument[2] } : {}),
+          status,
+          ...(section.version !== 'development version' ? { version: section.version } : {}),
+          ...(replacement ? { replacement: `${replacement.name}()` } : {}),
+          sources: ['NEWS.md'],
+        });
+      }
+    }
+  }
+  return records;
+}
+
+// Deprecations known without reading any package, from DEPRECATED_FUNCTIONS
+function snapshotLifecycle(): LifecycleRecord[] {
+  return Object.entries(DEPRECATED_FUNCTIONS).map(([name, info]) => ({
+    function: name,
+    package: info.package,
+    status: 'deprecated',
+    version: info.version,
+    replacement: `${info.replacement}()`,
+    sources: ['snapshot'],
+  }));
+}
+
+// One record per function (and argument): the most advanced status wins, and
+// its version and location come from the most precise source that has them
+function mergeLifecycleRecords(records: LifecycleRecord[]): LifecycleRecord[] {
+  const groups = new Map<string, LifecycleRecord[]>();
+  for (const record of records) {
+    const key = `${record.package}::${record.function}::${record.argument || ''}`;
+    groups.set(key, [...(groups.get(key) || []), record]);
+  }
+
+  const sourceRank = (record: LifecycleRecord) => Math.max(...record.sources.map(source => LIFECYCLE_SOURCE_RANK[source] || 0));
+  return [...groups.values()].map(group => {
+    const sorted = [...group].sort((a, b) =>
+      LIFECYCLE_STATUS_RANK[b.status] - LIFECYCLE_STATUS_RANK[a.status] || sourceRank(b) - sourceRank(a)
+    );
+    const [best] = sorted;
+    // A deprecation mentioned in several releases dates from the earliest
+    const version = sorted
+      .filter(record => record.status === best.status && record.version)
+      .sort((a, b) => sourceRank(b) - sourceRank(a) || compareRVersions(a.version!, b.version!))[0]?.version;
+    const replacement = sorted.find(record => record.replacement)?.replacement;
+    const located = sorted.find(record => record.file);
+    const sources: string[] = [];
+    for (const record of sorted) for (const source of record.sources) addUnique(sources, source);
+    return {
+      function: best.function,
+      package: best.package,
+      ...(best.argument ? { argument: best.argument } : {}),
+      status: best.status,
+      ...(version ? { version } : {}),
+      ...(replacement ? { replacement } : {}),
+      sources,
+      ...(located ? { file: located.file, line: located.line } : {}),
+    };
+  }).sort((a, b) => a.package.localeCompare(b.package) || a.function.localeCompare(b.function));
+}
+
+// Calls in R code to functions (or with arguments) that have a lifecycle record
+function findLifecycleUses(
+  source: string,
+  records: LifecycleRecord[]
+): { uses: (LifecycleRecord & { call_line: number; call_column: number })[]; error?: RSyntaxError } {
+  const { statements, error } = parseR(source);
+  const uses: (LifecycleRecord & { call_line: number; call_column: number })[] = [];
+  for (const statement of statements) {
+    walkR(statement, node => {
+      const name = callName(node);
+      if (!name) return;
+      const pkg = node.fn!.package;
+      for (const record of records) {
+        if (record.function !== name || (pkg && record.package !== pkg)) continue;
+        const arg = record.argument ? node.args?.find(item => item.name === record.argument) : undefined;
+        if (record.argument && !arg) continue;
+        uses.push({
+          ...record,
+          call_line: arg ? arg.line : node.fn!.line,
+          call_column: arg ? arg.column : node.fn!.column,
+        });
+      }
+    });
+  }
+  return { uses, ...(error ? { error } : {}) };
+}
+
+// Issue and comment bodies trimmed for an LLM context window: HTML comments
+// (issue template boilerplate) removed, whitespace collapsed, long text cut
+function compactText(text: string | null | undefined, maxLength: number): string {
+  const compact = (text || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return compact.length > maxLength ? `${compact.slice(0, maxLength).trimEnd()}…` : compact;
+}
+
+// The fields of a GitHub issue or pull request worth showing, without the API's URLs and ids
+function summarizeIssue(issue: any, bodyLength: number): any {
+  const repo = String(issue.repository_url || '').split('/').pop();
+  const isPr = Boolean(issue.pull_request);
+  return {
+    repo,
+    number: issue.number,
+    type: isPr ? 'pr' : 'issue',
+    title: issue.title,
+    state: issue.state,
+    ...(isPr && issue.pull_request.merged_at ? { merged: true } : {}),
+    author: issue.user?.login,
+    labels: (issue.labels || []).map((label: any) => typeof label === 'string' ? label : label.name),
+    comments: issue.comments || 0,
+    created: String(issue.created_at || '').slice(0, 10),
+    updated: String(issue.updated_at || '').slice(0, 10),
+    ...(issue.closed_at ? { closed: String(issue.closed_at).slice(0, 10) } : {}),
+    url: issue.html_url,
+    ...(bodyLength > 0 ? { body: compactText(issue.body, bodyLength) } : {}),
+  };
+}
+
+// Pull requests that reference an issue, from its timeline. A PR "closes" the
+// issue when its description uses a closing keyword ("Fixes #12") for it.
+function linkedPullRequests(timeline: any[], repo: string, number: number): any[] {
+  const keyword = '\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\\s*:?\\s+';
+  const fullReference = new RegExp(
+    `${keyword}(?:https://github\\.com/)?tidymodels/${repo.replace(/\./g, '\\.')}(?:#|/issues/)${number}\\b`,
+    'i'
+  );
+  // "#12" refers to the PR's own repository
+  const shortReference = new RegExp(`${keyword}#${number}\\b`, 'i');
+  const linked = new Map<string, any>();
+  for (const event of timeline) {
+    const source = event.source?.issue;
+    if (event.event !== 'cross-referenced' || !source?.pull_request) continue;
+    const pr = summarizeIssue(source, 0);
+    linked.set(`${pr.repo}#${pr.number}`, {
+      repo: pr.repo,
+      number: pr.number,
+      title: pr.title,
+      state: pr.state,
+      ...(pr.merged ? { merged: true } : {}),
+      closes: fullReference.test(source.body || '') || (pr.repo === repo && shortReference.test(source.body || '')),
+      url: pr.url,
+    });
+  }
+  return [...linked.values()];
+}
+
+interface RCondition {
+  kind: 'error' | 'warning';
+  // Functions named in "Error in `fit()`:" and "Caused by error in `bake()`:" headers
+  calls: string[];
+  message: string;
+  details: string[];
+}
+
+// Read a pasted R error or warning, as printed by base R ("Error in f(x) : msg",
+// "Warning message:\nIn f(x) : msg") or by rlang/cli ("Error in `f()`:\n! msg\nℹ detail").
+// Backtraces and anything pasted after them are ignored.
+function parseRCondition(text: string): RCondition {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const end = lines.findIndex(line => /^\s*(Backtrace:|Run `?rlang::last_|Traceback|Calls:|R version \d)/.test(line));
+  const condition: RCondition = { kind: 'error', calls: [], message: '', details: [] };
+  let headerSeen = false;
+  // Inside "Warning messages:", whose items are numbered "1: In log(-1) : NaNs produced"
+  let warningList = false;
+
+  for (const raw of end >= 0 ? lines.slice(0, end) : lines) {
+    let line = raw.trim();
+    if (!line) continue;
+    if (/^\d+:\s/.test(line)) {
+      // Elsewhere numbered lines are traceback frames
+      if (!warningList) continue;
+      line = line.replace(/^\d+:\s*/, '');
+    }
+
+    const header = line.match(/^(?:(Error|Warnings? messages?|Warning|Caused by (?:error|warning))\b|(?=In\s))\s*(in\s+|In\s+|:\s*)?(.*)$/);
+    if (header && (header[1] || header[2])) {
+      if (!headerSeen && /^warn/i.test(header[1] || '')) condition.kind = 'warning';
+      if (header[1]) warningList = /^warnings? messages$/i.test(header[1]);
+      headerSeen = true;
+      line = header[3];
+      // `fit()`: ... (rlang) or fit.model_spec(spec, data = df) : ... (base R)
+      const call = line.match(/^`([\w.:]+)(?:\(.*?\))?`\s*:?\s*(.*)$/) ||
+        (/^in\s/i.test(header[2] || '') ? line.match(/^([\w.:]+)\(.*?\)\s*:\s*(.*)$/) : null);
+      if (call) {
+        addUnique(condition.calls, call[1].replace(/^.*:::?/, ''));
+        line = call[2];
+      }
+      if (!line.trim()) continue;
+    }
+
+    const text = line.replace(/^(?:[!ℹ✖✔•*>]|x(?=\s))\s*/, '').trim();
+    if (!text) continue;
+    if (!condition.message) {
+      condition.message = text;
+    } else {
+      condition.details.push(text);
+    }
+  }
+  return condition;
+}
+
+// Package versions from sessionInfo() ("parsnip_1.2.1") or sessioninfo::session_info()
+// ("parsnip    * 1.2.1   2024-03-22 [1] CRAN (R 4.3.2)") output
+function parseSessionInfo(text: string): { r_version?: string; packages: Record<string, string> } {
+  const packages: Record<string, string> = {};
+  for (const match of text.matchAll(/(?:^|\s)([A-Za-z][\w.]*)_(\d+(?:[.-]\d+)+)(?=\s|$)/gm)) {
+    packages[match[1]] = match[2];
+  }
+  for (const match of text.matchAll(/^\s*([A-Za-z][\w.]*)\s+\*?\s*(\d+(?:[.-]\d+)+)\s+\d{4}-\d{2}-\d{2}/gm)) {
+    packages[match[1]] = match[2];
+  }
+  const rVersion = text.match(/R version (\d+\.\d+\.\d+)/);
+  return { ...(rVersion ? { r_version: rVersion[1] } : {}), packages };
+}
+
+// The fixed wording of a condition message: backticked and quoted values and
+// numbers become placeholders, and the text between them is what the source
+// code's cli_abort()/abort() call spells out literally. Longest fragments first.
+function normalizeRMessage(message: string): { normalized: string; fragments: string[] } {
+  const normalized = message
+    .replace(/`[^`]*`/g, '<x>')
+    // Quotes, but not the apostrophes of "can't"
+    .replace(/"[^"]*"|(?<!\w)'[^'\n]*'(?!\w)|‘[^’]*’|“[^”]*”/g, '<x>')
+    .replace(/-?\b\d+(?:\.\d+)?\b/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const fragments = normalized
+    .split(/<x>|<n>/)
+    .map(part => part.replace(/^[\s,.:;!?()[\]{}]+|[\s,.:;!?()[\]{}]+$/g, ''))
+    .filter(part => part.split(' ').length >= 3 || part.length >= 15)
+    .sort((a, b) => b.length - a.length);
+  return { normalized, fragments };
+}
+
+// Lines of an R file containing a message fragment, with the condition call
+// (cli_abort(), abort(), stop(), ...) they belong to and the enclosing function
+function locateConditionCall(
+  content: string,
+  phrase: string
+): { line: number; function?: string; emitter?: string; context: string }[] {
+  const lines = content.split(/\r?\n/);
+  const needle = phrase.toLowerCase();
+  const found: { line: number; function?: string; emitter?: string; context: string }[] = [];
+  lines.forEach((line, i) => {
+    if (!line.toLowerCase().includes(needle)) return;
+
+    // The message is usually an argument a few lines into the call
+    let emitter: string | undefined;
+    for (let j = i; j >= Math.max(0, i - 10) && !emitter; j--) {
+      emitter = lines[j].match(/\b((?:cli::)?cli_(?:abort|warn|inform)|(?:rlang::)?(?:abort|warn|inform)|stop|warning)\s*\(/)?.[1];
+    }
+    let fn: string | undefined;
+    for (let j = i; j >= 0 && !fn; j--) {
+      fn = lines[j].match(/^([\w.]+|`[^`]+`)\s*(?:<-|=)\s*function\b/)?.[1].replace(/`/g, '');
+    }
+    found.push({
+      line: i + 1,
+      ...(fn ? { function: fn } : {}),
+      ...(emitter ? { emitter } : {}),
+      context: lines.slice(Math.max(0, i - 3), i + 4).join('\n'),
+    });
+  });
+  return found;
+}
+
+// Describe the JSON type of a value the way schema errors mention it
+function jsonTypeOf(value: any): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesSchemaType(value: any, type: string): boolean {
+  const actual = jsonTypeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// The first way a value breaks a schema, or null. Covers the subset of JSON
+// Schema the tool definitions use: type, enum, the numeric bounds, items,
+// properties, required and additionalProperties.
+function schemaProblem(value: any, schema: any, path: string): string | null {
+  const types: string[] = schema.type ? [].concat(schema.type) : [];
+  if (types.length > 0 && !types.some(type => matchesSchemaType(value, type))) {
+    return `${path} must be ${types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ')}, not ${jsonTypeOf(value)}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.map((option: any) => JSON.stringify(option)).join(', ')}, not ${JSON.stringify(value)}`;
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    return `${path} must be at least ${schema.minimum}, not ${value}`;
+  }
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    return `${path} must be at most ${schema.maximum}, not ${value}`;
+  }
+  if (typeof value === 'number' && schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    return `${path} must be greater than ${schema.exclusiveMinimum}, not ${value}`;
+  }
+  if (typeof value === 'number' && schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    return `${path} must be less than ${schema.exclusiveMaximum}, not ${value}`;
+  }
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const problem = schemaProblem(value[i], schema.items, `${path}[${i}]`);
+      if (problem) return problem;
+    }
+  }
+  if (jsonTypeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) return `${path}.${key} is required`;
+    }
+    for (const [key, element] of Object.entries(value)) {
+      const property = schema.properties?.[key] ??
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : undefined);
+      if (property) {
+        const problem = schemaProblem(element, property, `${path}.${key}`);
+        if (problem) return problem;
+      } else if (schema.additionalProperties === false) {
+        return `${path} has no property ${key}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Check a tool call's arguments against the tool's inputSchema, so that the
+// handlers can rely on their types. Top-level argument names must be known;
+// optional arguments sent as null count as left out.
+function validateToolArguments(name: string, args: Record<string, unknown> | undefined, schema: any): Record<string, any> {
+  const values = Object.fromEntries(Object.entries(args || {}).filter(([, value]) => value !== null));
+  const known = Object.keys(schema.properties || {});
+  const unknown = Object.keys(values).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown argument${unknown.length === 1 ? '' : 's'} for ${name}: ${unknown.join(', ')} (expected ${known.join(', ') || 'none'})`
+    );
+  }
+  for (const key of schema.required || []) {
+    if (values[key] === undefined || values[key] === '') {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument for ${name}: ${key}`);
+    }
+  }
+  for (const [key, value] of Object.entries(values)) {
+    const problem = schemaProblem(value, schema.properties[key], key);
+    if (problem) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid argument for ${name}: ${problem}`);
+    }
+  }
+  return values;
+}
+
+// A repository, file or issue that doesn't exist (HTTP 404), as opposed to a
+// request that failed. -32002 is the MCP error code for a missing resource.
+class NotFoundError extends McpError {
+  constructor(message: string) {
+    super(-32002, message);
+    this.name = 'NotFoundError';
+  }
+}
+
+// Rejection handler that stands in `fallback` for something that doesn't
+// exist, and passes other failures (rate limits, network errors) on, so they
+// aren't reported as a missing file
+function ignoreNotFound<T>(fallback: T): (error: unknown) => T {
+  return error => {
+    if (error instanceof NotFoundError) return fallback;
+    throw error;
+  };
+}
+
+// How a tool call failed. Invalid input is a protocol error (InvalidParams);
+// the other kinds are reported as error results, with a hint on whether and
+// when a retry can succeed.
+type ToolErrorKind = 'invalid_input' | 'not_found' | 'rate_limited' | 'upstream_failure' | 'internal';
+
+function classifyToolError(error: unknown): { kind: ToolErrorKind; message: string; hint: string } {
+  const message = (error instanceof Error ? error.message : String(error)).replace(/^(MCP error -?\d+: )+/, '');
+  if (error instanceof McpError && error.code === ErrorCode.InvalidParams) {
+    return { kind: 'invalid_input', message, hint: 'Fix the arguments and call the tool again.' };
+  }
+  if (/rate limit/i.test(message)) {
+    const until = message.match(/exhausted until (\S+)/)?.[1];
+    const seconds = message.match(/retry after (\d+)s/)?.[1];
+    const when = until || (seconds ? new Date(Date.now() + Number(seconds) * 1000).toISOString() : '');
+    return {
+      kind: 'rate_limited',
+      message,
+      hint: `${when ? `Retry after ${when}` : 'Retry in a few minutes'}${GITHUB_TOKEN ? '' : '; setting GITHUB_TOKEN raises the limit'}.`,
+    };
+  }
+  if (error instanceof NotFoundError) {
+    return {
+      kind: 'not_found',
+      message,
+      hint: 'Retrying won\'t help; check the package, repository, file or topic name (list_tidymodels_packages lists the packages).',
+    };
+  }
+  if (/status code \d{3}|ECONN|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|timeout|network/i.test(message)) {
+    return {
+      kind: 'upstream_failure',
+      message,
+      hint: 'GitHub or CRAN failed or could not be reached; retry in a minute, or use a local mirror offline.',
+    };
+  }
+  return {
+    kind: 'internal',
+    message,
+    hint: 'Retrying with the same arguments will fail the same way.',
+  };
+}
+
+// The error result of a tool call; invalid input is rethrown as InvalidParams
+function toolErrorResult(action: string, error: unknown) {
+  const { kind, message, hint } = classifyToolError(error);
+  if (kind === 'invalid_input') throw error;
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Error ${action}: ${message}\n\n${kind}: ${hint}`,
+      },
+    ],
+    isError: true,
+  };
+}
+
+// Wrap a CallTool handler: unknown tools get MethodNotFound, arguments are
+// validated against the tool's inputSchema, and errors the handler doesn't
+// report itself become error results
+function guardToolCall(
+  tools: { name: string; inputSchema: any }[],
+  handler: (name: string, args: Record<string, any>) => Promise<any>
+) {
+  return async (request: { params: { name: string; arguments?: Record<string, unknown> } }) => {
+    const { name } = request.params;
+    const tool = tools.find(candidate => candidate.name === name);
+    if (!tool) {
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+    const args = validateToolArguments(name, request.params.arguments, tool.inputSchema);
+    try {
+      return await handler(name, args);
+    } catch (error) {
+      return toolErrorResult(`running ${name}`, error);
+    }
+  };
+}
+
+// Output schemas of the tools that return structured content. Item
+// properties are never required, since `fields` can trim any of them away.
+const PACKAGE_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Repository name' },
+    package: { type: 'string', description: 'R package name from DESCRIPTION' },
+    category: { type: 'string', enum: ['core', 'extension', 'infrastructure'] },
+    title: { type: 'string' },
+    version: { type: 'string' },
+    description: { type: ['string', 'null'], description: 'Repository description' },
+    stars: { type: 'number' },
+    forks: { type: 'number' },
+    url: { type: 'string' },
+    updated_at: { type: 'string' },
+  },
+};
+
+const PACKAGE_DETAILS_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Repository name' },
+    package: { type: 'string' },
+    title: { type: 'string' },
+    version: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    license: { type: 'string' },
+    authors: { type: 'array', items: { type: 'object' } },
+    maintainer: { type: 'object' },
+    urls: { type: 'array', items: { type: 'string' } },
+    bug_reports: { type: 'string' },
+    depends: { type: 'array', items: { type: 'object' }, description: 'Dependencies with their version constraints' },
+    imports: { type: 'array', items: { type: 'object' } },
+    suggests: { type: 'array', items: { type: 'object' } },
+    linking_to: { type: 'array', items: { type: 'object' } },
+    enhances: { type: 'array', items: { type: 'object' } },
+    remotes: { type: 'array', items: { type: 'string' } },
+    config: { type: 'object' },
+    stars: { type: 'number' },
+    open_issues: { type: 'number' },
+    url: { type: 'string' },
+    language: { type: ['string', 'null'] },
+    updated_at: { type: 'string' },
+    readme_excerpt: { type: 'string' },
+    cran: { type: 'object', description: 'CRAN release and check status, or an error' },
+  },
+};
+
+const FUNCTION_MATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    package: { type: 'string' },
+    score: { type: 'number' },
+    call: { type: 'string', description: 'pkg::name, or pkg:::name when not exported' },
+    internal: { type: 'boolean' },
+    lifecycle: { type: 'string' },
+    lifecycle_version: { type: 'string' },
+    replacement: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    usage: { type: 'string' },
+    params: { type: 'array', items: { type: 'object' } },
+    returns: { type: 'string' },
+    examples: { type: 'string' },
+    exported: { type: 'boolean' },
+    s3: { type: 'object' },
+    family: { type: 'array', items: { type: 'string' } },
+    seealso: { type: 'array', items: { type: 'string' } },
+    rdname: { type: 'string' },
+    file: { type: 'string' },
+    lines: { type: 'array', items: { type: 'number' } },
+    url: { type: 'string' },
+  },
+};
+
+const ISSUE_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    repo: { type: 'string' },
+    number: { type: 'number' },
+    type: { type: 'string', enum: ['issue', 'pr'] },
+    title: { type: 'string' },
+    state: { type: 'string' },
+    merged: { type: 'boolean' },
+    author: { type: 'string' },
+    labels: { type: 'array', items: { type: 'string' } },
+    comments: { type: 'number' },
+    created: { type: 'string' },
+    updated: { type: 'string' },
+    closed: { type: 'string' },
+    url: { type: 'string' },
+    body: { type: 'string' },
+    closes: { type: 'array', items: { type: 'object' }, description: 'Issues a pull request closes (with number)' },
+    linked_prs: { type: 'array', items: { type: 'object' }, description: 'Pull requests referencing an issue (with number)' },
+    comment_thread: { type: 'array', items: { type: 'object' }, description: 'Latest comments (with number)' },
+    omitted_comments: { type: 'number' },
+  },
+};
+
+const PACKAGE_LIST_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    count: { type: 'number', description: 'Number of matching packages, before limit and offset' },
+    offset: { type: 'number' },
+    has_more: { type: 'boolean' },
+    capped: { type: 'boolean', description: 'Whether the organization listing hit TIDYMODELS_MAX_PAGES' },
+    unavailable: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Repositories left out because their DESCRIPTION could not be read; retry later',
+    },
+    packages: { type: 'array', items: PACKAGE_SUMMARY_SCHEMA },
+  },
+  required: ['count', 'offset', 'has_more', 'packages'],
+};
+
+const FUNCTION_SEARCH_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    package: { type: 'string' },
+    offset: { type: 'number' },
+    count: { type: 'number', description: 'Number of matches returned' },
+    results: { type: 'array', items: FUNCTION_MATCH_SCHEMA },
+  },
+  required: ['query', 'count', 'results'],
+};
+
+// A search returns a page of summaries; a lookup by number returns one issue
+// with its thread at the top level
+const ISSUE_SEARCH_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...ISSUE_SUMMARY_SCHEMA.properties,
+    query: { type: 'string', description: 'GitHub search query that was run' },
+    backend: { type: 'string', enum: ['index', 'github'] },
+    total_count: { type: 'number' },
+    page: { type: 'number' },
+    per_page: { type: 'number' },
+    has_more: { type: 'boolean' },
+    items: { type: 'array', items: ISSUE_SUMMARY_SCHEMA },
+  },
+};
+
+// Reject field names a result item's schema doesn't have
+function checkFields(fields: string[] | undefined, schema: { properties: Record<string, any> }) {
+  const unknown = (fields || []).filter(field => !(field in schema.properties));
+  if (unknown.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown fields: ${unknown.join(', ')} (available: ${Object.keys(schema.properties).join(', ')})`
+    );
+  }
+}
+
+// The requested fields of a result item, or all of them
+function pickFields(item: Record<string, any>, fields?: string[]): Record<string, any> {
+  if (!fields || fields.length === 0) return item;
+  return Object.fromEntries(fields.filter(field => field in item).map(field => [field, item[field]]));
+}
+
+// Shorten a value for a Markdown line: lists of names are joined, other
+// structures summarized, long text cut at a word boundary
+function markdownValue(value: any, maxLength: number = 200): string {
+  if (Array.isArray(value)) {
+    if (value.every(element => typeof element !== 'object' || element === null)) return value.join(', ');
+    if (value.every(element => element?.number !== undefined)) {
+      return value.map(element => `${element.repo ? element.repo : ''}#${element.number}`).join(', ');
+    }
+    if (value.every(element => element?.package || element?.name)) {
+      return value.map(element => element.package || element.name).join(', ');
+    }
+    return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, element]) => typeof element !== 'object')
+      .map(([key, element]) => `${key}: ${element}`)
+      .join('; ');
+  }
+  return compactText(String(value ?? '').replace(/\s+/g, ' '), maxLength);
+}
+
+// The fields of an item not already shown in its heading, one per line
+function markdownFields(item: Record<string, any>, skip: string[], indent: string = '  '): string[] {
+  return Object.entries(item)
+    .filter(([key, value]) => !skip.includes(key) && value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => [key, markdownValue(value)])
+    .filter(([, text]) => text !== '')
+    .map(([key, text]) => `${indent}- ${key}: ${text}`);
+}
+
+function renderPackageListMarkdown(result: any): string {
+  const shown = result.packages.length > 0
+    ? `${result.offset + 1}–${result.offset + result.packages.length} of ${result.count}`
+    : `none of ${result.count} shown`;
+  const lines = [`# tidymodels packages (${shown}${result.capped ? ', listing capped' : ''})`, ''];
+  for (const pkg of result.packages) {
+    const heading = pkg.package || pkg.name;
+    const tags = [pkg.category, pkg.version].filter(Boolean).join(', ');
+    lines.push(`- **${heading ?? '(package)'}**${tags ? ` (${tags})` : ''}${pkg.title ? `: ${pkg.title}` : ''}`);
+    lines.push(...markdownFields(pkg, ['name', 'package', 'category', 'version', 'title']));
+  }
+  if (result.has_more) {
+    lines.push('', `More packages follow; use offset ${result.offset + result.packages.length}.`);
+  }
+  if (result.unavailable) {
+    lines.push('', `Not listed because their DESCRIPTION could not be read: ${result.unavailable.join(', ')}.`);
+  }
+  return lines.join('\n');
+}
+
+function renderPackageDetailsMarkdown(details: any): string {
+  const heading = details.package || details.name;
+  const lines = [`# ${heading ?? 'Package details'}${details.version ? ` ${details.version}` : ''}${details.title ? `: ${details.title}` : ''}`, ''];
+  if (details.description) lines.push(details.description, '');
+  lines.push(...markdownFields(details, ['name', 'package', 'version', 'title', 'description', 'readme_excerpt'], ''));
+  if (details.readme_excerpt) lines.push('', '## README', '', details.readme_excerpt);
+  return lines.join('\n');
+}
+
+function renderFunctionSearchMarkdown(result: any): string {
+  if (result.results.length === 0) {
+    return `No functions found matching "${result.query}"${result.package ? ` in package "${result.package}"` : ''}`;
+  }
+  const lines = [`# Functions matching "${result.query}"${result.package ? ` in ${result.package}` : ''}`, ''];
+  for (const match of result.results) {
+    const heading = match.call || [match.package, match.name].filter(Boolean).join('::');
+    lines.push(`- **${heading || '(function)'}**${match.title ? `: ${match.title}` : ''}`);
+    lines.push(...markdownFields(match, ['call', 'name', 'package', 'title', 'examples', 'params']));
+    if (match.params?.length > 0) {
+      lines.push(`  - params: ${match.params.map((param: any) => param.name).join(', ')}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function renderIssueMarkdown(issue: any, indent: string = ''): string[] {
+  const reference = [issue.repo, issue.number].filter(value => value !== undefined).join('#');
+  const tags = [issue.type, issue.merged ? 'merged' : issue.state].filter(Boolean).join(', ');
+  return [
+    `${indent}- **${reference || '(issue)'}**${tags ? ` (${tags})` : ''}${issue.title ? `: ${issue.title}` : ''}`,
+    ...markdownFields(issue, ['repo', 'number', 'type', 'state', 'merged', 'title', 'comment_thread'], `${indent}  `),
+  ];
+}
+
+function renderIssueSearchMarkdown(result: any): string {
+  if (!result.items) {
+    const lines = renderIssueMarkdown(result);
+    for (const comment of result.comment_thread || []) {
+      lines.push('', `**${comment.author}**${comment.role ? ` (${comment.role})` : ''}, ${comment.created}:`, '', comment.body);
+    }
+    if (result.omitted_comments) lines.push('', `${result.omitted_comments} earlier comments omitted.`);
+    return lines.join('\n');
+  }
+  if (result.items.length === 0) {
+    return `No results for \`${result.query}\`${result.page > 1 ? ` on page ${result.page}` : ''}`;
+  }
+  const first = (result.page - 1) * result.per_page;
+  const lines = [
+    `# ${result.total_count} results for \`${result.query}\` (${first + 1}–${first + result.items.length}, ${result.backend})`,
+    '',
+  ];
+  for (const item of result.items) lines.push(...renderIssueMarkdown(item));
+  if (result.has_more) lines.push('', `More results on page ${result.page + 1}.`);
+  return lines.join('\n');
+}
+
+// A tool result with structured content and its Markdown rendering for
+// clients that only read text
+function structuredResult(structured: Record<string, any>, markdown: string) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: markdown,
+      },
+    ],
+    structuredContent: structured,
+  };
+}
+
+// Prompts for guided modeling workflows. Prompt arguments are always strings.
+interface PromptDefinition {
+  name: string;
+  description: string;
+  arguments: { name: string; description: string; required?: boolean }[];
+}
+
+const TIDYMODELS_PROMPTS: PromptDefinition[] = [
+  {
+    name: 'build_classification_model',
+    description: 'Build a classification model for a dataset, from data splitting to test-set metrics',
+    arguments: [
+      { name: 'dataset', description: 'Name of the data frame', required: true },
+      { name: 'outcome', description: 'Outcome column (default: chosen after looking at the data)' },
+      { name: 'model', description: 'parsnip model function, e.g. rand_forest, logistic_reg' },
+    ],
+  },
+  {
+    name: 'tune_with_racing',
+    description: 'Tune a model\'s hyperparameters with racing (finetune::tune_race_anova)',
+    arguments: [
+      { name: 'model', description: 'parsnip model function, e.g. boost_tree', required: true },
+      { name: 'engine', description: 'parsnip engine, e.g. xgboost' },
+      { name: 'dataset', description: 'Name of the data frame' },
+    ],
+  },
+  {
+    name: 'explain_recipe',
+    description: 'Explain what each step of a recipe does, with the help pages of the steps it uses',
+    arguments: [
+      { name: 'recipe', description: 'R code defining the recipe', required: true },
+    ],
+  },
+  {
+    name: 'migrate_code',
+    description: 'Update R code to current tidymodels APIs, starting from the deprecated functions and arguments it uses',
+    arguments: [
+      { name: 'code', description: 'R code to update', required: true },
+    ],
+  },
+];
+
+// Transport settings from the environment, overridden by command line flags:
+// --transport stdio|http (--http for short), --host and --port
+function parseServerOptions(argv: string[]): { transport: 'stdio' | 'http'; host: string; port: number } {
+  const options = { transport: TIDYMODELS_TRANSPORT, host: TIDYMODELS_HTTP_HOST, port: TIDYMODELS_HTTP_PORT };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => inline ?? argv[++i];
+    switch (flag) {
+      case '--http':
+        options.transport = 'http';
+        break;
+      case '--stdio':
+        options.transport = 'stdio';
+        break;
+      case '--transport':
+        options.transport = value();
+        break;
+      case '--host':
+        options.host = value();
+        break;
+      case '--port':
+        options.port = Number(value());
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (options.transport !== 'stdio' && options.transport !== 'http') {
+    throw new Error(`Unknown transport "${options.transport}" (expected "stdio" or "http")`);
+  }
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  return options as { transport: 'stdio' | 'http'; host: string; port: number };
+}
+
+// Whether an HTTP request carries the configured bearer token
+function hasBearerToken(req: IncomingMessage, token: string): boolean {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// The JSON body of an HTTP request, or undefined when it is empty
+async function readJsonBody(req: IncomingMessage, maxBytes: number = 4 * 1024 * 1024): Promise<any> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error('Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf-8');
+  return text.trim() ? JSON.parse(text) : undefined;
+}
+
+function sendJson(res: ServerResponse, status: number, body: any, headers: Record<string, string> = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// A JSON-RPC error response for requests the transports never see
+function sendJsonRpcError(res: ServerResponse, status: number, code: number, message: string) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+class TidymodelsServer {
+  private source: RepositorySource;
+  private cran: CranSource;
+  private cranIndex: Record<string, string>[] = [];
+  private cranIndexUpdate: number = 0;
+  private cranInfoCache: Map<string, { fetched: number; info: any }> = new Map();
+  private releaseDatesCache: Map<string, { fetched: number; dates: Map<string, string> }> = new Map();
+  private cachedRepos: any[] = [];
+  private cachedReposCapped: boolean = false;
+  private cacheExpiryMs: number = 3600000; // 1 hour
+  private lastCacheUpdate: number = 0;
+  private repoContentCache: Map<string, any> = new Map();
+  // Paths that don't exist (most packages have no vignettes/articles), so
+  // they aren't requested again
+  private repoContentMisses: Set<string> = new Set();
+  private documentationCache: Map<string, any> = new Map();
+  // Keyed by repository; `marker` is the repository's pushed_at when the DESCRIPTION was read
+  private descriptionCache: Map<string, { marker?: string; description: PackageDescription | null }> = new Map();
+  private descriptionStoreLoading: Promise<void> | null = null;
+  private descriptionStoreTimer: ReturnType<typeof setTimeout> | null = null;
+  private roxygenFileCache: Map<string, RoxygenEntry[]> = new Map();
+  // lifecycle::deprecate_*() calls per file, collected while indexing roxygen
+  private lifecycleFileCache: Map<string, LifecycleRecord[]> = new Map();
+  private lifecycleCache: Map<string, LifecycleRecord[]> = new Map();
+  private functionIndexCache: Map<string, RoxygenEntry[]> = new Map();
+  private namespaceCache: Map<string, PackageNamespace | null> = new Map();
+  private modelRegistry: ModelRegistry = snapshotModelRegistry();
+  // Where the registry came from, and the packages that kept their snapshot engines
+  private modelRegistryInfo: { source: string; updated_at?: string; snapshot_packages: string[] } = {
+    source: 'snapshot',
+    snapshot_packages: ['parsnip', ...PARSNIP_EXTENSIONS],
+  };
+  private searchIndex = new SearchIndex(
+    TIDYMODELS_CACHE_MAX_BYTES > 0 ? join(TIDYMODELS_CACHE_DIR, 'search-index.json') : null,
+    TIDYMODELS_CACHE_MAX_BYTES,
+    bytes => this.source.reserveCacheBytes(bytes).catch(error => console.error('Error sizing the cache:', error))
+  );
+  // The running search index update, shared by everyone who asks for one
+  private searchIndexUpdate: Promise<any> | null = null;
+  private stepCatalogue: RecipeStepCatalogue = snapshotRecipeSteps();
+  private stepCatalogueInfo: { source: string; updated_at?: string; snapshot_packages: string[] } = {
+    source: 'snapshot',
+    snapshot_packages: [...RECIPE_STEP_PACKAGES],
+  };
+  // Subscribed resources: the version last seen (blob SHA, or a hash of a
+  // directory's entries; null until `ready`, the first fetch, settles) and the
+  // servers whose clients want to hear of changes
+  private subscriptions: Map<string, { version: string | null; ready: Promise<void>; servers: Set<Server> }> = new Map();
+  private watchTimer: NodeJS.Timeout | null = null;
+  private watching = false;
+
+  constructor() {
+    this.source = createRepositorySource();
+    console.error(`Using ${this.source.name} repository source`);
+    this.cran = createCranSource();
+  }
+
+  // An MCP server with the resource and tool handlers. Each stdio process has
+  // one; over HTTP every session gets its own, all sharing this instance's caches.
+  private createServer(): Server {
+    const server = new Server(
+      {
+        name: 'tidymodels-server',
+        version: '0.1.0',
+      },
+      {
+        capabilities: {
+          resources: {
+            subscribe: true,
+          },
+          tools: {},
+          prompts: {},
+        },
+      }
+    );
+
+    this.setupResourceHandlers(server);
+    this.setupToolHandlers(server);
+    this.setupPromptHandlers(server);
+    
+    // Error handling
+    server.onerror = (error) => console.error('[MCP Error]', error);
+    server.onclose = () => this.unsubscribeAll(server);
+    return server;
+  }
+
+  // Helper methods for the repository source
+  private async getRepos(forceRefresh: boolean = false): Promise<any[]> {
+    const now = Date.now();
+    if (forceRefresh || this.cachedRepos.length === 0 || (now - this.lastCacheUpdate) > this.cacheExpiryMs) {
+      try {
+        console.error(`Fetching tidymodels repositories from ${this.source.name} source...`);
+        const result = await this.source.listRepos();
+        this.cachedRepos = result.items;
+        this.cachedReposCapped = result.capped;
+        this.lastCacheUpdate = now;
+        console.error(`Cached ${this.cachedRepos.length} repositories${result.capped ? ` (capped at ${result.pages} pages)` : ''}`);
+      } catch (error) {
+        console.error('Error fetching repositories:', error);
+        // If there's an error, use the cached data if available
+        if (this.cachedRepos.length === 0) {
+          throw new McpError(
+            ErrorCode.InternalError,
+            `Failed to fetch repositories: ${error instanceof Error ? error.message : String(error)}`
+          );
+        }
+      }
+    }
+    return this.cachedRepos;
+  }
+
+  private clearMemoryCaches() {
+    this.cachedRepos = [];
+    this.lastCacheUpdate = 0;
+    this.repoContentCache.clear();
+    this.repoContentMisses.clear();
+    this.documentationCache.clear();
+    this.descriptionCache.clear();
+    this.namespaceCache.clear();
+    this.roxygenFileCache.clear();
+    this.lifecycleFileCache.clear();
+    this.lifecycleCache.clear();
+    this.functionIndexCache.clear();
+    this.cranIndex = [];
+    this.cranIndexUpdate = 0;
+    this.cranInfoCache.clear();
+    this.releaseDatesCache.clear();
+  }
+
+  private async getRepoContent(repo: string, path: string = ''): Promise<any> {
+    const cacheKey = `${repo}:${path}`;
+    if (this.repoContentCache.has(cacheKey)) {
+      return this.repoContentCache.get(cacheKey);
+    }
+    if (this.repoContentMisses.has(cacheKey)) {
+      throw new NotFoundError(`Not found: ${repo}/${path}`);
+    }
+
+    try {
+      const content = await this.source.getContent(repo, path);
+      this.repoContentCache.set(cacheKey, content);
+      return content;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        this.repoContentMisses.add(cacheKey);
+        throw new NotFoundError(`Not found: ${repo}/${path}`);
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to fetch content for ${repo}/${path}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  private async getFileContent(repo: string, path: string): Promise<string> {
+    try {
+      const data = await this.source.getContent(repo, path);
+
+      if ('content' in data && 'encoding' in data) {
+        const fileData = data as { content: string; encoding: string };
+        if (fileData.encoding === 'base64') {
+          return Buffer.from(fileData.content, 'base64').toString('utf-8');
+        }
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Invalid file data format for ${repo}/${path}`
+      );
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw new NotFoundError(`File not found: ${repo}/${path}`);
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to fetch file content for ${repo}/${path}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  private async searchCodeInOrg(query: string, maxPages: number = TIDYMODELS_MAX_PAGES): Promise<PagedResult<any>> {
+    const indexed = await this.searchLocalIndex(query, ['code', 'docs', 'vignette', 'readme']);
+    if (indexed && indexed.length > 0) {
+      const items = indexed.slice(0, maxPages * 100);
+      return {
+        items: items.map(({ doc, score, snippet }) => ({
+          name: doc.path!.split('/').pop(),
+          path: doc.path,
+          html_url: doc.url,
+          score,
+          ...(snippet ? { snippet } : {}),
+          repository: {
+            name: doc.repo,
+            full_name: `tidymodels/${doc.repo}`,
+          },
+        })),
+        total_count: indexed.length,
+        pages: Math.max(1, Math.ceil(items.length / 100)),
+        capped: indexed.length > items.length,
+      };
+    }
+
+    try {
+      return await this.source.searchCode(`org:tidymodels ${query}`, maxPages);
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search code: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  // Results of the local search index, or null when it is turned off, holds
+  // no documents of these kinds yet, is out of date (an update then starts in
+  // the background) or is missing older issues of the repositories searched;
+  // callers then fall back to GitHub search
+  private async searchLocalIndex(
+    query: string,
+    kinds: SearchDocument['kind'][]
+  ): Promise<{ doc: SearchDocument; score: number; snippet?: { line: number; text: string } }[] | null> {
+    if (TIDYMODELS_SEARCH_INDEX === 'off') return null;
+    await this.searchIndex.load();
+    if (!kinds.some(kind => this.searchIndex.has(kind))) return null;
+    if (!this.searchIndex.isFresh(TIDYMODELS_SEARCH_INDEX_MAX_AGE_MS)) {
+      this.refreshSearchIndex().catch(error => console.error('Error updating search index:', error));
+      return null;
+    }
+    if (kinds.includes('issue')) {
+      const repos = parseSearchQuery(query).qualifiers.repo?.map(repo => repo.split('/').pop()!);
+      if (this.searchIndex.issuesCapped(repos)) return null;
+    }
+    return this.searchIndex.search(query, kinds);
+  }
+
+  // Update the whole search index, or join the update already running
+  private refreshSearchIndex(): Promise<any> {
+    if (!this.searchIndexUpdate) {
+      this.searchIndexUpdate = this.updateSearchIndex().finally(() => {
+        this.searchIndexUpdate = null;
+      });
+    }
+    return this.searchIndexUpdate;
+  }
+
+  // R/, man/ and vignettes/ files and the README of a repository, with their
+  // blob SHAs. Missing directories are skipped; other failures are thrown,
+  // since an incomplete listing would drop the files left out from the index.
+  private async listIndexableFiles(repo: string): Promise<{ path: string; sha: string }[]> {
+    const files: { path: string; sha: string }[] = [];
+    const list = async (dir: string, depth: number) => {
+      const entries = await this.source.getContent(repo, dir).catch(ignoreNotFound([]));
+      if (!Array.isArray(entries)) return;
+      for (const entry of entries) {
+        if (entry.type === 'dir' && depth > 0) {
+          await list(entry.path, depth - 1);
+        } else if (entry.type === 'file' && SEARCH_INDEX_PATHS.test(entry.path)) {
+          files.push({ path: entry.path, sha: entry.sha });
+        }
+      }
+    };
+    await list('', 0);
+    await list('R', 0);
+    await list('man', 0);
+    await list('vignettes', 1);
+
+    // README.md is rendered from README.Rmd; index only one of them
+    const hasMarkdownReadme = files.some(file => file.path === 'README.md');
+    return files.filter(file => !(hasMarkdownReadme && file.path === 'README.Rmd'));
+  }
+
+  // Bring the local search index up to date. Repositories whose pushed_at is
+  // unchanged are skipped; otherwise only files with a new blob SHA are read
+  // again. Issues are fetched from the newest update already indexed. A
+  // repository that fails to update keeps its documents and state, is listed
+  // under `failed`, and leaves the index out of date so it is tried again.
+  private async updateSearchIndex(options: { packages?: string[]; issues?: boolean; force?: boolean } = {}): Promise<any> {
+    await this.searchIndex.load();
+    const orgPackages = await this.getOrgPackages();
+    const packages = orgPackages.packages.filter(pkg =>
+      !options.packages || options.packages.includes(pkg.description.package) || options.packages.includes(pkg.repo.name)
+    );
+
+    const counts = { repositories: 0, added: 0, updated: 0, removed: 0, unchanged: 0, issues: 0 };
+    const failed: { repo: string; error: string }[] = orgPackages.unavailable
+      .filter(repo => !options.packages || options.packages.includes(repo))
+      .map(repo => ({ repo, error: 'Failed to read its DESCRIPTION' }));
+    const fail = (repo: string, error: unknown) => {
+      console.error(`Error indexing ${repo}:`, error);
+      failed.push({ repo, error: error instanceof Error ? error.message : String(error) });
+    };
+    for (const { repo } of packages) {
+      const state = this.searchIndex.repoState(repo.name);
+      if (options.force || !repo.pushed_at || state.pushed_at !== repo.pushed_at) {
+        counts.repositories++;
+        console.error(`Indexing ${repo.name}...`);
+        try {
+          const seen = new Set<string>();
+          for (const file of await this.listIndexableFiles(repo.name)) {
+            const id = `${repo.name}:${file.path}`;
+            seen.add(id);
+            const existing = this.searchIndex.get(id);
+            if (existing && existing.version === file.sha && !options.force) {
+              counts.unchanged++;
+              continue;
+            }
+            const content = await this.getFileContent(repo.name, file.path).catch(ignoreNotFound(null));
+            const doc = content === null ? null : searchDocumentForFile(repo.name, file.path, file.sha, content);
+            if (!doc) continue;
+            this.searchIndex.add(doc);
+            counts[existing ? 'updated' : 'added']++;
+          }
+          for (const doc of this.searchIndex.documentsOf(repo.name, ['code', 'docs', 'vignette', 'readme'])) {
+            if (!seen.has(doc.id)) {
+              this.searchIndex.remove(doc.id);
+              counts.removed++;
+            }
+          }
+          this.searchIndex.setRepoState(repo.name, { pushed_at: repo.pushed_at });
+        } catch (error) {
+          fail(repo.name, error);
+          continue;
+        }
+      }
+
+      if (options.issues !== false) {
+        const since = options.force ? undefined : state.issues_updated_at;
+        let listing: PagedResult<any>;
+        try {
+          listing = await this.source.listIssues(repo.name, since);
+        } catch (error) {
+          fail(repo.name, error);
+          continue;
+        }
+        const { items, capped } = listing;
+        let newest = state.issues_updated_at || '';
+        for (const issue of items) {
+          this.searchIndex.add(searchDocumentForIssue(repo.name, issue));
+          if (String(issue.updated_at || '') > newest) newest = issue.updated_at;
+        }
+        counts.issues += items.length;
+        // Only a full listing can tell whether older issues were left out
+        if (newest) {
+          this.searchIndex.setRepoState(repo.name, { issues_updated_at: newest, ...(since ? {} : { issues_capped: capped }) });
+        }
+      }
+    }
+    if (failed.length > 0) this.searchIndex.markStale();
+    else if (!options.packages) this.searchIndex.markUpdated();
+    return { ...counts, ...(failed.length > 0 ? { failed } : {}), index: this.searchIndex.stats() };
+  }
+
+  // Full-text search of the local index. An index that is missing or out of
+  // date is updated in the background, and searched as it stands meanwhile;
+  // `update` waits for the update instead.
+  private async searchTidymodels(options: {
+    query: string;
+    kinds: SearchDocument['kind'][];
+    packages?: string[];
+    limit: number;
+    update: boolean;
+  }): Promise<any> {
+    await this.searchIndex.load();
+    let update = null;
+    if (options.update) {
+      update = await this.refreshSearchIndex();
+    } else if (!this.searchIndex.isFresh(TIDYMODELS_SEARCH_INDEX_MAX_AGE_MS)) {
+      this.refreshSearchIndex().catch(error => console.error('Error updating search index:', error));
+    }
+
+    const repoFilter = (options.packages || []).map(pkg => `repo:tidymodels/${pkg}`).join(' ');
+    const results = this.searchIndex.search(`${options.query} ${repoFilter}`, options.kinds);
+    return {
+      query: options.query,
+      ...(update ? { update } : {}),
+      index: this.searchIndex.stats(),
+      ...(this.searchIndexUpdate ? { updating: true } : {}),
+      ...(this.searchIndexUpdate && this.searchIndex.size === 0
+        ? { note: 'The search index is being built; search again in a few minutes' }
+        : {}),
+      total_count: results.length,
+      items: results.slice(0, options.limit).map(({ doc, score, snippet }) => ({
+        kind: doc.kind,
+        repo: doc.repo,
+        ...(doc.path ? { path: doc.path } : {}),
+        ...(doc.issue ? { number: doc.issue.number, state: doc.issue.state, type: doc.issue.is_pr ? 'pr' : 'issue' } : {}),
+        ...(doc.fields.name ? { name: doc.fields.name.split(' ').slice(0, 10).join(' ') } : {}),
+        title: doc.fields.title.split('\n')[0],
+        score: Math.round(score * 100) / 100,
+        url: doc.url,
+        ...(snippet ? { snippet } : {}),
+      })),
+    };
+  }
+
+  // Issue and pull request search across the organization (or one repository),
+  // built from the tool's filters and returned one page at a time
+  private async searchIssues(options: {
+    query: string;
+    repo?: string;
+    state: string;
+    type: string;
+    labels: string[];
+    author?: string;
+    since?: string;
+    until?: string;
+    dateField: string;
+    sort?: string;
+    order: string;
+    page: number;
+    perPage: number;
+  }): Promise<any> {
+    const parts = [options.query, options.repo ? `repo:tidymodels/${options.repo}` : 'org:tidymodels'];
+    if (options.state !== 'all') parts.push(`state:${options.state}`);
+    if (options.type !== 'all') parts.push(`is:${options.type}`);
+    for (const label of options.labels) {
+      parts.push(/\s/.test(label) ? `label:"${label}"` : `label:${label}`);
+    }
+    if (options.author) parts.push(`author:${options.author}`);
+    if (options.since || options.until) {
+      parts.push(`${options.dateField}:${options.since || '*'}..${options.until || '*'}`);
+    }
+    const query = parts.filter(Boolean).join(' ');
+
+    // GitHub search never returns more than the first 1000 results
+    const end = options.page * options.perPage;
+    if (end > 1000) {
+      throw new McpError(ErrorCode.InvalidParams, 'Only the first 1000 search results are available; narrow the search');
+    }
+    const params = options.sort && options.sort !== 'best-match' ? { sort: options.sort, order: options.order } : {};
+
+    const indexed = await this.searchLocalIndex(query, ['issue']);
+    if (indexed && indexed.length > 0) {
+      const issues = indexed.map(({ doc }) => issueFromSearchDocument(doc));
+      if (options.sort && options.sort !== 'best-match') {
+        const direction = options.order === 'asc' ? 1 : -1;
+        issues.sort((a, b) => direction * (options.sort === 'comments'
+          ? a.comments - b.comments
+          : String(a[`${options.sort}_at`] || '').localeCompare(String(b[`${options.sort}_at`] || ''))));
+      }
+      return {
+        query,
+        backend: 'index',
+        total_count: issues.length,
+        page: options.page,
+        per_page: options.perPage,
+        has_more: end < issues.length,
+        items: issues.slice(end - options.perPage, end).map(issue => summarizeIssue(issue, 300)),
+      };
+    }
+
+    let result: PagedResult<any>;
+    try {
+      result = await this.source.searchIssues(query, params, options.page, options.perPage);
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search issues: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+
+    return {
+      query,
+      backend: 'github',
+      total_count: result.total_count,
+      page: options.page,
+      per_page: options.perPage,
+      has_more: end < Math.min(result.total_count, 1000),
+      items: result.items.map(issue => summarizeIssue(issue, 300)),
+    };
+  }
+
+  // One issue or pull request with its latest comments and the pull requests
+  // that reference it (or, for a pull request, the issues it closes)
+  private async getIssueThread(repo: string, number: number, maxComments: number = 20): Promise<any> {
+    let issue: any;
+    try {
+      issue = await this.source.getIssue(repo, number);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw new NotFoundError(`Not found: ${repo}#${number}`);
+      }
+      throw error;
+    }
+    // Rate limits and other failures fail the call rather than leave out the
+    // comments or linked pull requests unnoticed
+    const comments = issue.comments > 0 && maxComments > 0
+      ? (await this.source.listIssueComments(repo, number).catch(ignoreNotFound(null)))?.items || []
+      : [];
+    const timeline = (await this.source.listIssueTimeline(repo, number).catch(ignoreNotFound(null)))?.items || [];
+
+    const thread = summarizeIssue({ repository_url: `https://api.github.com/repos/tidymodels/${repo}`, ...issue }, 4000);
+    if (issue.pull_request) {
+      const closing = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+(?:(?:https:\/\/github\.com\/)?tidymodels\/([\w.-]+)(?:#|\/issues\/)|#)(\d+)\b/gi;
+      thread.closes = [...String(issue.body || '').matchAll(closing)].map(match => ({
+        repo: match[1] || repo,
+        number: Number(match[2]),
+      }));
+    } else {
+      thread.linked_prs = linkedPullRequests(timeline, repo, number);
+    }
+    thread.comment_thread = comments.slice(comments.length - Math.min(maxComments, comments.length)).map((comment: any) => ({
+      author: comment.user?.login,
+      ...(comment.author_association && comment.author_association !== 'NONE' ? { role: comment.author_association.toLowerCase() } : {}),
+      created: String(comment.created_at || '').slice(0, 10),
+      body: compactText(comment.body, 1000),
+    }));
+    if (issue.comments > thread.comment_thread.length) {
+      thread.omitted_comments = issue.comments - thread.comment_thread.length;
+    }
+    return thread;
+  }
+
+  // Trace a pasted R error or warning back to the tidymodels code that raises
+  // it and to the issues reporting it, and tell whether (and in which version)
+  // a fix was released, compared with the versions in sessionInfo() output
+  private async diagnoseRError(errorText: string, sessionInfo?: string): Promise<any> {
+    const condition = parseRCondition(errorText);
+    if (!condition.message) {
+      throw new McpError(ErrorCode.InvalidParams, 'No error or warning message found in the text');
+    }
+    const { normalized, fragments } = normalizeRMessage(condition.message);
+    const detailFragments = condition.details.flatMap(detail => normalizeRMessage(detail).fragments);
+    const session = sessionInfo ? parseSessionInfo(sessionInfo) : null;
+    const repos = new Set((await this.getOrgPackages()).packages.map(pkg => pkg.repo.name as string));
+
+    // Long fragments are tried whole and by their first half, since cli
+    // interpolations ("not {.obj_type_friendly {x}}") split the literal text
+    const phrases: string[] = [];
+    for (const fragment of [...fragments, ...detailFragments].slice(0, 2)) {
+      addUnique(phrases, fragment);
+      const words = fragment.split(' ');
+      if (words.length >= 6) addUnique(phrases, words.slice(0, Math.ceil(words.length / 2)).join(' ').replace(/[,.:;]+$/, ''));
+    }
+
+    const keywords = [...fragments, ...detailFragments]
+      .flatMap(fragment => fragment.toLowerCase().split(/\W+/))
+      .filter(word => word.length >= 4);
+    const origins: any[] = [];
+    const searched: string[] = [];
+    for (const phrase of phrases.slice(0, 4)) {
+      searched.push(phrase);
+      const { items } = await this.searchCodeInOrg(`"${phrase.replace(/"/g, '')}" extension:R`, 1)
+        .catch(() => ({ items: [] as any[] }));
+      // Package code only: tests quote the messages they expect
+      for (const item of items.filter((item: any) => item.path.startsWith('R/')).slice(0, 10)) {
+        const content = await this.getFileContent(item.repository.name, item.path).catch(() => '');
+        for (const location of locateConditionCall(content, phrase)) {
+          const context = location.context.toLowerCase();
+          const matched = keywords.filter(word => context.includes(word)).length;
+          const confidence = (keywords.length > 0 ? matched / keywords.length : 0.5) *
+            (location.emitter ? 1 : 0.5) *
+            (location.function && condition.calls.includes(location.function) ? 1 : 0.9);
+          origins.push({
+            package: item.repository.name,
+            ...(location.function ? { function: location.function } : {}),
+            file: item.path,
+            line: location.line,
+            ...(location.emitter ? { emitter: location.emitter } : {}),
+            confidence: Math.round(confidence * 100) / 100,
+            url: `${item.html_url}#L${location.line}`,
+            context: location.context,
+          });
+        }
+      }
+      if (origins.length > 0) break;
+    }
+    origins.sort((a, b) => b.confidence - a.confidence);
+    const topOrigins = origins.slice(0, 3);
+    for (const origin of topOrigins) {
+      const installed = session?.packages[origin.package];
+      const cran = await this.getCranInfo(origin.package, false).catch(() => null);
+      if (installed) origin.installed = installed;
+      if (cran?.version) origin.latest_cran = cran.version;
+    }
+
+    // Issues quoting the message, or else the call and the message's wording
+    const issueQueries = phrases.length > 0
+      ? phrases.slice(0, 2).map(phrase => `"${phrase.replace(/"/g, '')}"`)
+      : [`${condition.calls[0] || ''} ${normalized.replace(/<[xn]>/g, ' ')}`.replace(/\s+/g, ' ').trim()];
+    let issues: any[] = [];
+    for (const query of issueQueries) {
+      const result = await this.searchIssues({
+        query,
+        state: 'all',
+        type: 'issue',
+        labels: [],
+        dateField: 'created',
+        order: 'desc',
+        page: 1,
+        perPage: 10,
+      }).catch(() => null);
+      if (result && result.items.length > 0) {
+        issues = result.items;
+        break;
+      }
+    }
+
+    // A closed issue is fixed when NEWS.md mentions it (or the pull request that
+    // closed it); otherwise the first CRAN release after it was closed is assumed
+    const newsCache = new Map<string, NewsSection[]>();
+    const relatedIssues: any[] = [];
+    for (const issue of issues.slice(0, 5)) {
+      const related: any = {
+        repo: issue.repo,
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        created: issue.created,
+        ...(issue.closed ? { closed: issue.closed } : {}),
+        url: issue.url,
+      };
+      relatedIssues.push(related);
+      if (issue.state === 'open') {
+        related.fix = { status: 'open' };
+        continue;
+      }
+
+      const thread = await this.getIssueThread(issue.repo, issue.number, 0).catch(() => null);
+      const pulls = (thread?.linked_prs || []).filter((pr: any) => pr.merged && pr.closes);
+      if (!newsCache.has(issue.repo)) {
+        const news = repos.has(issue.repo) ? await this.getFileContent(issue.repo, 'NEWS.md').catch(() => '') : '';
+        newsCache.set(issue.repo, news ? parseNewsMd(news) : []);
+      }
+      const references = [{ repo: issue.repo, number: issue.number }, ...pulls];
+      const mentions = newsCache.get(issue.repo)!.filter(section => section.items.some(item =>
+        item.issues.some(ref => references.some(target => target.number === ref.number &&
+          (ref.repo ? ref.repo === `tidymodels/${target.repo}` : target.repo === issue.repo)))
+      ));
+
+      const fix: any = { status: 'closed' };
+      if (pulls.length > 0) fix.pull_requests = pulls.map((pr: any) => pr.url);
+      const earliest = mentions[mentions.length - 1];
+      if (earliest) {
+        fix.status = earliest.version === 'development version' ? 'fixed_unreleased' : 'fixed';
+        if (fix.status === 'fixed') fix.version = earliest.version;
+        fix.version_source = 'NEWS.md';
+      } else if (pulls.length > 0 && issue.closed) {
+        const releases = [...(await this.getReleaseDates(issue.repo)).entries()]
+          .filter(([, date]) => date >= issue.closed)
+          .sort((a, b) => compareRVersions(a[0], b[0]));
+        fix.status = releases.length > 0 ? 'fixed' : 'fixed_unreleased';
+        if (releases.length > 0) {
+          fix.version = releases[0][0];
+          fix.version_source = 'CRAN release date';
+        }
+      }
+      const installed = session?.packages[issue.repo];
+      if (installed) {
+        fix.installed = installed;
+        if (fix.version) fix.installed_has_fix = compareRVersions(installed, fix.version) >= 0;
+      }
+      related.fix = fix;
+    }
+
+    const summary: string[] = [];
+    if (topOrigins[0]) {
+      const origin = topOrigins[0];
+      summary.push(`Raised ${origin.function ? `in ${origin.package}::${origin.function}()` : `by ${origin.package}`} at ${origin.file}:${origin.line}.`);
+    }
+    for (const related of relatedIssues.filter(issue => issue.fix.status !== 'closed')) {
+      const ref = `${related.repo}#${related.number}`;
+      const { fix } = related;
+      if (fix.status === 'open') {
+        summary.push(`${ref} is still open.`);
+      } else if (fix.status === 'fixed_unreleased') {
+        summary.push(`${ref} is fixed in the development version of ${related.repo}, not yet on CRAN.`);
+      } else if (fix.installed_has_fix === false) {
+        summary.push(`${ref} was fixed in ${related.repo} ${fix.version}; ${fix.installed} is installed, so upgrading should help.`);
+      } else {
+        summary.push(`${ref} was fixed in ${related.repo} ${fix.version}.`);
+      }
+    }
+    if (summary.length === 0) {
+      summary.push('No tidymodels source or issue matched this message.');
+    }
+
+    return {
+      condition: {
+        kind: condition.kind,
+        ...(condition.calls.length > 0 ? { calls: condition.calls } : {}),
+        message: condition.message,
+        ...(condition.details.length > 0 ? { details: condition.details } : {}),
+      },
+      normalized,
+      ...(session ? {
+        session: {
+          ...(session.r_version ? { r_version: session.r_version } : {}),
+          packages: Object.fromEntries(Object.entries(session.packages).filter(([pkg]) => repos.has(pkg))),
+        },
+      } : {}),
+      searched,
+      origins: topOrigins,
+      related_issues: relatedIssues,
+      summary,
+    };
+  }
+
+  private async getTidymodelsRReference(packageName?: string): Promise<any> {
+    try {
+      // First get the list of repos to find the R packages
+      const repos = await this.getRepos();
+      
+      const rPackages = repos.filter(repo => {
+        // Filter by specific package if provided
+        if (packageName && !repo.name.includes(packageName)) return false;
+        
+        // Check if this is likely an R package by looking for common files
+        return true; // For now assume all are R packages, could be refined
+      });
+      
+      const packagesInfo = await Promise.all(rPackages.map(async (repo) => {
+        try {
+          // Try to get DESCRIPTION file which is standard in R packages
+          const parsed = (await this.getPackageDescription(repo.name)) || parseDescription('');
+                    
+          // Get README for more info
+          const readmeContent = await this.getFileContent(repo.name, 'README.md').catch(() => '');
+          
+          return {
+            name: repo.name,
+            package: parsed.package || repo.name,
+            title: parsed.title,
+            version: parsed.version,
+            description: parsed.description || repo.description || '',
+            license: parsed.license,
+            authors: parsed.authors,
+            maintainer: parsed.maintainer,
+            urls: parsed.urls,
+            bug_reports: parsed.bug_reports,
+            depends: parsed.depends,
+            imports: parsed.imports,
+            suggests: parsed.suggests,
+            linking_to: parsed.linking_to,
+            enhances: parsed.enhances,
+            remotes: parsed.remotes,
+            config: parsed.config,
+            stars: repo.stargazers_count,
+            open_issues: repo.open_issues_count,
+            url: repo.html_url,
+            language: repo.language,
+            updated_at: repo.updated_at,
+            readme_excerpt: readmeContent.substring(0, 1000) + (readmeContent.length > 1000 ? '...' : '')
+          };
+        } catch (error) {
+          // If we can't get package details, return basic repo info
+          return {
+            name: repo.name,
+            description: repo.description,
+            stars: repo.stargazers_count,
+            open_issues: repo.open_issues_count,
+            url: repo.html_url,
+            language: repo.language,
+            updated_at: repo.updated_at
+          };
+        }
+      }));
+
+      return packagesInfo;
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get R package reference: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  // Package detection results are stored next to the response cache, so a
+  // restart only re-reads the DESCRIPTION of repositories pushed to since.
+  private loadDescriptionStore(): Promise<void> {
+    if (!this.descriptionStoreLoading) {
+      this.descriptionStoreLoading = (async () => {
+        if (TIDYMODELS_CACHE_MAX_BYTES <= 0) return;
+        try {
+          const saved = JSON.parse(await fs.readFile(join(TIDYMODELS_CACHE_DIR, 'packages.json'), 'utf-8'));
+          for (const [repo, entry] of Object.entries(saved)) {
+            if (!this.descriptionCache.has(repo)) {
+              this.descriptionCache.set(repo, entry as { marker?: string; description: PackageDescription | null });
+            }
+          }
+        } catch {
+          // No stored results yet
+        }
+      })();
+    }
+    return this.descriptionStoreLoading;
+  }
+
+  private async writeDescriptionStore() {
+    try {
+      await fs.mkdir(TIDYMODELS_CACHE_DIR, { recursive: true });
+      await fs.writeFile(
+        join(TIDYMODELS_CACHE_DIR, 'packages.json'),
+        JSON.stringify(Object.fromEntries(this.descriptionCache))
+      );
+    } catch (error) {
+      console.error('Error saving package detection results:', error);
+    }
+  }
+
+  private saveDescriptionStore() {
+    if (TIDYMODELS_CACHE_MAX_BYTES <= 0 || this.descriptionStoreTimer) return;
+    this.descriptionStoreTimer = setTimeout(async () => {
+      this.descriptionStoreTimer = null;
+      await this.writeDescriptionStore();
+    }, 1000);
+    this.descriptionStoreTimer.unref?.();
+  }
+
+  // Write the saves still waiting on their timers, so that an exit right
+  // after an update doesn't lose it
+  private async flushCaches() {
+    if (this.descriptionStoreTimer) {
+      clearTimeout(this.descriptionStoreTimer);
+      this.descriptionStoreTimer = null;
+      await this.writeDescriptionStore();
+    }
+    await this.searchIndex.flush();
+    await this.source.flushCache();
+  }
+
+  // Parsed DESCRIPTION of a repository, or null if it is not an R package
+  // (no DESCRIPTION, or one without a Package field)
+  private async getPackageDescription(repo: string): Promise<PackageDescription | null> {
+    await this.loadDescriptionStore();
+    const repoInfo = this.cachedRepos.find(candidate => candidate.name === repo);
+    const marker = repoInfo ? repoInfo.pushed_at || repoInfo.updated_at : undefined;
+
+    const stored = this.descriptionCache.get(repo);
+    if (stored && (!marker || stored.marker === marker)) {
+      return stored.description;
+    }
+
+    // Only a missing DESCRIPTION means "not a package"; a failed request must
+    // not be remembered as one until the next push
+    const content = await this.getFileContent(repo, 'DESCRIPTION').catch(ignoreNotFound(''));
+    const parsed = content ? parseDescription(content) : null;
+    const description = parsed && parsed.package ? parsed : null;
+    this.descriptionCache.set(repo, { marker, description });
+    this.saveDescriptionStore();
+    return description;
+  }
+
+  private async getOrgPackageDescriptions(forceRefresh: boolean = false): Promise<{
+    descriptions: PackageDescription[];
+    unavailable: string[];
+  }> {
+    const { packages, unavailable } = await this.getOrgPackages(forceRefresh);
+    return { descriptions: packages.map(pkg => pkg.description), unavailable };
+  }
+
+  // Repositories holding an R package, classified against the tidymodels
+  // meta-package: "core" packages are the ones it depends on (and itself),
+  // "extension" packages build on a core package, anything else is "infrastructure".
+  // Repositories whose DESCRIPTION couldn't be read (rate limits, network
+  // errors) are left out and named in `unavailable`.
+  private async getOrgPackages(forceRefresh: boolean = false): Promise<{
+    packages: {
+      repo: any;
+      description: PackageDescription;
+      category: 'core' | 'extension' | 'infrastructure';
+    }[];
+    unavailable: string[];
+  }> {
+    if (forceRefresh) {
+      this.descriptionCache.clear();
+    }
+    const repos = (await this.getRepos(forceRefresh)).filter(repo => !repo.archived);
+    const results = await Promise.allSettled(repos.map(repo => this.getPackageDescription(repo.name)));
+    const unavailable: string[] = [];
+    const packages: { repo: any; description: PackageDescription }[] = [];
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`Error reading the DESCRIPTION of ${repos[i].name}:`, result.reason);
+        unavailable.push(repos[i].name);
+      } else if (result.value) {
+        packages.push({ repo: repos[i], description: result.value });
+      }
+    });
+
+    const hardDependencies = (desc: PackageDescription) =>
+      [...desc.depends, ...desc.imports, ...desc.linking_to].map(dep => dep.package);
+    const meta = packages.find(pkg => pkg.description.package === 'tidymodels');
+    const core = new Set(meta ? ['tidymodels', ...hardDependencies(meta.description)] : []);
+
+    return {
+      packages: packages.map(pkg => ({
+        ...pkg,
+        category: core.has(pkg.description.package)
+          ? 'core'
+          : hardDependencies(pkg.description).some(dep => core.has(dep)) ? 'extension' : 'infrastructure',
+      })),
+      unavailable,
+    };
+  }
+
+  // Records of CRAN's src/contrib/PACKAGES index
+  private async getCranIndex(forceRefresh: boolean = false): Promise<Record<string, string>[]> {
+    const now = Date.now();
+    if (forceRefresh || this.cranIndex.length === 0 || (now - this.cranIndexUpdate) > this.cacheExpiryMs) {
+      try {
+        console.error(`Fetching CRAN package index from ${this.cran.name} source...`);
+        this.cranIndex = parseDcfRecords(await this.cran.readText('src/contrib/PACKAGES'));
+        this.cranIndexUpdate = now;
+      } catch (error) {
+        console.error('Error fetching CRAN package index:', error);
+        if (this.cranIndex.length === 0) {
+          throw new McpError(
+            ErrorCode.InternalError,
+            `Failed to fetch CRAN package index: ${error instanceof Error ? error.message : String(error)}`
+          );
+        }
+      }
+    }
+    return this.cranIndex;
+  }
+
+  // CRAN version, publication date, archive history, reverse dependencies and
+  // (optionally) check results of a package
+  private async getCranInfo(packageName: string, includeChecks: boolean = true): Promise<any> {
+    const cacheKey = `${packageName}:${includeChecks}`;
+    const cached = this.cranInfoCache.get(cacheKey);
+    if (cached && (Date.now() - cached.fetched) < this.cacheExpiryMs) {
+      return cached.info;
+    }
+
+    const index = await this.getCranIndex();
+    const record = index.find(fields => fields.Package === packageName);
+    const archive = (await this.cran.listArchive(packageName))
+      .sort((a, b) => compareRVersions(a.version, b.version));
+
+    if (!record) {
+      const info = {
+        on_cran: false,
+        archived: archive.length > 0,
+        archive,
+      };
+      this.cranInfoCache.set(cacheKey, { fetched: Date.now(), info });
+      return info;
+    }
+
+    const description = await this.cran.readText(`web/packages/${packageName}/DESCRIPTION`)
+      .then(parseDcf)
+      .catch(() => ({} as Record<string, string>));
+
+    const reverseDependencies: Record<string, string[]> = { depends: [], imports: [], linking_to: [], suggests: [] };
+    const fields: Record<string, string> = { depends: 'Depends', imports: 'Imports', linking_to: 'LinkingTo', suggests: 'Suggests' };
+    for (const other of index) {
+      for (const [type, field] of Object.entries(fields)) {
+        if (parseDependencies(other[field]).some(dep => dep.package === packageName)) {
+          reverseDependencies[type].push(other.Package);
+        }
+      }
+    }
+
+    const info: any = {
+      on_cran: true,
+      version: foldDcfValue(record.Version),
+      published: foldDcfValue(description['Date/Publication']) || null,
+      url: `https://CRAN.R-project.org/package=${packageName}`,
+      archive,
+      reverse_dependencies: reverseDependencies,
+      reverse_dependency_count: new Set(Object.values(reverseDependencies).flat()).size,
+    };
+
+    if (includeChecks) {
+      try {
+        const results = parseCranCheckResults(
+          await this.cran.readText(`web/checks/check_results_${packageName}.html`)
+        );
+        const counts: Record<string, number> = {};
+        for (const result of results) counts[result.status] = (counts[result.status] || 0) + 1;
+        const severity = ['OK', 'NOTE', 'WARN', 'WARNING', 'ERROR', 'FAIL'];
+        info.checks = {
+          status: results.reduce((worst, result) =>
+            severity.indexOf(result.status) > severity.indexOf(worst) ? result.status : worst, 'OK'),
+          counts,
+          failing: results.filter(result => result.status !== 'OK' && result.status !== 'NOTE'),
+          results,
+        };
+      } catch (error) {
+        info.checks = { error: `Failed to fetch check results: ${error instanceof Error ? error.message : String(error)}` };
+      }
+    }
+
+    this.cranInfoCache.set(cacheKey, { fetched: Date.now(), info });
+    return info;
+  }
+
+  // GitHub DESCRIPTION versions against CRAN for every package in the organization
+  private async compareCranGithub(includeReleased: boolean, includeChecks: boolean): Promise<any> {
+    const { packages, unavailable } = await this.getOrgPackages();
+    const index = await this.getCranIndex();
+    const cranVersions = new Map(index.map(fields => [fields.Package, foldDcfValue(fields.Version)]));
+
+    const comparisons = await Promise.all(packages.map(async ({ description, category }) => {
+      const cranVersion = cranVersions.get(description.package);
+      let status: string;
+      if (!cranVersion) status = 'not_on_cran';
+      else {
+        const diff = compareRVersions(description.version, cranVersion);
+        status = diff > 0 ? 'unreleased' : diff < 0 ? 'github_behind' : 'released';
+      }
+
+      const comparison: any = {
+        package: description.package,
+        category,
+        github_version: description.version,
+        cran_version: cranVersion || null,
+        status,
+      };
+      if (includeChecks && cranVersion) {
+        const cran = await this.getCranInfo(description.package, true).catch(() => null);
+        comparison.cran_published = cran?.published || null;
+        comparison.check_status = cran?.checks?.status || null;
+      }
+      return comparison;
+    }));
+
+    const counts: Record<string, number> = {};
+    for (const comparison of comparisons) counts[comparison.status] = (counts[comparison.status] || 0) + 1;
+
+    return {
+      counts,
+      ...(unavailable.length > 0 ? { unavailable } : {}),
+      packages: comparisons
+        .filter(comparison => includeReleased || comparison.status !== 'released')
+        .sort((a, b) => a.package.localeCompare(b.package)),
+    };
+  }
+
+  private async getDependencyGraph(options: {
+    packageName?: string;
+    types: DependencyType[];
+    includeExternal: boolean;
+    format: string;
+    refresh: boolean;
+  }): Promise<any> {
+    const { descriptions, unavailable } = await this.getOrgPackageDescriptions(options.refresh);
+    const graph = buildDependencyGraph(descriptions, options.types, options.includeExternal);
+
+    const render = (subgraph: DependencyGraph) => {
+      switch (options.format) {
+        case 'mermaid':
+          return { mermaid: renderDependencyGraphMermaid(subgraph) };
+        case 'dot':
+          return { dot: renderDependencyGraphDot(subgraph) };
+        default:
+          return { nodes: subgraph.nodes, edges: subgraph.edges };
+      }
+    };
+
+    if (!options.packageName) {
+      return {
+        types: options.types,
+        package_count: descriptions.length,
+        ...(unavailable.length > 0 ? { unavailable } : {}),
+        install_order: installOrder(graph),
+        ...render(graph),
+      };
+    }
+
+    const target = options.packageName;
+    if (!graph.nodes.some(node => node.name === target)) {
+      throw new NotFoundError(`Package "${target}" not found in tidymodels organization`);
+    }
+
+    const dependencies = dependencyClosure(graph, target, 'dependencies');
+    const reverseDependencies = dependencyClosure(graph, target, 'reverse');
+    const involved = new Set([target, ...dependencies, ...reverseDependencies]);
+    const subgraph: DependencyGraph = {
+      nodes: graph.nodes.filter(node => involved.has(node.name)),
+      edges: graph.edges.filter(edge => involved.has(edge.from) && involved.has(edge.to)),
+    };
+
+    return {
+      package: target,
+      types: options.types,
+      ...(unavailable.length > 0 ? { unavailable } : {}),
+      direct_dependencies: graph.edges.filter(edge => edge.from === target),
+      direct_reverse_dependencies: graph.edges.filter(edge => edge.to === target),
+      transitive_dependencies: dependencies,
+      transitive_reverse_dependencies: reverseDependencies,
+      install_order: installOrder(graph, [target, ...dependencies]),
+      ...render(subgraph),
+    };
+  }
+
+  private async getRoxygenEntries(repo: string, path: string): Promise<RoxygenEntry[]> {
+    const cacheKey = `${repo}:${path}`;
+    if (this.roxygenFileCache.has(cacheKey)) {
+      return this.roxygenFileCache.get(cacheKey)!;
+    }
+
+    const content = await this.getFileContent(repo, path);
+    const entries = parseRoxygenFile(content, repo, path);
+    this.roxygenFileCache.set(cacheKey, entries);
+    this.lifecycleFileCache.set(cacheKey, parseLifecycleCalls(content, repo, path));
+    return entries;
+  }
+
+  // Roxygen index of every documented object in a package's R/ directory
+  private async getFunctionIndex(packageName: string): Promise<RoxygenEntry[]> {
+    if (this.functionIndexCache.has(packageName)) {
+      return this.functionIndexCache.get(packageName)!;
+    }
+
+    const listing = await this.getRepoContent(packageName, 'R');
+    const files = (Array.isArray(listing) ? listing : [])
+      .filter((item: any) => item.type === 'file' && /\.[rR]$/.test(item.name));
+
+    const perFile = await Promise.all(files.map((item: any) =>
+      this.getRoxygenEntries(packageName, item.path).catch(error => {
+        console.error(`Error indexing ${packageName}/${item.path}:`, error);
+        return [] as RoxygenEntry[];
+      })
+    ));
+
+    const index = resolveRoxygenInheritance(perFile.flat());
+    this.functionIndexCache.set(packageName, index);
+    console.error(`Indexed ${index.length} documented objects in ${packageName}`);
+    return index;
+  }
+
+  // Parsed NAMESPACE of a package, or null if it has none
+  private async getNamespace(packageName: string): Promise<PackageNamespace | null> {
+    if (this.namespaceCache.has(packageName)) {
+      return this.namespaceCache.get(packageName) || null;
+    }
+
+    const content = await this.getFileContent(packageName, 'NAMESPACE').catch(ignoreNotFound(''));
+    const namespace = content ? parseNamespace(content) : null;
+    this.namespaceCache.set(packageName, namespace);
+    return namespace;
+  }
+
+  private async listPackageExports(packageName: string): Promise<any> {
+    const namespace = await this.getNamespace(packageName);
+    if (!namespace) {
+      throw new NotFoundError(`No NAMESPACE file found for package "${packageName}"`);
+    }
+
+    const generics = new Map<string, { class: string; method: string }[]>();
+    for (const method of namespace.s3_methods) {
+      if (!generics.has(method.generic)) generics.set(method.generic, []);
+      generics.get(method.generic)!.push({ class: method.class, method: method.method });
+    }
+
+    return {
+      package: packageName,
+      functions: [...namespace.exports].sort(),
+      export_patterns: namespace.export_patterns,
+      s3_generics: [...generics.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([generic, methods]) => ({
+          generic,
+          exported_generic: isNamespaceExport(namespace, generic),
+          methods: methods.sort((a, b) => a.class.localeCompare(b.class)),
+        })),
+      imports: namespace.imports,
+      import_from: namespace.import_from,
+      dyn_libs: namespace.dyn_libs,
+    };
+  }
+
+  // Rd help page of a topic rendered as Markdown. Topics that are only an alias
+  // (e.g. a method documented with @rdname) are resolved through the function index.
+  private async getHelpPage(packageName: string, topic: string): Promise<string> {
+    const cacheKey = `${packageName}:${topic}`;
+    if (this.documentationCache.has(cacheKey)) {
+      return this.documentationCache.get(cacheKey);
+    }
+
+    let content = await this.getFileContent(packageName, `man/${topic}.Rd`).catch(ignoreNotFound(''));
+    if (!content) {
+      const index = await this.getFunctionIndex(packageName).catch(() => [] as RoxygenEntry[]);
+      const entry = index.find(candidate => candidate.name === topic || candidate.aliases.includes(topic));
+      const file = entry ? entry.rdname || entry.name : '';
+      if (file && file !== topic) {
+        content = await this.getFileContent(packageName, `man/${file}.Rd`).catch(ignoreNotFound(''));
+      }
+    }
+    if (!content) {
+      throw new NotFoundError(`Help topic not found: ${packageName}::${topic}`);
+    }
+
+    const markdown = renderRdToMarkdown(content, packageName);
+    this.documentationCache.set(cacheKey, markdown);
+    return markdown;
+  }
+
+  // The pkgdown site of a package: the non-GitHub URL in its DESCRIPTION, or
+  // else <pkg>.tidymodels.org, where tidymodels packages publish their sites
+  private async getPkgdownUrl(packageName: string): Promise<string> {
+    const description = await this.getPackageDescription(packageName).catch(() => null);
+    const site = description?.urls.find(url => !/github\.com/i.test(url));
+    if (site) return site.replace(/\/+$/, '');
+    return `https://${packageName}.${new URL(TIDYMODELS_DOCS_URL).host.replace(/^www\./, '')}`;
+  }
+
+  // Rmd/qmd files of vignettes/ and of vignettes/articles/ (pkgdown-only
+  // articles), named by their path below vignettes/ without the extension
+  private async listVignettes(packageName: string): Promise<{ name: string; path: string }[]> {
+    const vignettes: { name: string; path: string }[] = [];
+    for (const dir of ['vignettes', 'vignettes/articles']) {
+      const entries = await this.getRepoContent(packageName, dir).catch(ignoreNotFound([]));
+      if (!Array.isArray(entries)) continue;
+      for (const entry of entries) {
+        if (entry.type === 'file' && /\.(Rmd|qmd)$/i.test(entry.name)) {
+          vignettes.push({ name: entry.path.replace(/^vignettes\//, '').replace(/\.\w+$/, ''), path: entry.path });
+        }
+      }
+    }
+    return vignettes;
+  }
+
+  private async getVignette(packageName: string, name: string): Promise<string> {
+    const cacheKey = `vignette:${packageName}:${name}`;
+    if (this.documentationCache.has(cacheKey)) {
+      return this.documentationCache.get(cacheKey);
+    }
+
+    const vignette = (await this.listVignettes(packageName)).find(candidate => candidate.name === name);
+    if (!vignette) {
+      throw new NotFoundError(`Vignette not found: ${packageName}/${name}`);
+    }
+    const { title, markdown } = renderRmdToMarkdown(await this.getFileContent(packageName, vignette.path));
+    const site = await this.getPkgdownUrl(packageName);
+    const article = `${site}/articles/${name.replace(/^articles\//, '')}.html`;
+    const content = `${title ? `# ${title}\n\n` : ''}${markdown}\n\n---\n\nSource: https://github.com/tidymodels/${packageName}/blob/HEAD/${vignette.path} (rendered at ${article})\n`;
+    this.documentationCache.set(cacheKey, content);
+    return content;
+  }
+
+  // The function reference index of a package, laid out like its pkgdown
+  // reference page, or all help topics when _pkgdown.yml has no `reference:`
+  private async getReferenceIndex(packageName: string): Promise<string> {
+    const cacheKey = `reference:${packageName}`;
+    if (this.documentationCache.has(cacheKey)) {
+      return this.documentationCache.get(cacheKey);
+    }
+
+    const man = await this.getRepoContent(packageName, 'man').catch(ignoreNotFound([]));
+    const topics = (Array.isArray(man) ? man : [])
+      .filter((entry: any) => entry.type === 'file' && entry.name.endsWith('.Rd'))
+      .map((entry: any) => entry.name.replace(/\.Rd$/, ''))
+      .sort();
+    let config = '';
+    for (const path of ['_pkgdown.yml', '_pkgdown.yaml', 'pkgdown/_pkgdown.yml', 'pkgdown/_pkgdown.yaml']) {
+      config = await this.getFileContent(packageName, path).catch(ignoreNotFound(''));
+      if (config) break;
+    }
+    if (topics.length === 0 && !config) {
+      throw new NotFoundError(`No reference documentation found for package: ${packageName}`);
+    }
+
+    const site = await this.getPkgdownUrl(packageName);
+    const sections = parsePkgdownReference(config);
+    const link = (topic: string) => `- [\`${topic}\`](tidymodels://man/${packageName}/${encodeURIComponent(topic)})`;
+    const parts = [
+      `# ${packageName} function reference`,
+      `Help topics as grouped on ${site}/reference/. Each links to its help page resource.`,
+    ];
+    if (sections.length === 0) {
+      parts.push('## All functions', topics.map(link).join('\n'));
+    }
+    for (const section of sections) {
+      const { topics: selected, unresolved } = resolvePkgdownContents(section.contents, topics);
+      const heading = section.title ? `## ${section.title}` : section.subtitle ? `### ${section.subtitle}` : '';
+      const items = [...selected.map(link), ...unresolved.map(selector => `- \`${selector}\` (topics selected by pkgdown)`)];
+      parts.push(...[heading, section.desc || '', items.join('\n')].filter(Boolean));
+    }
+
+    const content = `${parts.join('\n\n')}\n`;
+    this.documentationCache.set(cacheKey, content);
+    return content;
+  }
+
+  // Vignette and reference index resources of every package
+  private async listDocumentationResources(): Promise<any[]> {
+    const { packages } = await this.getOrgPackages();
+    const resources: any[] = [];
+    for (const { repo, description } of packages) {
+      resources.push({
+        uri: `tidymodels://reference/${repo.name}`,
+        name: `${description.package} reference`,
+        mimeType: 'text/markdown',
+        description: `Function reference index of ${description.package}`,
+      });
+      // Listing each package's vignettes here would cost two requests per
+      // package on every resources/list; the listing resource reads them on demand
+      resources.push({
+        uri: `tidymodels://vignettes/${repo.name}`,
+        name: `${description.package} vignettes`,
+        mimeType: 'application/json',
+        description: `Vignettes and articles of ${description.package}`,
+      });
+    }
+    return resources;
+  }
+
+  // Lifecycle table of a package. With `complete`, every R file is indexed
+  // first; otherwise only files indexed so far contribute deprecate_*() calls
+  // and roxygen badges. NEWS.md is read either way.
+  private async getLifecycleRecords(packageName: string, complete: boolean = true): Promise<LifecycleRecord[]> {
+    if (this.lifecycleCache.has(packageName)) {
+      return this.lifecycleCache.get(packageName)!;
+    }
+
+    const entries = complete
+      ? await this.getFunctionIndex(packageName)
+      : [...this.roxygenFileCache.entries()]
+        .filter(([key]) => key.startsWith(`${packageName}:`))
+        .flatMap(([, fileEntries]) => fileEntries);
+
+    const records = snapshotLifecycle().filter(record => record.package === packageName);
+    for (const entry of entries) {
+      const record = roxygenLifecycle(entry);
+      if (record) records.push(record);
+    }
+    for (const [key, calls] of this.lifecycleFileCache) {
+      if (key.startsWith(`${packageName}:`)) records.push(...calls);
+    }
+    const news = await this.getFileContent(packageName, 'NEWS.md').catch(ignoreNotFound(''));
+    if (news) {
+      records.push(...newsLifecycle(parseNewsMd(news), packageName));
+    }
+
+    const merged = mergeLifecycleRecords(records);
+    if (complete) {
+      this.lifecycleCache.set(packageName, merged);
+    }
+    return merged;
+  }
+
+  private async checkDeprecations(options: { code?: string; functions?: string[]; packages?: string[] }): Promise<any> {
+    const functions = (options.functions || []).map(name => {
+      const match = name.match(/^(?:([\w.]+):::?)?([\w.]+)(?:\(\))?$/);
+      return { package: match?.[1], name: match ? match[2] : name };
+    });
+
+    // Which packages to read: the ones asked for, or those the code and
+    // function names refer to, or else the core tidymodels packages
+    const wanted = new Set(options.packages || []);
+    let parsed: { statements: RNode[]; error?: RSyntaxError } | null = null;
+    if (wanted.size === 0) {
+      for (const fn of functions) {
+        if (fn.package) wanted.add(fn.package);
+      }
+      if (options.code) {
+        parsed = parseR(options.code);
+        for (const statement of parsed.statements) {
+          walkR(statement, node => {
+            const name = callName(node);
+            if (!name) return;
+            if (node.fn!.package) wanted.add(node.fn!.package);
+            const attached = node.args?.[0]?.value;
+            if ((name === 'library' || name === 'require') && attached?.value) wanted.add(attached.value);
+          });
+        }
+      }
+    }
+
+    const { packages: orgPackages } = await this.getOrgPackages();
+    const known = new Set(orgPackages.map(pkg => pkg.description.package));
+    const core = orgPackages
+      .filter(pkg => pkg.category === 'core' && pkg.description.package !== 'tidymodels')
+      .map(pkg => pkg.description.package);
+    let packages = [...wanted].filter(pkg => known.has(pkg) && pkg !== 'tidymodels');
+    if (wanted.has('tidymodels') || packages.length === 0) {
+      for (const pkg of core) addUnique(packages, pkg);
+    }
+    packages = packages.sort();
+
+    const table: LifecycleRecord[] = [];
+    for (const pkg of packages) {
+      table.push(...await this.getLifecycleRecords(pkg));
+    }
+
+    if (options.code) {
+      const { uses, error } = findLifecycleUses(options.code, table);
+      return {
+        packages,
+        ...(error ? { syntax_error: { message: error.message, line: error.line, column: error.column } } : {}),
+        count: uses.length,
+        uses: uses.map(use => ({
+          line: use.call_line,
+          column: use.call_column,
+          function: use.function,
+          package: use.package,
+          ...(use.argument ? { argument: use.argument } : {}),
+          status: use.status,
+          ...(use.version ? { version: use.version } : {}),
+          ...(use.replacement ? { replacement: use.replacement } : {}),
+          sources: use.sources,
+        })),
+      };
+    }
+
+    if (functions.length > 0) {
+      return {
+        packages,
+        functions: functions.map(fn => {
+          const records = table.filter(record =>
+            record.function === fn.name && (!fn.package || record.package === fn.package)
+          );
+          return {
+            name: fn.name,
+            ...(fn.package ? { package: fn.package } : {}),
+            status: records.find(record => !record.argument)?.status || 'stable',
+            records,
+          };
+        }),
+      };
+    }
+
+    return {
+      packages,
+      count: table.length,
+      deprecations: table,
+    };
+  }
+
+  // Release dates of a package's CRAN versions, archived and current. The
+  // changelog digest asks for every package of the organization, so this reads
+  // only the archive listing and DESCRIPTION, not the reverse dependencies
+  // getCranInfo() computes.
+  private async getReleaseDates(packageName: string): Promise<Map<string, string>> {
+    const cached = this.releaseDatesCache.get(packageName);
+    if (cached && (Date.now() - cached.fetched) < this.cacheExpiryMs) {
+      return cached.dates;
+    }
+
+    const dates = new Map<string, string>();
+    const archive = await this.cran.listArchive(packageName);
+    for (const release of archive) {
+      dates.set(release.version, release.date);
+    }
+    const index = await this.getCranIndex();
+    const record = index.find(fields => fields.Package === packageName);
+    if (record) {
+      const description = await this.cran.readText(`web/packages/${packageName}/DESCRIPTION`)
+        .then(parseDcf)
+        .catch(ignoreNotFound({} as Record<string, string>));
+      const published = foldDcfValue(description['Date/Publication']);
+      if (published) dates.set(foldDcfValue(record.Version), published.slice(0, 10));
+    }
+
+    this.releaseDatesCache.set(packageName, { fetched: Date.now(), dates });
+    return dates;
+  }
+
+  // NEWS.md of one package between two versions, or what changed across the
+  // organization's packages (or one package) in the last `days` days. Releases
+  // are dated from CRAN; the development version counts as changed when the
+  // repository was pushed to in that window.
+  private async getChangelog(options: {
+    package?: string;
+    from?: string;
+    to?: string;
+    days?: number;
+    includeUnreleased?: boolean;
+  }): Promise<any> {
+    const includeUnreleased = options.includeUnreleased ?? true;
+    const days = options.days ?? (options.package ? undefined : 30);
+    const since = days !== undefined
+      ? new Date(Date.now() - days * 24 * 3600 * 1000).toISOString().slice(0, 10)
+      : undefined;
+
+    const { packages: orgPackages, unavailable } = await this.getOrgPackages();
+    const targets = options.package
+      ? [options.package]
+      : orgPackages.map(pkg => pkg.description.package).sort();
+
+    const packages: any[] = [];
+    for (const packageName of targets) {
+      const repo = orgPackages.find(pkg => pkg.description.package === packageName)?.repo;
+      const dates = await this.getReleaseDates(packageName);
+      const pushed = String(repo?.pushed_at || repo?.updated_at || '').slice(0, 10);
+      const inWindow = (version: string) => !since || (version === 'development version'
+        ? pushed >= since
+        : (dates.get(version) || '') >= since);
+
+      // Skip reading NEWS.md of packages with nothing new in the window
+      if (!options.package && since && ![...dates.values()].some(date => date >= since)
+        && !(includeUnreleased && pushed >= since)) {
+        continue;
+      }
+
+      const news = await this.getFileContent(repo?.name || packageName, 'NEWS.md').catch(ignoreNotFound(''));
+      if (!news) {
+        if (options.package) {
+          throw new NotFoundError(`No NEWS.md found for package: ${packageName}`);
+        }
+        continue;
+      }
+
+      const repoName = repo?.name || packageName;
+      const versions = parseNewsMd(news)
+        .filter(section => includeUnreleased || section.version !== 'development version')
+        .filter(section => newsVersionInRange(section.version, options.from, options.to) && inWindow(section.version))
+        .map(section => {
+          const categories: Record<string, any[]> = {};
+          for (const item of section.items) {
+            (categories[item.category] ||= []).push({
+              text: item.text,
+              issues: item.issues.map(issue => {
+                const issueRepo = issue.repo || `tidymodels/${repoName}`;
+                return { repo: issueRepo, number: issue.number, url: `https://github.com/${issueRepo}/issues/${issue.number}` };
+              }),
+            });
+          }
+          // Categories in a fixed order, whatever order NEWS.md uses
+          const order = [...NEWS_CATEGORIES.map(([category]) => category), 'other'];
+          return {
+            version: section.version,
+            ...(dates.has(section.version) ? { date: dates.get(section.version) } : {}),
+            count: section.items.length,
+            sections: Object.fromEntries(order.filter(category => categories[category]).map(category => [category, categories[category]])),
+          };
+        });
+
+      if (versions.length > 0 || options.package) {
+        packages.push({
+          package: packageName,
+          news_url: `https://github.com/tidymodels/${repoName}/blob/HEAD/NEWS.md`,
+          versions,
+        });
+      }
+    }
+
+    if (options.package) {
+      return {
+        ...packages[0],
+        ...(options.from ? { from: options.from } : {}),
+        ...(options.to ? { to: options.to } : {}),
+        ...(since ? { since } : {}),
+      };
+    }
+    return {
+      days,
+      since,
+      count: packages.length,
+      ...(unavailable.length > 0 ? { unavailable } : {}),
+      packages,
+    };
+  }
+
+  private async searchFunctionDocumentation(query: string, packageName?: string, limit: number = 10): Promise<any> {
+    try {
+      let entries: RoxygenEntry[];
+
+      if (packageName) {
+        entries = await this.getFunctionIndex(packageName);
+      } else {
+        // Without a package, use code search to find candidate files and index those
+        // Only the first page is needed: at most 30 candidate files get indexed
+        const { items } = await this.searchCodeInOrg(`${query} extension:R`, 1);
+        const perFile = await Promise.all(items.slice(0, 30).map((item: any) =>
+          this.getRoxygenEntries(item.repository.name, item.path).catch(() => [] as RoxygenEntry[])
+        ));
+        entries = resolveRoxygenInheritance(perFile.flat());
+      }
+
+      const ranked = rankRoxygenEntries(entries, query).slice(0, limit);
+
+      // NAMESPACE is the source of truth for what users can call with `pkg::`
+      const namespaces = new Map<string, PackageNamespace | null>();
+      for (const pkg of new Set(ranked.map(({ entry }) => entry.package))) {
+        namespaces.set(pkg, await this.getNamespace(pkg));
+      }
+
+      // Only a package search has indexed every file, so only then is the
+      // full lifecycle table worth building
+      const lifecycle = new Map<string, LifecycleRecord[]>();
+      for (const pkg of namespaces.keys()) {
+        lifecycle.set(pkg, await this.getLifecycleRecords(pkg, Boolean(packageName)).catch(() => []));
+      }
+
+      return ranked.map(({ entry, score }) => {
+        const namespace = namespaces.get(entry.package);
+        const registered = namespace?.s3_methods.some(method => method.method === entry.name) || false;
+        const exported = namespace ? isNamespaceExport(namespace, entry.name) : entry.exported;
+        const status = lifecycle.get(entry.package)?.find(record => record.function === entry.name && !record.argument) ||
+          roxygenLifecycle(entry);
+        return {
+          name: entry.name,
+          package: entry.package,
+          score,
+          call: exported ? `${entry.package}::${entry.name}` : `${entry.package}:::${entry.name}`,
+          internal: !exported && !registered,
+          lifecycle: status ? status.status : 'stable',
+          ...(status?.version ? { lifecycle_version: status.version } : {}),
+          ...(status?.replacement ? { replacement: status.replacement } : {}),
+          title: entry.title,
+          description: entry.description,
+          usage: entry.usage,
+          params: entry.params,
+          returns: entry.returns,
+          examples: entry.examples,
+          exported,
+          s3: entry.s3,
+          family: entry.family,
+          seealso: entry.seealso,
+          rdname: entry.rdname,
+          file: entry.file,
+          lines: [entry.line_start, entry.line_end],
+          url: `https://github.com/tidymodels/${entry.package}/blob/HEAD/${entry.file}#L${entry.line_start}-L${entry.line_end}`,
+        };
+      });
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search function documentation: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  // Rebuild the model registry from the set_model_engine/set_dependency/
+  // set_model_arg calls in the R sources of parsnip and its extensions.
+  // Packages that can't be read keep their engines from the bundled snapshot.
+  private async refreshModelRegistry(): Promise<void> {
+    const registry: ModelRegistry = {};
+    const unavailable: string[] = [];
+
+    for (const packageName of ['parsnip', ...PARSNIP_EXTENSIONS]) {
+      try {
+        const listing = await this.getRepoContent(packageName, 'R');
+        const files = (Array.isArray(listing) ? listing : [])
+          .filter((item: any) => item.type === 'file' && /\.[rR]$/.test(item.name));
+        const contents = await Promise.all(files.map((item: any) =>
+          this.getFileContent(packageName, item.path).catch(ignoreNotFound(''))
+        ));
+        const extension = packageName === 'parsnip' ? undefined : packageName;
+        for (const content of contents) {
+          applyModelRegistrations(registry, content, extension);
+        }
+      } catch (error) {
+        console.error(`Error reading model registrations from ${packageName}:`, error);
+        unavailable.push(packageName);
+      }
+    }
+
+    const snapshot = snapshotModelRegistry(unavailable);
+    for (const fallback of Object.values(snapshot)) {
+      const entry = registryEntry(registry, fallback.model);
+      for (const mode of fallback.modes) addUnique(entry.modes, mode);
+      for (const item of fallback.engines) {
+        const engine = registryEngine(entry, item.engine, item.extension);
+        for (const mode of item.modes) addUnique(engine.modes, mode);
+        for (const pkg of item.packages) addUnique(engine.packages, pkg);
+      }
+    }
+
+    this.modelRegistry = registry;
+    this.modelRegistryInfo = {
+      source: this.source.name,
+      updated_at: new Date().toISOString(),
+      snapshot_packages: unavailable,
+    };
+    console.error(`Registered ${Object.keys(registry).length} parsnip models from ${this.source.name} source`);
+  }
+
+  private async listModelEngines(options: {
+    model?: string;
+    mode?: string;
+    engine?: string;
+    refresh?: boolean;
+  }): Promise<any> {
+    if (options.refresh) {
+      await this.refreshModelRegistry();
+    }
+
+    if (options.model && !this.modelRegistry[options.model]) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown parsnip model "${options.model}"`
+      );
+    }
+
+    const models = Object.values(this.modelRegistry)
+      .filter(entry => !options.model || entry.model === options.model)
+      .map(entry => ({
+        ...entry,
+        engines: entry.engines.filter(item =>
+          (!options.mode || item.modes.includes(options.mode)) &&
+          (!options.engine || item.engine === options.engine)
+        ),
+      }))
+      .filter(entry => entry.engines.length > 0 || (!options.mode && !options.engine))
+      .sort((a, b) => a.model.localeCompare(b.model));
+
+    return {
+      ...this.modelRegistryInfo,
+      count: models.length,
+      models,
+    };
+  }
+
+  // Rebuild the step catalogue from the R sources of recipes, its known
+  // extensions and any other tidymodels package that depends on recipes and
+  // exports steps. Packages that can't be read keep their snapshot entries.
+  private async refreshRecipeSteps(): Promise<void> {
+    const packages = [...RECIPE_STEP_PACKAGES];
+    try {
+      for (const description of (await this.getOrgPackageDescriptions()).descriptions) {
+        if (packages.includes(description.package)) continue;
+        const usesRecipes = [...description.depends, ...description.imports].some(dep => dep.package === 'recipes');
+        if (!usesRecipes) continue;
+        const namespace = await this.getNamespace(description.package);
+        if (namespace?.exports.some(name => /^(step|check)_/.test(name))) packages.push(description.package);
+      }
+    } catch (error) {
+      console.error('Error looking for packages that provide recipe steps:', error);
+    }
+
+    const catalogue: RecipeStepCatalogue = {};
+    const unavailable: string[] = [];
+    for (const packageName of packages) {
+      try {
+        const listing = await this.getRepoContent(packageName, 'R');
+        const files = (Array.isArray(listing) ? listing : [])
+          .filter((item: any) => item.type === 'file' && /\.[rR]$/.test(item.name));
+        const contents = await Promise.all(files.map((item: any) =>
+          this.getFileContent(packageName, item.path).catch(ignoreNotFound(''))
+        ));
+        contents.forEach((content, i) => applyRecipeStepSource(catalogue, content, packageName, files[i].path));
+      } catch (error) {
+        console.error(`Error reading recipe steps from ${packageName}:`, error);
+        unavailable.push(packageName);
+      }
+    }
+
+    // Internal helpers named step_* have no roxygen title; steps documented
+    // on another topic's page take their description from the snapshot
+    const snapshot = snapshotRecipeSteps();
+    for (const step of Object.values(catalogue)) {
+      step.description = step.description || snapshot[step.name]?.description || '';
+      if (!step.description) delete catalogue[step.name];
+      else if (step.types.length === 0) step.types = snapshot[step.name]?.types || ['any'];
+    }
+    Object.assign(catalogue, snapshotRecipeSteps(unavailable));
+
+    this.stepCatalogue = catalogue;
+    this.stepCatalogueInfo = {
+      source: this.source.name,
+      updated_at: new Date().toISOString(),
+      snapshot_packages: unavailable,
+    };
+    console.error(`Catalogued ${Object.keys(catalogue).length} recipe steps from ${this.source.name} source`);
+  }
+
+  private async listRecipeSteps(options: {
+    query?: string;
+    package?: string;
+    type?: string;
+    tunable?: boolean;
+    refresh?: boolean;
+  }): Promise<any> {
+    if (options.refresh) {
+      await this.refreshRecipeSteps();
+    }
+
+    let steps = Object.values(this.stepCatalogue)
+      .filter(step => !options.package || step.package === options.package)
+      .filter(step => !options.type || step.types.includes(options.type))
+      .filter(step => !options.tunable || step.tunable.length > 0)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    if (options.query) {
+      steps = searchRecipeSteps(steps, options.query);
+    }
+
+    return {
+      ...this.stepCatalogueInfo,
+      count: steps.length,
+      steps: steps.map(step => ({
+        ...step,
+        selectors: step.types.map(type => RECIPE_TYPE_SELECTORS[type]).filter(Boolean),
+      })),
+    };
+  }
+
+  private async generateRCode(request: string, templateType?: string, spec?: Record<string, any>): Promise<string> {
+    const template = templateType?.toLowerCase();
+    const normalized = normalizeModelingSpec(spec, template, this.modelRegistry);
+    const code = composeTidymodelsScript(normalized, request, template, this.stepCatalogue);
+
+    // Never hand out a script our own validator rejects
+    const errors = validateTidymodelsCode(code, this.modelRegistry, this.stepCatalogue)
+      .filter(item => item.severity === 'error');
+    if (errors.length > 0) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Generated code failed validation: ${errors.map(item => `${item.line}:${item.column} ${item.message}`).join('; ')}`
+      );
+    }
+    return code;
+  }
+
+  private validateCode(code: string): any {
+    const diagnostics = validateTidymodelsCode(code, this.modelRegistry, this.stepCatalogue);
+    const errors = diagnostics.filter(item => item.severity === 'error').length;
+    return {
+      valid: errors === 0,
+      errors,
+      warnings: diagnostics.length - errors,
+      diagnostics,
+    };
+  }
+
+  private setupResourceHandlers(server: Server) {
+    // List all repositories as resources
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
       const repos = await this.getRepos();
       return {
         resources: [
@@ -471,378 +7820,1458 @@ performance <- metrics(bind_cols(test_data, predictions),
             mimeType: 'text/markdown',
             description: 'Overview of the tidymodels ecosystem',
           },
-          {
-            uri: 'tidymodels://docs/getting-started',
-            name: 'Getting Started',
-            mimeType: 'text/markdown', 
-            description: 'Getting started with tidymodels',
+          {
+            uri: 'tidymodels://docs/getting-started',
+            name: 'Getting Started',
+            mimeType: 'text/markdown', 
+            description: 'Getting started with tidymodels',
+          },
+          // Vignette lists and pkgdown reference indexes
+          ...await this.listDocumentationResources(),
+          // Code template resources
+          {
+            uri: 'tidymodels://templates/recipe',
+            name: 'Recipe Template',
+            mimeType: 'text/plain',
+            description: 'Template for creating a tidymodels recipe',
+          },
+          {
+            uri: 'tidymodels://templates/model',
+            name: 'Model Template',
+            mimeType: 'text/plain',
+            description: 'Template for creating a tidymodels model',
+          },
+          {
+            uri: 'tidymodels://templates/tune',
+            name: 'Tuning Template',
+            mimeType: 'text/plain',
+            description: 'Template for hyperparameter tuning with tidymodels',
+          },
+          {
+            uri: 'tidymodels://templates/evaluation',
+            name: 'Evaluation Template',
+            mimeType: 'text/plain',
+            description: 'Template for evaluating models with tidymodels',
+          }
+        ],
+      };
+    });
+
+    // URI patterns of the resources that aren't listed one by one
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: 'tidymodels://repos/{repo}',
+          name: 'Repository',
+          mimeType: 'application/json',
+          description: 'Metadata of a repository in the tidymodels organization',
+        },
+        {
+          uriTemplate: 'tidymodels://files/{repo}/{+path}',
+          name: 'Repository File',
+          description: 'A file on a repository\'s default branch, or a JSON listing of a directory\'s entries (an empty path lists the top level)',
+        },
+        {
+          uriTemplate: 'tidymodels://docs/{name}',
+          name: 'Documentation',
+          mimeType: 'text/markdown',
+          description: 'Tidymodels documentation: overview or getting-started',
+        },
+        {
+          uriTemplate: 'tidymodels://man/{package}/{topic}',
+          name: 'Help Page',
+          mimeType: 'text/markdown',
+          description: 'A package\'s help page for a topic, rendered as Markdown',
+        },
+        {
+          uriTemplate: 'tidymodels://vignettes/{package}',
+          name: 'Vignette List',
+          mimeType: 'application/json',
+          description: 'A package\'s vignettes and pkgdown articles, with their URIs',
+        },
+        {
+          uriTemplate: 'tidymodels://vignettes/{package}/{+name}',
+          name: 'Vignette',
+          mimeType: 'text/markdown',
+          description: 'A package vignette, or a pkgdown article as articles/<name>',
+        },
+        {
+          uriTemplate: 'tidymodels://reference/{package}',
+          name: 'Reference Index',
+          mimeType: 'text/markdown',
+          description: 'A package\'s help topics grouped as in its pkgdown reference index',
+        },
+        {
+          uriTemplate: 'tidymodels://templates/{template}',
+          name: 'Code Template',
+          mimeType: 'text/plain',
+          description: 'Template code: recipe, model, tune or evaluation',
+        },
+      ],
+    }));
+
+    // Read resource handler
+    server.setRequestHandler(
+      ReadResourceRequestSchema,
+      async (request) => ({
+        contents: [await this.readResource(request.params.uri)],
+      })
+    );
+
+    // Change notifications for repository files and directories
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      await this.subscribe(server, request.params.uri);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.unsubscribe(server, request.params.uri);
+      return {};
+    });
+  }
+
+  // The repository and path of a tidymodels://files/ URI
+  private parseFileUri(uri: string): { repo: string; path: string } | null {
+    const match = uri.match(/^tidymodels:\/\/files\/([^\/]+)(?:\/(.*))?$/);
+    return match ? { repo: match[1], path: (match[2] || '').replace(/\/+$/, '') } : null;
+  }
+
+  // A file or directory on a repository's default branch, bypassing the
+  // in-memory content cache so that changes are seen. Errors pass through as
+  // they are: a missing file stays a NotFoundError, a rate limit a rate limit.
+  private async getCurrentContent(repo: string, path: string): Promise<any> {
+    return this.source.getContent(repo, path);
+  }
+
+  // What changes when a file or directory does: a file's blob SHA, or a hash
+  // of the names and SHAs of a directory's entries
+  private contentVersion(data: any): string {
+    if (!Array.isArray(data)) {
+      return data.sha || '';
+    }
+    const entries = data.map((item: any) => `${item.type} ${item.path} ${item.sha || ''}`).sort();
+    return createHash('sha1').update(entries.join('\n')).digest('hex');
+  }
+
+  private async subscribe(server: Server, uri: string) {
+    const file = this.parseFileUri(uri);
+    if (!file) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Only tidymodels://files/ resources support subscriptions: ${uri}`
+      );
+    }
+
+    // Register before fetching, so that concurrent subscribes share the entry
+    // and an unsubscribe during the fetch isn't undone afterwards
+    let subscription = this.subscriptions.get(uri);
+    if (!subscription) {
+      const created: { version: string | null; ready: Promise<void>; servers: Set<Server> } = {
+        version: null,
+        ready: Promise.resolve(),
+        servers: new Set(),
+      };
+      created.ready = this.getCurrentContent(file.repo, file.path).then(data => {
+        created.version = this.contentVersion(data);
+      });
+      subscription = created;
+      this.subscriptions.set(uri, subscription);
+    }
+    subscription.servers.add(server);
+
+    try {
+      await subscription.ready;
+    } catch (error) {
+      subscription.servers.delete(server);
+      if (subscription.servers.size === 0 && this.subscriptions.get(uri) === subscription) {
+        this.unsubscribe(server, uri);
+      }
+      throw error;
+    }
+
+    if (!this.watchTimer && this.subscriptions.size > 0) {
+      this.watchTimer = setInterval(() => this.checkSubscriptions(), TIDYMODELS_WATCH_INTERVAL_SECONDS * 1000);
+      this.watchTimer.unref();
+    }
+  }
+
+  private unsubscribe(server: Server, uri: string) {
+    const subscription = this.subscriptions.get(uri);
+    subscription?.servers.delete(server);
+    if (subscription && subscription.servers.size === 0) {
+      this.subscriptions.delete(uri);
+    }
+    if (this.subscriptions.size === 0 && this.watchTimer) {
+      clearInterval(this.watchTimer);
+      this.watchTimer = null;
+    }
+  }
+
+  // Drop the subscriptions of a server whose client disconnected
+  private unsubscribeAll(server: Server) {
+    for (const uri of [...this.subscriptions.keys()]) {
+      this.unsubscribe(server, uri);
+    }
+  }
+
+  // Compare each subscribed resource with its last seen version and notify
+  // subscribers of the ones that changed
+  private async checkSubscriptions() {
+    if (this.watching) return;
+    this.watching = true;
+    try {
+      for (const [uri, subscription] of this.subscriptions) {
+        if (subscription.version === null) continue;
+        const file = this.parseFileUri(uri)!;
+        let version: string;
+        try {
+          version = this.contentVersion(await this.getCurrentContent(file.repo, file.path));
+        } catch (error) {
+          console.error(`Error checking ${uri} for changes:`, error instanceof Error ? error.message : error);
+          continue;
+        }
+        if (version === subscription.version) continue;
+
+        subscription.version = version;
+        this.repoContentCache.delete(`${file.repo}:${file.path}`);
+        for (const server of subscription.servers) {
+          await server.sendResourceUpdated({ uri }).catch(error =>
+            console.error(`Error notifying a client that ${uri} changed:`, error)
+          );
+        }
+      }
+    } finally {
+      this.watching = false;
+    }
+  }
+
+  private async readResource(uri: string): Promise<{ uri: string; mimeType: string; text: string }> {
+    // Match repository pattern
+    const repoMatch = uri.match(/^tidymodels:\/\/repos\/([^\/]+)$/);
+    if (repoMatch) {
+      const repoName = repoMatch[1];
+      const repos = await this.getRepos();
+      const repo = repos.find(r => r.name === repoName);
+      
+      if (!repo) {
+        throw new NotFoundError(`Repository not found: ${repoName}`);
+      }
+
+      return {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(repo, null, 2),
+      };
+    }
+    
+    // Match file pattern; a directory reads as a listing of its entries
+    const file = this.parseFileUri(uri);
+    if (file) {
+      const data = await this.getCurrentContent(file.repo, file.path);
+
+      if (Array.isArray(data)) {
+        return {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(data.map((item: any) => ({
+            name: item.name,
+            type: item.type,
+            size: item.size,
+            sha: item.sha,
+            uri: `tidymodels://files/${file.repo}/${item.path}`,
+          })), null, 2),
+        };
+      }
+      if (data.encoding !== 'base64' || typeof data.content !== 'string') {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Invalid file data format for ${file.repo}/${file.path}`
+        );
+      }
+
+      return {
+        uri,
+        mimeType: this.getMimeType(file.path),
+        text: Buffer.from(data.content, 'base64').toString('utf-8'),
+      };
+    }
+
+    // Match help page pattern
+    const manMatch = uri.match(/^tidymodels:\/\/man\/([^\/]+)\/(.+)$/);
+    if (manMatch) {
+      const [, packageName, topic] = manMatch;
+      const content = await this.getHelpPage(packageName, decodeURIComponent(topic));
+
+      return {
+        uri,
+        mimeType: 'text/markdown',
+        text: content,
+      };
+    }
+
+    // Match vignette list pattern
+    const vignetteListMatch = uri.match(/^tidymodels:\/\/vignettes\/([^\/]+)\/?$/);
+    if (vignetteListMatch) {
+      const packageName = vignetteListMatch[1];
+      const vignettes = await this.listVignettes(packageName);
+
+      return {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(vignettes.map(vignette => ({
+          name: vignette.name,
+          type: vignette.name.startsWith('articles/') ? 'article' : 'vignette',
+          path: vignette.path,
+          uri: `tidymodels://vignettes/${packageName}/${vignette.name}`,
+        })), null, 2),
+      };
+    }
+
+    // Match vignette pattern
+    const vignetteMatch = uri.match(/^tidymodels:\/\/vignettes\/([^\/]+)\/(.+)$/);
+    if (vignetteMatch) {
+      const [, packageName, name] = vignetteMatch;
+      const content = await this.getVignette(packageName, decodeURIComponent(name));
+
+      return {
+        uri,
+        mimeType: 'text/markdown',
+        text: content,
+      };
+    }
+
+    // Match reference index pattern
+    const referenceMatch = uri.match(/^tidymodels:\/\/reference\/([^\/]+)$/);
+    if (referenceMatch) {
+      const content = await this.getReferenceIndex(referenceMatch[1]);
+
+      return {
+        uri,
+        mimeType: 'text/markdown',
+        text: content,
+      };
+    }
+
+    // Match documentation pattern
+    const docsMatch = uri.match(/^tidymodels:\/\/docs\/(.+)$/);
+    if (docsMatch) {
+      const docName = docsMatch[1];
+      
+      // Get documentation content
+      let content = '';
+      
+      if (docName === 'overview') {
+        content = `# Tidymodels Ecosystem Overview
+
+Tidymodels is a collection of packages for modeling and machine learning using tidyverse principles.
+
+## Core Packages
+
+- **rsample**: For data splitting and resampling
+- **parsnip**: Provides a unified interface to models
+- **recipes**: For preprocessing and feature engineering
+- **workflows**: Combining preprocessing, modeling, and postprocessing
+- **tune**: For hyperparameter tuning
+- **yardstick**: For measuring model performance
+- **dials**: Tools for creating and managing tuning parameters
+- **broom**: For converting model objects into tidy data frames
+
+## Extended Ecosystem
+
+- **tidyposterior**: Bayesian analysis of model performance
+- **corrr**: Correlation analysis tools
+- **applicable**: Checking model applicability for new data
+- **spatialsample**: Spatial resampling methods
+- **poissonreg**: For Poisson and negative binomial regression
+- **discrim**: Models for discriminant analysis
+- **embed**: For creating embeddings and learned features
+
+For more details, visit [the tidymodels website](${TIDYMODELS_DOCS_URL}/).`;
+      } else if (docName === 'getting-started') {
+        content = `# Getting Started with Tidymodels
+
+## Installation
+
+\`\`\`r
+# Install the complete tidymodels package
+install.packages("tidymodels")
+
+# Or install individual packages
+install.packages(c("parsnip", "recipes", "rsample", "workflows"))
+\`\`\`
+
+## Basic Workflow
+
+\`\`\`r
+library(tidymodels)
+
+# Split data
+set.seed(123)
+data_split <- initial_split(mtcars, prop = 0.75)
+train_data <- training(data_split)
+test_data <- testing(data_split)
+
+# Create recipe for preprocessing
+car_recipe <- recipe(mpg ~ ., data = train_data) |>
+  step_normalize(all_predictors())
+
+# Define model
+lm_model <- linear_reg() |>
+  set_engine("lm")
+
+# Create workflow
+lm_workflow <- workflow() |>
+  add_recipe(car_recipe) |>
+  add_model(lm_model)
+
+# Fit model
+lm_fit <- fit(lm_workflow, data = train_data)
+
+# Make predictions
+predictions <- predict(lm_fit, test_data)
+
+# Evaluate performance
+metrics(bind_cols(test_data, predictions), 
+        truth = mpg,
+        estimate = .pred)
+\`\`\`
+
+## Key Concepts
+
+1. **Data Splitting** with rsample
+2. **Preprocessing** with recipes
+3. **Model Specification** with parsnip
+4. **Workflow** to combine preprocessing and modeling
+5. **Evaluation** with yardstick
+
+For more examples and tutorials, visit [the tidymodels website](${TIDYMODELS_DOCS_URL}/start/).`;
+      } else {
+        throw new NotFoundError(`Documentation not found: ${docName}`);
+      }
+      
+      return {
+        uri,
+        mimeType: 'text/markdown',
+        text: content,
+      };
+    }
+
+    // Match template pattern
+    const templateMatch = uri.match(/^tidymodels:\/\/templates\/(.+)$/);
+    if (templateMatch) {
+      const templateName = templateMatch[1];
+      const template = await this.generateRCode('Example task', templateName);
+      
+      return {
+        uri,
+        mimeType: 'text/plain',
+        text: template,
+      };
+    }
+
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      `Invalid URI format: ${uri}`
+    );
+  }
+
+  private getMimeType(filePath: string): string {
+    const ext = filePath.split('.').pop()?.toLowerCase();
+    switch (ext) {
+      case 'r':
+        return 'text/r-script';
+      case 'rmd':
+        return 'text/markdown';
+      case 'md':
+        return 'text/markdown';
+      case 'json':
+        return 'application/json';
+      case 'yml':
+      case 'yaml':
+        return 'application/yaml';
+      case 'txt':
+        return 'text/plain';
+      default:
+        return 'text/plain';
+    }
+  }
+
+  private setupPromptHandlers(server: Server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: TIDYMODELS_PROMPTS,
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+      this.getPrompt(request.params.name, request.params.arguments || {})
+    );
+  }
+
+  // A prompt's instructions, preceded by the resources they refer to
+  private async getPrompt(name: string, args: Record<string, string>): Promise<any> {
+    const prompt = TIDYMODELS_PROMPTS.find(candidate => candidate.name === name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+    for (const argument of prompt.arguments) {
+      if (argument.required && !args[argument.name]?.trim()) {
+        throw new McpError(ErrorCode.InvalidParams, `Prompt ${name} requires the ${argument.name} argument`);
+      }
+    }
+
+    let uris: string[] = [];
+    let text = '';
+    switch (name) {
+      case 'build_classification_model': {
+        const { dataset, outcome, model } = args;
+        uris = [
+          'tidymodels://docs/getting-started',
+          'tidymodels://templates/recipe',
+          'tidymodels://templates/model',
+          'tidymodels://templates/evaluation',
+          ...(model ? [`tidymodels://man/parsnip/${encodeURIComponent(model)}`] : []),
+        ];
+        text = `Build a classification model for the \`${dataset}\` data${outcome ? `, predicting \`${outcome}\`` : ''}, with tidymodels${model ? ` and parsnip's \`${model}()\`` : ''}.
+
+1. Look at the data first: the outcome's classes and how balanced they are, the column types and missing values.${outcome ? '' : ' Pick the outcome column and say why.'}
+2. Split the data with \`initial_split()\`, stratified on the outcome, and make cross-validation folds of the training set.
+3. Write a recipe whose steps suit the predictors' types, in the order the recipes documentation recommends (impute, transform, create dummy variables, normalize).
+4. Specify the model${model ? '' : ', choosing one that suits the data,'} with \`set_mode("classification")\` and combine it with the recipe in a workflow.
+5. Estimate performance with \`fit_resamples()\` and a \`metric_set()\` including \`roc_auc\` and \`accuracy\`, then fit on the whole training set with \`last_fit()\` and report the test-set metrics.
+
+Follow the templates and documentation above, use the native pipe \`|>\`, and explain each choice briefly.`;
+        break;
+      }
+
+      case 'tune_with_racing': {
+        const { model, engine, dataset } = args;
+        uris = [
+          'tidymodels://templates/tune',
+          'tidymodels://man/finetune/tune_race_anova',
+          `tidymodels://man/parsnip/${encodeURIComponent(model)}`,
+        ];
+        text = `Tune the hyperparameters of parsnip's \`${model}()\`${engine ? ` with the "${engine}" engine` : ''}${dataset ? ` on the \`${dataset}\` data` : ''} using racing from the finetune package.
+
+1. Mark the arguments worth tuning with \`tune()\` and check their ranges with \`extract_parameter_set_dials()\`, finalizing or narrowing any that need it.
+2. Resample the training set with \`vfold_cv()\`. Racing eliminates candidates after the first few resamples, so use at least 10 folds.
+3. Run \`tune_race_anova()\` over a space-filling grid with \`control_race(verbose_elim = TRUE)\`.
+4. Show how candidates were eliminated with \`plot_race()\`, pick the best with \`select_best()\`, then \`finalize_workflow()\` and \`last_fit()\`.
+
+Explain how much time racing saves compared with \`tune_grid()\`, and when it can drop a good candidate too early.`;
+        break;
+      }
+
+      case 'explain_recipe': {
+        const { recipe } = args;
+        // Steps in the order they're written; pipes nest the last one outermost
+        const steps: { package: string; name: string; line: number; column: number }[] = [];
+        for (const statement of parseR(recipe).statements) {
+          walkR(statement, node => {
+            const name = callName(node);
+            if (!name || !/^(step|check)_/.test(name) || steps.some(step => step.name === name)) return;
+            const packageName = node.fn!.package || this.stepCatalogue[name]?.package || 'recipes';
+            steps.push({ package: packageName, name, line: node.fn!.line, column: node.fn!.column });
+          });
+        }
+        steps.sort((a, b) => a.line - b.line || a.column - b.column);
+        uris = [
+          'tidymodels://man/recipes/recipe',
+          ...steps.map(step => `tidymodels://man/${step.package}/${encodeURIComponent(step.name)}`),
+        ];
+        text = `Explain what this recipe does:
+
+\`\`\`r
+${recipe.trim()}
+\`\`\`
+
+Go through it step by step, using the help pages above: what each step computes, which columns its selectors pick, what it estimates from the training data when the recipe is prepped, and what it does to new data in \`bake()\`. Point out defaults that matter, arguments that could be tuned, and ordering problems (such as normalizing before creating dummy variables, or imputing after a step that fails on missing values).`;
+        break;
+      }
+
+      case 'migrate_code': {
+        const { code } = args;
+        const report = await this.checkDeprecations({ code });
+        const pages: string[] = [];
+        for (const use of report.uses) {
+          addUnique(pages, `tidymodels://man/${use.package}/${encodeURIComponent(use.function)}`);
+        }
+        uris = ['tidymodels://docs/getting-started', ...pages.slice(0, 10)];
+        const findings = report.count > 0
+          ? `A deprecation check against ${report.packages.join(', ')} found these uses of deprecated or superseded functions and arguments:
+
+\`\`\`json
+${JSON.stringify(report.uses, null, 2)}
+\`\`\``
+          : `A deprecation check against ${report.packages.join(', ')} found no deprecated or superseded functions or arguments, so look for older idioms it doesn't cover.`;
+        text = `Update this R code to the current tidymodels APIs:
+
+\`\`\`r
+${code.trim()}
+\`\`\`
+
+${report.syntax_error ? `The code doesn't parse (line ${report.syntax_error.line}: ${report.syntax_error.message}); fix that first.
+
+` : ''}${findings}
+
+Rewrite the code with the replacements, checking their current signatures in the help pages above, and keep everything else as it is. Explain each change and say where results could differ, for example because a default changed.`;
+        break;
+      }
+    }
+
+    return {
+      description: prompt.description,
+      messages: [
+        ...(await this.embedResources(uris)).map(resource => ({
+          role: 'user',
+          content: { type: 'resource', resource },
+        })),
+        {
+          role: 'user',
+          content: { type: 'text', text },
+        },
+      ],
+    };
+  }
+
+  // Resources to embed as context; ones that can't be read (say, the help
+  // page of a misspelled model) are left out rather than failing the prompt
+  private async embedResources(uris: string[]): Promise<{ uri: string; mimeType: string; text: string }[]> {
+    const resources = [];
+    for (const uri of uris) {
+      try {
+        resources.push(await this.readResource(uri));
+      } catch (error) {
+        console.error(`Error reading ${uri} for a prompt:`, error instanceof Error ? error.message : error);
+      }
+    }
+    return resources;
+  }
+
+  private setupToolHandlers(server: Server) {
+    const listToolsResult = {
+      tools: [
+        {
+          name: 'list_tidymodels_packages',
+          description: 'List all R packages in the tidymodels organization, classified as core, extension or infrastructure',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              refresh: {
+                type: 'boolean',
+                description: 'Force a refresh of the repository cache',
+              },
+              category: {
+                type: 'string',
+                description: 'Only list packages of this category (core, extension, infrastructure)',
+                enum: ['core', 'extension', 'infrastructure'],
+              },
+              limit: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Maximum number of packages to return (default: all)',
+              },
+              offset: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Number of packages to skip (default: 0)',
+              },
+              fields: {
+                type: 'array',
+                items: { type: 'string', enum: Object.keys(PACKAGE_SUMMARY_SCHEMA.properties) },
+                description: 'Only return these fields of each package (default: all)',
+              },
+            },
+          },
+          outputSchema: PACKAGE_LIST_OUTPUT_SCHEMA,
+        },
+        {
+          name: 'get_package_details',
+          description: 'Get detailed information about a specific tidymodels package, including its parsed DESCRIPTION (authors, license, URLs and versioned dependencies)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              package: {
+                type: 'string',
+                description: 'Package name',
+              },
+              fields: {
+                type: 'array',
+                items: { type: 'string', enum: Object.keys(PACKAGE_DETAILS_SCHEMA.properties) },
+                description: 'Only return these fields (default: all)',
+              },
+            },
+            required: ['package'],
+          },
+          outputSchema: PACKAGE_DETAILS_SCHEMA,
+        },
+        {
+          name: 'search_r_functions',
+          description: 'Search the roxygen documentation of R functions in tidymodels packages and return ranked matches',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'Function name or keyword to search for',
+              },
+              package: {
+                type: 'string',
+                description: 'Limit search to a specific package (optional)',
+              },
+              limit: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Maximum number of ranked matches to return (default 10)',
+              },
+              offset: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Number of ranked matches to skip (default: 0)',
+              },
+              fields: {
+                type: 'array',
+                items: { type: 'string', enum: Object.keys(FUNCTION_MATCH_SCHEMA.properties) },
+                description: 'Only return these fields of each match (default: all)',
+              },
+            },
+            required: ['query'],
+          },
+          outputSchema: FUNCTION_SEARCH_OUTPUT_SCHEMA,
+        },
+        {
+          name: 'generate_tidymodels_code',
+          description: 'Generate an R script for a tidymodels modeling task from a structured spec',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              task: {
+                type: 'string',
+                description: 'Description of the task',
+              },
+              template: {
+                type: 'string',
+                description: 'Limit the script to one stage (recipe, model, tune, evaluation); omit for the full workflow',
+                enum: ['recipe', 'model', 'tune', 'evaluation'],
+              },
+              spec: {
+                type: 'object',
+                description: 'Modeling spec; anything omitted gets a default consistent with the rest',
+                properties: {
+                  data: {
+                    type: 'string',
+                    description: 'Name of the data frame (default: data)',
+                  },
+                  outcome: {
+                    type: 'string',
+                    description: 'Outcome column, or Surv(time, status) for censored regression',
+                  },
+                  predictors: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Predictor columns (default: all other columns)',
+                  },
+                  columns: {
+                    type: 'object',
+                    description: 'Column types used to pick recipe steps, e.g. { "signup": "date", "review": "text" }',
+                    additionalProperties: {
+                      type: 'string',
+                      enum: ['numeric', 'nominal', 'date', 'text', 'id'],
+                    },
+                  },
+                  balance: {
+                    type: 'string',
+                    description: 'Handle class imbalance in classification',
+                    enum: ['upsample', 'downsample', 'smote'],
+                  },
+                  mode: {
+                    type: 'string',
+                    enum: ['classification', 'regression', 'censored regression'],
+                  },
+                  model: {
+                    type: 'string',
+                    description: 'parsnip model function, e.g. rand_forest, boost_tree, logistic_reg',
+                  },
+                  engine: {
+                    type: 'string',
+                    description: 'parsnip engine, e.g. ranger, xgboost, glmnet',
+                  },
+                  resampling: {
+                    type: ['object', 'string'],
+                    description: 'Resampling method (vfold, bootstraps, mc_cv, none) or an object with method, v, repeats and times',
+                  },
+                  metrics: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'yardstick metrics; the first one selects tuning parameters',
+                  },
+                  tune: {
+                    type: ['array', 'object'],
+                    description: 'Arguments to tune, as names or as an object of name: [lower, upper] ranges',
+                  },
+                  grid_size: {
+                    type: 'integer',
+                    minimum: 1,
+                    description: 'Size of the tuning grid (default: 20)',
+                  },
+                  eval_time: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    description: 'Evaluation times for censored regression metrics',
+                  },
+                  split_prop: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    exclusiveMaximum: 1,
+                    description: 'Proportion of data used for training (default: 0.75)',
+                  },
+                  seed: {
+                    type: 'number',
+                    description: 'Random seed (default: 123)',
+                  },
+                },
+              },
+            },
+            required: ['task'],
+          },
+        },
+        {
+          name: 'search_issues',
+          description: 'Search issues and pull requests in tidymodels repositories with label, author, date and type filters, or fetch one issue with its comments and linked pull requests. Returns compact summaries',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'Search query; GitHub search qualifiers are allowed (required unless number is given)',
+              },
+              repo: {
+                type: 'string',
+                description: 'Limit search to a specific repository (optional; required with number)',
+              },
+              state: {
+                type: 'string',
+                description: 'Issue state (open, closed, all)',
+                enum: ['open', 'closed', 'all'],
+              },
+              type: {
+                type: 'string',
+                description: 'Issues, pull requests or both (default: all)',
+                enum: ['issue', 'pr', 'all'],
+              },
+              labels: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Labels the results must all have (optional)',
+              },
+              author: {
+                type: 'string',
+                description: 'GitHub login of the author (optional)',
+              },
+              since: {
+                type: 'string',
+                description: 'Earliest date, YYYY-MM-DD (optional)',
+              },
+              until: {
+                type: 'string',
+                description: 'Latest date, YYYY-MM-DD (optional)',
+              },
+              date_field: {
+                type: 'string',
+                description: 'Date that since/until apply to (default: created)',
+                enum: ['created', 'updated', 'closed'],
+              },
+              sort: {
+                type: 'string',
+                description: 'Sort order of the results (default: best-match)',
+                enum: ['best-match', 'created', 'updated', 'comments'],
+              },
+              order: {
+                type: 'string',
+                description: 'Sort direction (default: desc)',
+                enum: ['asc', 'desc'],
+              },
+              page: {
+                type: 'integer',
+                minimum: 1,
+                description: 'Page of results (default: 1)',
+              },
+              per_page: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100,
+                description: 'Results per page, up to 100 (default: 20)',
+              },
+              number: {
+                type: 'integer',
+                minimum: 1,
+                description: 'Issue or pull request number: fetch its comment thread and linked pull requests instead of searching (optional)',
+              },
+              max_comments: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Most recent comments to include with number (default: 20)',
+              },
+              fields: {
+                type: 'array',
+                items: { type: 'string', enum: Object.keys(ISSUE_SUMMARY_SCHEMA.properties) },
+                description: 'Only return these fields of each issue, or of the issue fetched by number (default: all)',
+              },
+            },
+          },
+          outputSchema: ISSUE_SEARCH_OUTPUT_SCHEMA,
+        },
+        {
+          name: 'get_dependency_graph',
+          description: 'Build the dependency graph of tidymodels packages from their DESCRIPTION files: reverse dependencies, transitive closures and install order',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              package: {
+                type: 'string',
+                description: 'Focus on a single package and the packages it depends on or that depend on it (optional)',
+              },
+              types: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: ['depends', 'imports', 'suggests', 'linking_to'],
+                },
+                description: 'Dependency fields to follow (default: depends, imports, linking_to)',
+              },
+              include_external: {
+                type: 'boolean',
+                description: 'Include packages outside the tidymodels organization (e.g. dplyr)',
+              },
+              format: {
+                type: 'string',
+                description: 'Output format (json, mermaid, dot)',
+                enum: ['json', 'mermaid', 'dot'],
+              },
+              refresh: {
+                type: 'boolean',
+                description: 'Force a refresh of the repository and DESCRIPTION caches',
+              },
+            },
+          },
+        },
+        {
+          name: 'list_package_exports',
+          description: 'List the exported functions and registered S3 methods of a tidymodels package, parsed from its NAMESPACE file',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              package: {
+                type: 'string',
+                description: 'Package name',
+              },
+            },
+            required: ['package'],
+          },
+        },
+        {
+          name: 'get_cache_stats',
+          description: 'Show statistics of the persistent GitHub response cache, the in-memory caches and the remaining GitHub rate limits',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              clear: {
+                type: 'boolean',
+                description: 'Clear the persistent and in-memory caches and the search index first',
+              },
+            },
+          },
+        },
+        {
+          name: 'compare_cran_github',
+          description: 'Compare the GitHub DESCRIPTION version of every tidymodels package with its CRAN release and list unreleased development versions',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              include_released: {
+                type: 'boolean',
+                description: 'Also list packages whose GitHub version matches CRAN',
+              },
+              include_checks: {
+                type: 'boolean',
+                description: 'Add the CRAN publication date and check status of each package (one request per package)',
+              },
+            },
+          },
+        },
+        {
+          name: 'list_model_engines',
+          description: 'List parsnip model functions with their engines, supported modes, required packages and main arguments',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              model: {
+                type: 'string',
+                description: 'Only this model function, e.g. boost_tree (optional)',
+              },
+              mode: {
+                type: 'string',
+                description: 'Only engines supporting this mode (optional)',
+                enum: ['classification', 'regression', 'censored regression', 'quantile regression'],
+              },
+              engine: {
+                type: 'string',
+                description: 'Only this engine, e.g. xgboost (optional)',
+              },
+              refresh: {
+                type: 'boolean',
+                description: 'Rebuild the registry from the parsnip and extension package sources instead of the bundled snapshot',
+                default: false,
+              },
+            },
+          },
+        },
+        {
+          name: 'validate_tidymodels_code',
+          description: 'Check an R script for tidymodels mistakes: syntax errors, unknown recipe steps, wrong argument names, deprecated functions, model specifications without a mode and tune() placeholders that are never tuned',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              code: {
+                type: 'string',
+                description: 'R code to check',
+              },
+            },
+            required: ['code'],
+          },
+        },
+        {
+          name: 'list_recipe_steps',
+          description: 'List and search recipe steps and checks from recipes, embed, textrecipes, themis and other step packages, with the variable types they work on and their tunable arguments',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'What the step should do, e.g. "impute", "encode high-cardinality", "upsample" (optional)',
+              },
+              package: {
+                type: 'string',
+                description: 'Only steps from this package (optional)',
+              },
+              type: {
+                type: 'string',
+                description: 'Only steps working on this variable type (optional)',
+                enum: ['numeric', 'nominal', 'date', 'logical', 'string', 'text', 'outcome', 'any'],
+              },
+              tunable: {
+                type: 'boolean',
+                description: 'Only steps with tunable arguments',
+                default: false,
+              },
+              refresh: {
+                type: 'boolean',
+                description: 'Rebuild the catalogue from the package sources instead of the bundled snapshot',
+                default: false,
+              },
+            },
           },
-          // Code template resources
-          {
-            uri: 'tidymodels://templates/recipe',
-            name: 'Recipe Template',
-            mimeType: 'text/plain',
-            description: 'Template for creating a tidymodels recipe',
+        },
+        {
+          name: 'check_deprecations',
+          description: 'Find deprecated, defunct and superseded tidymodels functions, from lifecycle::deprecate_*() calls, roxygen lifecycle badges and NEWS.md. Checks R code, looks up functions, or lists the deprecation table of packages',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              code: {
+                type: 'string',
+                description: 'R code to check for calls to deprecated functions and arguments (optional)',
+              },
+              functions: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Function names to look up, optionally as pkg::name (optional)',
+              },
+              packages: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Packages to read (default: the packages the code or functions refer to, else the core tidymodels packages)',
+              },
+            },
           },
-          {
-            uri: 'tidymodels://templates/model',
-            name: 'Model Template',
-            mimeType: 'text/plain',
-            description: 'Template for creating a tidymodels model',
+        },
+        {
+          name: 'get_changelog',
+          description: 'Read a tidymodels package\'s NEWS.md as versions, sections (breaking changes, new features, bug fixes, ...) and items with their linked issues, optionally between two versions, or get a digest of what changed across the organization in the last N days',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              package: {
+                type: 'string',
+                description: 'Package name (optional; without it, a digest of all packages is returned)',
+              },
+              from: {
+                type: 'string',
+                description: 'Oldest version to include, e.g. 1.0.0 (optional)',
+              },
+              to: {
+                type: 'string',
+                description: 'Newest version to include (optional; leaving it out includes the development version)',
+              },
+              days: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 36500,
+                description: 'Only include versions released in the last N days (default for the digest: 30)',
+              },
+              include_unreleased: {
+                type: 'boolean',
+                description: 'Include the development version section',
+                default: true,
+              },
+            },
           },
-          {
-            uri: 'tidymodels://templates/tune',
-            name: 'Tuning Template',
-            mimeType: 'text/plain',
-            description: 'Template for hyperparameter tuning with tidymodels',
+        },
+        {
+          name: 'diagnose_r_error',
+          description: 'Trace an R error or warning message to the tidymodels function and source line that raises it, find the issues reporting it, and tell whether a fix has been released (and whether the installed version from sessionInfo() has it)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              error: {
+                type: 'string',
+                description: 'The error or warning as printed by R',
+              },
+              session_info: {
+                type: 'string',
+                description: 'Output of sessionInfo() or sessioninfo::session_info() (optional)',
+              },
+            },
+            required: ['error'],
           },
-          {
-            uri: 'tidymodels://templates/evaluation',
-            name: 'Evaluation Template',
-            mimeType: 'text/plain',
-            description: 'Template for evaluating models with tidymodels',
+        },
+        {
+          name: 'search_tidymodels',
+          description: 'Full-text search over tidymodels R code, Rd documentation, vignettes, READMEs and issues using a local BM25 index (function names weigh more than titles, and titles more than text), with snippets. The index is built in the background on first use and updated incrementally once out of date',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'Search words; "quoted phrases" must match exactly, and repo:, path:, extension:, is:, state:, label: and author: qualifiers filter',
+              },
+              kind: {
+                type: 'array',
+                items: { type: 'string', enum: ['code', 'docs', 'vignette', 'readme', 'issue'] },
+                description: 'Document kinds to search (default: all)',
+              },
+              packages: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Limit the search to these packages (optional)',
+              },
+              limit: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Maximum number of results (default: 10)',
+              },
+              update: {
+                type: 'boolean',
+                description: 'Wait for an update of the index from the repositories before searching',
+                default: false,
+              },
+            },
+            required: ['query'],
+          },
+        },
+      ],
+    };
+    server.setRequestHandler(ListToolsRequestSchema, async () => listToolsResult);
+
+    server.setRequestHandler(CallToolRequestSchema, guardToolCall(listToolsResult.tools, async (name, args) => {
+      switch (name) {
+        case 'list_tidymodels_packages': {
+          const { refresh = false, category, limit, offset = 0, fields } = args as {
+            refresh?: boolean,
+            category?: string,
+            limit?: number,
+            offset?: number,
+            fields?: string[],
+          };
+          checkFields(fields, PACKAGE_SUMMARY_SCHEMA);
+          const { packages, unavailable } = await this.getOrgPackages(refresh);
+
+          const packageList = packages
+            .filter(pkg => !category || pkg.category === category)
+            .map(({ repo, description, category }) => ({
+              name: repo.name,
+              package: description.package,
+              category,
+              title: description.title,
+              version: description.version,
+              description: repo.description,
+              stars: repo.stargazers_count,
+              forks: repo.forks_count,
+              url: repo.html_url,
+              updated_at: repo.updated_at,
+            }));
+          const end = limit === undefined ? packageList.length : offset + limit;
+
+          const result = {
+            count: packageList.length,
+            offset,
+            has_more: end < packageList.length,
+            // Set when the organization listing hit TIDYMODELS_MAX_PAGES
+            capped: this.cachedReposCapped,
+            // Repositories left out because their DESCRIPTION couldn't be read
+            ...(unavailable.length > 0 ? { unavailable } : {}),
+            packages: packageList.slice(offset, end).map(pkg => pickFields(pkg, fields)),
+          };
+          return structuredResult(result, renderPackageListMarkdown(result));
+        }
+
+        case 'get_package_details': {
+          const { package: packageName, fields } = args as { package: string, fields?: string[] };
+          if (!packageName) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              'Package name is required'
+            );
           }
-        ],
-      };
-    });
+          checkFields(fields, PACKAGE_DETAILS_SCHEMA);
 
-    // Read resource handler
-    this.server.setRequestHandler(
-      ReadResourceRequestSchema,
-      async (request) => {
-        const { uri } = request.params;
-        
-        // Match repository pattern
-        const repoMatch = uri.match(/^tidymodels:\/\/repos\/([^\/]+)$/);
-        if (repoMatch) {
-          const repoName = repoMatch[1];
-          const repos = await this.getRepos();
-          const repo = repos.find(r => r.name === repoName);
+          // Get package details
+          const packageDetails = await this.getTidymodelsRReference(packageName);
           
-          if (!repo) {
+          if (packageDetails.length === 0) {
+            throw new NotFoundError(`Package "${packageName}" not found in tidymodels organization`);
+          }
+
+          const details = packageDetails[0];
+          // CRAN data is reported next to the GitHub DESCRIPTION; failures don't hide the rest
+          details.cran = await this.getCranInfo(details.package || details.name)
+            .catch(error => ({ error: error instanceof Error ? error.message : String(error) }));
+
+          const result = pickFields(details, fields);
+          return structuredResult(result, renderPackageDetailsMarkdown(result));
+        }
+
+        case 'search_r_functions': {
+          const { query, package: packageName, limit = 10, offset = 0, fields } = args as {
+            query: string,
+            package?: string,
+            limit?: number,
+            offset?: number,
+            fields?: string[],
+          };
+          if (!query) {
             throw new McpError(
-              ErrorCode.InvalidRequest,
-              `Repository not found: ${repoName}`
+              ErrorCode.InvalidParams,
+              'Search query is required'
             );
           }
+          checkFields(fields, FUNCTION_MATCH_SCHEMA);
 
-          return {
-            contents: [
-              {
-                uri,
-                mimeType: 'application/json',
-                text: JSON.stringify(repo, null, 2),
-              },
-            ],
+          const searchResults = await this.searchFunctionDocumentation(query, packageName, offset + limit);
+          const results = searchResults.slice(offset).map((match: any) => pickFields(match, fields));
+
+          const result = {
+            query,
+            ...(packageName ? { package: packageName } : {}),
+            offset,
+            count: results.length,
+            results,
           };
+          return structuredResult(result, renderFunctionSearchMarkdown(result));
         }
-        
-        // Match file pattern
-        const fileMatch = uri.match(/^tidymodels:\/\/files\/([^\/]+)\/(.+)$/);
-        if (fileMatch) {
-          const [, repoName, filePath] = fileMatch;
-          const content = await this.getFileContent(repoName, filePath);
+
+        case 'generate_tidymodels_code': {
+          const { task, template, spec } = args as { task: string, template?: string, spec?: Record<string, any> };
+          if (!task) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              'Task description is required'
+            );
+          }
+
+          const code = await this.generateRCode(task, template, spec);
           
           return {
-            contents: [
+            content: [
               {
-                uri,
-                mimeType: this.getMimeType(filePath),
-                text: content,
+                type: 'text',
+                text: code,
               },
             ],
           };
         }
 
-        // Match documentation pattern
-        const docsMatch = uri.match(/^tidymodels:\/\/docs\/(.+)$/);
-        if (docsMatch) {
-          const docName = docsMatch[1];
-          
-          // Get documentation content
-          let content = '';
-          
-          if (docName === 'overview') {
-            content = `# Tidymodels Ecosystem Overview
-
-Tidymodels is a collection of packages for modeling and machine learning using tidyverse principles.
-
-## Core Packages
-
-- **rsample**: For data splitting and resampling
-- **parsnip**: Provides a unified interface to models
-- **recipes**: For preprocessing and feature engineering
-- **workflows**: Combining preprocessing, modeling, and postprocessing
-- **tune**: For hyperparameter tuning
-- **yardstick**: For measuring model performance
-- **dials**: Tools for creating and managing tuning parameters
-- **broom**: For converting model objects into tidy data frames
-
-## Extended Ecosystem
-
-- **tidyposterior**: Bayesian analysis of model performance
-- **corrr**: Correlation analysis tools
-- **applicable**: Checking model applicability for new data
-- **spatialsample**: Spatial resampling methods
-- **poissonreg**: For Poisson and negative binomial regression
-- **discrim**: Models for discriminant analysis
-- **embed**: For creating embeddings and learned features
-
-For more details, visit [the tidymodels website](https://www.tidymodels.org/).`;
-          } else if (docName === 'getting-started') {
-            content = `# Getting Started with Tidymodels
-
-## Installation
+        case 'get_dependency_graph': {
+          const {
+            package: packageName,
+            types = ['depends', 'imports', 'linking_to'],
+            include_external: includeExternal = false,
+            format = 'json',
+            refresh = false,
+          } = args as { package?: string, types?: string[], include_external?: boolean, format?: string, refresh?: boolean };
 
-\`\`\`r
-# Install the complete tidymodels package
-install.packages("tidymodels")
+          const invalidTypes = types.filter(type => !DEPENDENCY_TYPES.includes(type as DependencyType));
+          if (invalidTypes.length > 0) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `Invalid dependency types: ${invalidTypes.join(', ')}`
+            );
+          }
 
-# Or install individual packages
-install.packages(c("parsnip", "recipes", "rsample", "workflows"))
-\`\`\`
+          const graph = await this.getDependencyGraph({
+            packageName,
+            types: types as DependencyType[],
+            includeExternal,
+            format,
+            refresh,
+          });
 
-## Basic Workflow
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(graph, null, 2),
+              },
+            ],
+          };
+        }
 
-\`\`\`r
-library(tidymodels)
+        case 'validate_tidymodels_code': {
+          const { code } = args as { code: string };
+          if (typeof code !== 'string') {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              'Code to validate is required'
+            );
+          }
 
-# Split data
-set.seed(123)
-data_split <- initial_split(mtcars, prop = 0.75)
-train_data <- training(data_split)
-test_data <- testing(data_split)
+          const result = this.validateCode(code);
 
-# Create recipe for preprocessing
-car_recipe <- recipe(mpg ~ ., data = train_data) |>
-  step_normalize(all_predictors())
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
 
-# Define model
-lm_model <- linear_reg() |>
-  set_engine("lm")
+        case 'list_recipe_steps': {
+          const { query, package: packageName, type, tunable = false, refresh = false } =
+            args as { query?: string, package?: string, type?: string, tunable?: boolean, refresh?: boolean };
 
-# Create workflow
-lm_workflow <- workflow() |>
-  add_recipe(car_recipe) |>
-  add_model(lm_model)
+          const steps = await this.listRecipeSteps({ query, package: packageName, type, tunable, refresh });
 
-# Fit model
-lm_fit <- fit(lm_workflow, data = train_data)
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(steps, null, 2),
+              },
+            ],
+          };
+        }
 
-# Make predictions
-predictions <- predict(lm_fit, test_data)
+        case 'check_deprecations': {
+          const { code, functions, packages } = args as { code?: string, functions?: string[], packages?: string[] };
 
-# Evaluate performance
-metrics(bind_cols(test_data, predictions), 
-        truth = mpg,
-        estimate = .pred)
-\`\`\`
+          const result = await this.checkDeprecations({ code, functions, packages });
 
-## Key Concepts
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
 
-1. **Data Splitting** with rsample
-2. **Preprocessing** with recipes
-3. **Model Specification** with parsnip
-4. **Workflow** to combine preprocessing and modeling
-5. **Evaluation** with yardstick
+        case 'get_changelog': {
+          const { package: packageName, from, to, days, include_unreleased = true } = args as {
+            package?: string,
+            from?: string,
+            to?: string,
+            days?: number,
+            include_unreleased?: boolean,
+          };
+
+          const result = await this.getChangelog({ package: packageName, from, to, days, includeUnreleased: include_unreleased });
 
-For more examples and tutorials, visit [the tidymodels website](https://www.tidymodels.org/start/).`;
-          } else {
-            throw new McpError(
-              ErrorCode.InvalidRequest,
-              `Documentation not found: ${docName}`
-            );
-          }
-          
           return {
-            contents: [
+            content: [
               {
-                uri,
-                mimeType: 'text/markdown',
-                text: content,
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
               },
             ],
           };
         }
 
-        // Match template pattern
-        const templateMatch = uri.match(/^tidymodels:\/\/templates\/(.+)$/);
-        if (templateMatch) {
-          const templateName = templateMatch[1];
-          const template = await this.generateRCode('Example task', templateName);
-          
+        case 'diagnose_r_error': {
+          const { error: errorText, session_info: sessionInfo } = args as { error: string, session_info?: string };
+          if (!errorText) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              'Error message is required'
+            );
+          }
+
+          const diagnosis = await this.diagnoseRError(errorText, sessionInfo);
+
           return {
-            contents: [
+            content: [
               {
-                uri,
-                mimeType: 'text/plain',
-                text: template,
+                type: 'text',
+                text: JSON.stringify(diagnosis, null, 2),
               },
             ],
           };
         }
 
-        throw new McpError(
-          ErrorCode.InvalidRequest,
-          `Invalid URI format: ${uri}`
-        );
-      }
-    );
-  }
+        case 'search_tidymodels': {
+          const {
+            query,
+            kind = ['code', 'docs', 'vignette', 'readme', 'issue'],
+            packages,
+            limit = 10,
+            update = false,
+          } = args as { query: string, kind?: SearchDocument['kind'][], packages?: string[], limit?: number, update?: boolean };
+          if (!query) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              'Search query is required'
+            );
+          }
 
-  private getMimeType(filePath: string): string {
-    const ext = filePath.split('.').pop()?.toLowerCase();
-    switch (ext) {
-      case 'r':
-        return 'text/r-script';
-      case 'rmd':
-        return 'text/markdown';
-      case 'md':
-        return 'text/markdown';
-      case 'json':
-        return 'application/json';
-      case 'yml':
-      case 'yaml':
-        return 'application/yaml';
-      case 'txt':
-        return 'text/plain';
-      default:
-        return 'text/plain';
-    }
-  }
+          const results = await this.searchTidymodels({ query, kinds: kind, packages, limit, update });
 
-  private setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        {
-          name: 'list_tidymodels_packages',
-          description: 'List all packages in the tidymodels ecosystem',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              refresh: {
-                type: 'boolean',
-                description: 'Force a refresh of the repository cache',
-              },
-            },
-          },
-        },
-        {
-          name: 'get_package_details',
-          description: 'Get detailed information about a specific tidymodels package',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              package: {
-                type: 'string',
-                description: 'Package name',
-              },
-            },
-            required: ['package'],
-          },
-        },
-        {
-          name: 'search_r_functions',
-          description: 'Search for R functions in tidymodels packages',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'Function name or keyword to search for',
-              },
-              package: {
-                type: 'string',
-                description: 'Limit search to a specific package (optional)',
-              },
-            },
-            required: ['query'],
-          },
-        },
-        {
-          name: 'generate_tidymodels_code',
-          description: 'Generate R code for common tidymodels tasks',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              task: {
-                type: 'string',
-                description: 'Description of the task',
-              },
-              template: {
-                type: 'string',
-                description: 'Type of template (recipe, model, tune, evaluation)',
-                enum: ['recipe', 'model', 'tune', 'evaluation'],
-              },
-            },
-            required: ['task'],
-          },
-        },
-        {
-          name: 'search_issues',
-          description: 'Search for issues in tidymodels repositories',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'Search query',
-              },
-              repo: {
-                type: 'string',
-                description: 'Limit search to a specific repository (optional)',
-              },
-              state: {
-                type: 'string',
-                description: 'Issue state (open, closed, all)',
-                enum: ['open', 'closed', 'all'],
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(results, null, 2),
               },
-            },
-            required: ['query'],
-          },
-        },
-      ],
-    }));
+            ],
+          };
+        }
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+        case 'list_model_engines': {
+          const { model, mode, engine, refresh = false } =
+            args as { model?: string, mode?: string, engine?: string, refresh?: boolean };
+
+          const engines = await this.listModelEngines({ model, mode, engine, refresh });
 
-      switch (name) {
-        case 'list_tidymodels_packages': {
-          const { refresh = false } = args as { refresh?: boolean };
-          const repos = await this.getRepos(refresh);
-          
-          // Filter to likely R packages
-          const rPackages = repos.filter(repo => {
-            // Simple heuristic - could be improved
-            const isRPackage = 
-              repo.language === 'R' || 
-              repo.name.startsWith('r') ||
-              ['parsnip', 'recipes', 'rsample', 'tune', 'dials', 'workflows', 'yardstick'].includes(repo.name);
-              
-            return isRPackage;
-          });
-          
-          const packageList = rPackages.map(repo => ({
-            name: repo.name,
-            description: repo.description,
-            stars: repo.stargazers_count,
-            forks: repo.forks_count,
-            url: repo.html_url,
-            updated_at: repo.updated_at,
-          }));
-          
           return {
             content: [
               {
                 type: 'text',
-                text: JSON.stringify(packageList, null, 2),
+                text: JSON.stringify(engines, null, 2),
               },
             ],
           };
         }
 
-        case 'get_package_details': {
+        case 'list_package_exports': {
           const { package: packageName } = args as { package: string };
           if (!packageName) {
             throw new McpError(
@@ -851,128 +9280,324 @@ For more examples and tutorials, visit [the tidymodels website](https://www.tidy
             );
           }
 
-          try {
-            // Get package details
-            const packageDetails = await this.getTidymodelsRReference(packageName);
-            
-            if (packageDetails.length === 0) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: `Package "${packageName}" not found in tidymodels organization`,
-                  },
-                ],
-                isError: true,
-              };
-            }
+          const exports = await this.listPackageExports(packageName);
 
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(packageDetails[0], null, 2),
-                },
-              ],
-            };
-          } catch (error) {
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Error fetching package details: ${error instanceof Error ? error.message : String(error)}`,
-                },
-              ],
-              isError: true,
-            };
-          }
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(exports, null, 2),
+              },
+            ],
+          };
         }
 
-        case 'search_r_functions': {
-          const { query, package: packageName } = args as { query: string, package?: string };
-          if (!query) {
-            throw new McpError(
-              ErrorCode.InvalidParams,
-              'Search query is required'
-            );
+        case 'get_cache_stats': {
+          const { clear = false } = args as { clear?: boolean };
+
+          let cleared = 0;
+          await this.searchIndex.load();
+          if (clear) {
+            cleared = await this.source.clearCache() + this.searchIndex.clear();
+            this.clearMemoryCaches();
           }
 
-          try {
-            const searchResults = await this.searchFunctionDocumentation(query, packageName);
-            
-            if (searchResults.length === 0) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: `No functions found matching "${query}" ${packageName ? `in package "${packageName}"` : ''}`,
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  source: this.source.name,
+                  ...(clear ? { cleared_entries: cleared } : {}),
+                  ...await this.source.cacheStats(),
+                  memory: {
+                    repos: this.cachedRepos.length,
+                    repo_contents: this.repoContentCache.size,
+                    documentation: this.documentationCache.size,
+                    descriptions: this.descriptionCache.size,
+                    namespaces: this.namespaceCache.size,
+                    roxygen_files: this.roxygenFileCache.size,
+                    function_indexes: this.functionIndexCache.size,
+                    cran_packages: this.cranIndex.length,
+                    cran_info: this.cranInfoCache.size,
                   },
-                ],
-              };
-            }
+                  search_index: this.searchIndex.stats(),
+                }, null, 2),
+              },
+            ],
+          };
+        }
 
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(searchResults, null, 2),
-                },
-              ],
-            };
-          } catch (error) {
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Error searching functions: ${error instanceof Error ? error.message : String(error)}`,
-                },
-              ],
-              isError: true,
-            };
-          }
+        case 'compare_cran_github': {
+          const {
+            include_released: includeReleased = false,
+            include_checks: includeChecks = false,
+          } = args as { include_released?: boolean, include_checks?: boolean };
+
+          const comparison = await this.compareCranGithub(includeReleased, includeChecks);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(comparison, null, 2),
+              },
+            ],
+          };
         }
 
-        case 'generate_tidymodels_code': {
-          const { task, template } = args as { task: string, template?: string };
-          if (!task) {
+        case 'search_issues': {
+          const {
+            query,
+            repo,
+            state = 'open',
+            type = 'all',
+            labels = [],
+            author,
+            since,
+            until,
+            date_field: dateField = 'created',
+            sort = 'best-match',
+            order = 'desc',
+            page = 1,
+            per_page: perPage = 20,
+            number,
+            max_comments: maxComments = 20,
+            fields,
+          } = args as {
+            query?: string,
+            repo?: string,
+            state?: string,
+            type?: string,
+            labels?: string[],
+            author?: string,
+            since?: string,
+            until?: string,
+            date_field?: string,
+            sort?: string,
+            order?: string,
+            page?: number,
+            per_page?: number,
+            number?: number,
+            max_comments?: number,
+            fields?: string[],
+          };
+          if (number !== undefined) {
+            if (!repo) {
+              throw new McpError(
+                ErrorCode.InvalidParams,
+                'A repository is required to fetch an issue by number'
+              );
+            }
+          } else if (!query) {
             throw new McpError(
               ErrorCode.InvalidParams,
-              'Task description is required'
+              'Search query is required'
             );
           }
+          checkFields(fields, ISSUE_SUMMARY_SCHEMA);
 
-          try {
-            const code = await this.generateRCode(task, template);
-            
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: code,
-                },
-              ],
-            };
-          } catch (error) {
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Error generating code: ${error instanceof Error ? error.message : String(error)}`,
-                },
-              ],
-              isError: true,
-            };
+          const result = number !== undefined
+            ? await this.getIssueThread(repo!, number, maxComments)
+            : await this.searchIssues({
+              query: query!,
+              repo,
+              state,
+              type,
+              labels,
+              author,
+              since,
+              until,
+              dateField,
+              sort,
+              order,
+              page,
+              perPage,
+            });
+
+          const trimmed = result.items
+            ? { ...result, items: result.items.map((item: any) => pickFields(item, fields)) }
+            : pickFields(result, fields);
+          return structuredResult(trimmed, renderIssueSearchMarkdown(trimmed));
+        }
+      }
+    }));
+  }
+
+  async run(options: { transport: 'stdio' | 'http'; host: string; port: number }) {
+    if (options.transport === 'http') {
+      await this.runHttp(options.host, options.port);
+      return;
+    }
+
+    const server = this.createServer();
+    const transport = new StdioServerTransport();
+    await server.connect(transport);
+    console.error('Tidymodels MCP server running on stdio');
+    // The client closing stdin ends the process once pending saves are written
+    process.stdin.on('close', () => {
+      this.flushCaches().catch(error => console.error('Error saving caches:', error));
+    });
+    process.on('SIGINT', async () => {
+      await server.close();
+      await this.flushCaches();
+      process.exit(0);
+    });
+  }
+
+  // Streamable HTTP at /mcp, the older HTTP+SSE transport at /sse and
+  // /messages for clients that don't support it yet, and a health check at /health
+  private async runHttp(host: string, port: number) {
+    // `open` counts a session's requests in progress (a GET stream stays open
+    // while the client listens for notifications); `active` is when the last one ended
+    const sessions: Map<string, {
+      server: Server;
+      transport: StreamableHTTPServerTransport | SSEServerTransport;
+      open: number;
+      active: number;
+    }> = new Map();
+    const started = Date.now();
+
+    // SSE sessions end with their connection; Streamable HTTP sessions end
+    // with a DELETE request, or here once the client has gone quiet
+    const idleTimer = TIDYMODELS_HTTP_SESSION_IDLE_MS > 0 ? setInterval(() => {
+      const cutoff = Date.now() - TIDYMODELS_HTTP_SESSION_IDLE_MS;
+      for (const [id, session] of sessions) {
+        if (session.transport instanceof StreamableHTTPServerTransport && session.open === 0 && session.active < cutoff) {
+          console.error(`Closing idle session ${id}`);
+          sessions.delete(id);
+          session.server.close().catch(error => console.error(`Error closing session ${id}:`, error));
+        }
+      }
+    }, Math.min(60000, TIDYMODELS_HTTP_SESSION_IDLE_MS)) : null;
+    idleTimer?.unref();
+
+    const httpServer = createHttpServer(async (req, res) => {
+      const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+      try {
+        if (url.pathname === '/health') {
+          sendJson(res, 200, {
+            status: 'ok',
+            name: 'tidymodels-server',
+            version: '0.1.0',
+            source: this.source.name,
+            sessions: sessions.size,
+            uptime_seconds: Math.round((Date.now() - started) / 1000),
+          });
+          return;
+        }
+
+        if (TIDYMODELS_HTTP_TOKEN && !hasBearerToken(req, TIDYMODELS_HTTP_TOKEN)) {
+          sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+          return;
+        }
+
+        if (url.pathname === '/mcp') {
+          const sessionId = req.headers['mcp-session-id'] as string | undefined;
+          const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+          const session = sessionId ? sessions.get(sessionId) : undefined;
+
+          if (session) {
+            if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+              sendJsonRpcError(res, 400, ErrorCode.InvalidRequest, 'Session uses the SSE transport');
+              return;
+            }
+            session.open++;
+            res.on('close', () => {
+              session.open--;
+              session.active = Date.now();
+            });
+            await session.transport.handleRequest(req, res, body);
+            return;
+          }
+          if (sessionId) {
+            sendJsonRpcError(res, 404, ErrorCode.InvalidRequest, `Unknown session: ${sessionId}`);
+            return;
           }
+          if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            sendJsonRpcError(res, 400, ErrorCode.InvalidRequest, 'A session must start with an initialize request');
+            return;
+          }
+
+          const server = this.createServer();
+          const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: id => {
+              sessions.set(id, { server, transport, open: 0, active: Date.now() });
+            },
+          });
+          transport.onclose = () => {
+            if (transport.sessionId) sessions.delete(transport.sessionId);
+          };
+          await server.connect(transport);
+          await transport.handleRequest(req, res, body);
+          return;
         }
 
-        case 'search_issues': {
-          const { query, repo, state = 'open' } = args as { query: string, repo?: string, state?: string };
-          if (!query) {
-            throw new McpError(
-              ErrorCode.InvalidParams,
-              'Search query is required'
-            );
+        if (url.pathname === '/sse' && req.method === 'GET') {
+          const server = this.createServer();
+          const transport = new SSEServerTransport('/messages', res);
+          sessions.set(transport.sessionId, { server, transport, open: 1, active: Date.now() });
+          res.on('close', () => {
+            sessions.delete(transport.sessionId);
+          });
+          await server.connect(transport);
+          return;
+        }
+
+        if (url.pathname === '/messages' && req.method === 'POST') {
+          const session = sessions.get(url.searchParams.get('sessionId') || '');
+          if (!session || !(session.transport instanceof SSEServerTransport)) {
+            sendJsonRpcError(res, 404, ErrorCode.InvalidRequest, 'Unknown SSE session');
+            return;
           }
+          await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+          return;
+        }
+
+        sendJson(res, 404, { error: 'Not Found' });
+      } catch (error) {
+        if (error instanceof SyntaxError) {
+          if (!res.headersSent) sendJsonRpcError(res, 400, ErrorCode.ParseError, 'Invalid JSON');
+          return;
+        }
+        console.error('Error handling HTTP request:', error);
+        if (!res.headersSent) {
+          sendJsonRpcError(res, 500, ErrorCode.InternalError, error instanceof Error ? error.message : String(error));
+        }
+      }
+    });
+
+    await new Promise<void>((done, fail) => {
+      httpServer.once('error', fail);
+      httpServer.listen(port, host, () => done());
+    });
+    const address = httpServer.address();
+    const listening = address && typeof address === 'object' ? `${address.address}:${address.port}` : `${host}:${port}`;
+    console.error(`Tidymodels MCP server running on http://${listening}/mcp${TIDYMODELS_HTTP_TOKEN ? ' (bearer token required)' : ''}`);
+
+    process.on('SIGINT', async () => {
+      if (idleTimer) clearInterval(idleTimer);
+      for (const { server } of sessions.values()) {
+        await server.close().catch(() => undefined);
+      }
+      httpServer.close();
+      await this.flushCaches();
+      process.exit(0);
+    });
+  }
+}
+
+let options: ReturnType<typeof parseServerOptions>;
+try {
+  options = parseServerOptions(process.argv.slice(2));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  process.exit(2);
+}
 
-          try {
-            // Build the search query
+const server = new TidymodelsServer();
+server.run(options).catch(error => {
+  console.error(error);
+  process.exit(1);
+});